@@ -10,6 +10,10 @@ window.dataService = {
         // New optional fields for uniqueness
         alarmState: ['Alarm', 'AlarmState', 'State', 'Condition', 'SubCondition', 'Alarm_Type'],
         actionParameter: ['Parameter', 'Value', 'NewValue', 'Action_Param', 'Target'],
+        // Alarm state transition (activation / return-to-normal / acknowledgement)
+        transition: ['Transition', 'AlarmTransition', 'StateTransition', 'ConditionState', 'AlarmEvent', 'AckState'],
+        // Acknowledgement time recorded on the alarm row (alarm summary exports)
+        ackTime: ['AckTime', 'AckTimestamp', 'AcknowledgedTime', 'TimeAcknowledged', 'AckTimeUtc', 'Acknowledged'],
 
         description: ['Description', 'Message', 'Text', 'Comment'],
         descriptiveColumns: ['Desc1', 'Desc2', 'DescOne', 'DescTwo', 'TagDescription', 'Module_Description', 'ModuleDesc', 'AlarmDescription', 'EventDescription', 'Message', 'Text', 'Comment', 'State_Source_Comment']
@@ -86,6 +90,8 @@ window.dataService = {
             unit: null,
             alarmState: null, // New
             actionParameter: null, // New
+            transition: null,
+            ackTime: null,
             descriptiveColumns: []
         };
 
@@ -174,7 +180,19 @@ window.dataService = {
                 analysis.suggestedMapping = 'actionParameter';
             }
 
-            // 8. Descriptive columns (Fallback)
+            // 8. Alarm Transition (ACT/RTN/ACK)
+            else if (!mappings.transition && this.defaultColumnMappings.transition.some(t => headerLower === t.toLowerCase())) {
+                mappings.transition = header;
+                analysis.suggestedMapping = 'transition';
+            }
+
+            // 9. Acknowledgement Time
+            else if (!mappings.ackTime && this.defaultColumnMappings.ackTime.some(t => headerLower === t.toLowerCase())) {
+                mappings.ackTime = header;
+                analysis.suggestedMapping = 'ackTime';
+            }
+
+            // 10. Descriptive columns (Fallback)
             else if (this.defaultColumnMappings.descriptiveColumns.some(t => headerLower.includes(t.toLowerCase())) ||
                 headerLower.includes('desc') ||
                 headerLower.includes('message') ||
@@ -198,6 +216,14 @@ window.dataService = {
         if (!mappings.priority) validation.warnings.push('No priority column found - all alarms will be set to low priority');
         if (!mappings.unit) validation.warnings.push('No unit column found - all events will be assigned to "Unknown" unit');
         if (!mappings.alarmState) validation.warnings.push('No Alarm State column found - alarms will be grouped by Tag only');
+        if (!mappings.transition) {
+            validation.warnings.push('No Alarm Transition column found - alarm durations and standing alarms cannot be measured');
+            // Acknowledgements in the journal/type column are only read as ACK rows once that column is mapped as the transition
+            const journalSamples = mappings.journal ? columnAnalysis[mappings.journal].samples : [];
+            if (journalSamples.some(value => this.parseTransition(value) === 'ACK')) {
+                validation.warnings.push(`Journal column "${mappings.journal}" contains acknowledgements - map it as the Alarm Transition column to measure time-to-acknowledge`);
+            }
+        }
 
         return {
             mappings,
@@ -210,6 +236,10 @@ window.dataService = {
     /**
      * Optimized data processing with column mappings.
      * Creates composite tags if alarmState or actionParameter are mapped.
+     * If transition is mapped, each row carries transition 'ACT' | 'RTN' | 'ACK';
+     * only activations count as alarms, RTN/ACK rows are kept for duration analysis.
+     * Journals that mark acknowledgements in the journal/type column map that column as the transition too.
+     * If ackTime is mapped, alarm rows carry ackTimestamp.
      */
     processDataWithMappings: async function (rawData, mappings, onProgress) {
         const cleanData = [];
@@ -263,12 +293,14 @@ window.dataService = {
                     isChange = journalLower.includes('change') || journalLower.includes('action') || journalLower.includes('event');
                 }
 
+                const transition = mappings.transition ? this.parseTransition(row[mappings.transition]) : null;
+
                 const baseTag = row[mappings.tag] || 'UNKNOWN';
                 let uniqueTag = baseTag;
 
                 // --- REFINEMENT LOGIC: Create Unique Tag ---
                 // If it is an Alarm and we have an Alarm State column (e.g. HI_ALM)
-                if (isAlarm && mappings.alarmState && row[mappings.alarmState]) {
+                if ((isAlarm || transition) && mappings.alarmState && row[mappings.alarmState]) {
                     const state = row[mappings.alarmState].trim();
                     if (state) {
                         uniqueTag = `${baseTag} ${state}`;
@@ -294,6 +326,19 @@ window.dataService = {
                     isChange: isChange
                 };
 
+                if (mappings.ackTime && row[mappings.ackTime]) {
+                    const ackTimestamp = this.dateFormatCache && this.dateFormatCache !== 'auto'
+                        ? moment(row[mappings.ackTime], this.dateFormatCache).valueOf()
+                        : moment(row[mappings.ackTime]).valueOf();
+                    if (!isNaN(ackTimestamp)) processedRow.ackTimestamp = ackTimestamp;
+                }
+
+                if (transition) {
+                    processedRow.transition = transition;
+                    processedRow.isAlarm = transition === 'ACT';
+                    processedRow.isChange = false;
+                }
+
                 // Extract priority if mapped
                 if (mappings.priority && row[mappings.priority]) {
                     processedRow.priority = window.statsService.extractPriority(row[mappings.priority]);
@@ -326,6 +371,20 @@ window.dataService = {
         return cleanData;
     },
 
+    /**
+     * Normalizes an alarm transition value onto 'ACT' | 'RTN' | 'ACK' (null if unrecognized).
+     * Checked in order RTN, ACK, ACT so that e.g. "UNACK" counts as an activation.
+     */
+    parseTransition: function (value) {
+        if (!value) return null;
+        const text = String(value).trim().toLowerCase();
+        if (/^(rtn|return|normal|clear|cleared|inactive|off|ok)\b|return to normal/.test(text)) return 'RTN';
+        // Anywhere in the value, so a journal/type column mapped as the transition reads "Alarm Acknowledged" as ACK
+        if (/\back(ed|nowledged?)?\b/.test(text)) return 'ACK';
+        if (/^(act|active|alm|alarm|in alarm|set|on|unack|unacked|new)\b/.test(text)) return 'ACT';
+        return null;
+    },
+
     /**
      * Parse timestamp with automatic format detection.
      */
@@ -436,6 +495,8 @@ window.dataService = {
 
         html.push(this._createMappingSelect('alarmState', 'Alarm State/Condition', 'e.g., HI_ALM, LO_ALM, TRIP (Appends to Tag)', validHeaders, mappings.alarmState, columnAnalysis, false));
         html.push(this._createMappingSelect('actionParameter', 'Action Parameter/Value', 'e.g., 50%, Auto, Manual (Appends to Tag)', validHeaders, mappings.actionParameter, columnAnalysis, false));
+        html.push(this._createMappingSelect('transition', 'Alarm Transition', 'e.g., ACT, RTN, ACK (Enables alarm durations and standing alarms; may be the journal column if it marks acknowledgements)', validHeaders, mappings.transition, columnAnalysis, false));
+        html.push(this._createMappingSelect('ackTime', 'Acknowledgement Time', 'Time the alarm was acknowledged (Enables response-time KPIs)', validHeaders, mappings.ackTime, columnAnalysis, false));
 
         html.push('</div></div>');
 
@@ -533,6 +594,8 @@ window.dataService = {
             unit: null,
             alarmState: null,
             actionParameter: null,
+            transition: null,
+            ackTime: null,
             descriptiveColumns: []
         };
 
@@ -598,6 +661,9 @@ window.dataService = {
             EnvImpact: r.impacts.environmental,
             CostImpact: r.impacts.cost,
             Recommendation: r.Recommendation,
+            OnDelaySec: r.settings ? r.settings.on_delay_sec : '',
+            OffDelaySec: r.settings ? r.settings.off_delay_sec : '',
+            DeadbandPercent: r.settings && r.settings.deadband_percent !== null ? r.settings.deadband_percent : '',
             PriorityReason: r.PriorityReason
         }));
 
@@ -0,0 +1,90 @@
+// Dataset Service - thin API wrapper
+// Uploads large event arrays to /api/datasets in NDJSON chunks so analyses can
+// run against a datasetId instead of one request body limited by BODY_LIMIT.
+// Finalized datasets are keyed by content hash, so the server caches analysis results per dataset.
+window.datasetService = {
+    MAX_CHUNK_BYTES: 8 * 1024 * 1024,
+
+    async _request(url, options = {}) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Dataset request failed (${response.status})`);
+        }
+        return response.json();
+    },
+
+    createDataset: async function(name) {
+        return this._request('/api/datasets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+    },
+
+    appendChunk: async function(datasetId, text, format = 'ndjson') {
+        return this._request(`/api/datasets/${encodeURIComponent(datasetId)}/chunks`, {
+            method: 'POST',
+            headers: { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/x-ndjson' },
+            body: text
+        });
+    },
+
+    finalizeDataset: async function(datasetId) {
+        return this._request(`/api/datasets/${encodeURIComponent(datasetId)}/finalize`, { method: 'POST' });
+    },
+
+    getDataset: async function(datasetId) {
+        return this._request(`/api/datasets/${encodeURIComponent(datasetId)}`);
+    },
+
+    // Releases this upload's reference; the server deletes the dataset once no uploader holds it.
+    deleteDataset: async function(datasetId) {
+        return this._request(`/api/datasets/${encodeURIComponent(datasetId)}`, { method: 'DELETE' });
+    },
+
+    // Converts an XES (.xes) or OCEL 2.0 JSON log file into EventRecords with their caseId.
+    // Resolves { format, events, caseCount, skipped }; upload the events with uploadEvents.
+    importEventLog: async function(file) {
+        const format = /\.xes$/i.test(file.name) ? 'xes' : 'ocel';
+        return this._request(`/api/datasets/import-event-log?format=${format}`, {
+            method: 'POST',
+            headers: { 'Content-Type': format === 'xes' ? 'application/xml' : 'text/plain' },
+            body: file
+        });
+    },
+
+    /**
+     * Creates a dataset, uploads events as NDJSON chunks of at most MAX_CHUNK_BYTES and finalizes it.
+     * @param {Array} events Processed EventRecords.
+     * @param {Object} options { name, onProgress(percent, message) }
+     * @returns {Promise<Object>} Finalized dataset metadata; its id is the content hash.
+     */
+    uploadEvents: async function(events, options = {}) {
+        const dataset = await this.createDataset(options.name);
+        const encoder = new TextEncoder(); // the limit is in bytes; descriptions may hold multi-byte characters
+        let lines = [];
+        let bytes = 0;
+
+        const flush = async (uploaded) => {
+            if (lines.length === 0) return;
+            await this.appendChunk(dataset.id, lines.join('\n'));
+            lines = [];
+            bytes = 0;
+            if (options.onProgress) {
+                options.onProgress(Math.round((uploaded / events.length) * 100), `Uploaded ${uploaded.toLocaleString()} events...`);
+            }
+        };
+
+        for (let i = 0; i < events.length; i++) {
+            const line = JSON.stringify(events[i]);
+            const lineBytes = encoder.encode(line).length;
+            if (bytes + lineBytes > this.MAX_CHUNK_BYTES) await flush(i);
+            lines.push(line);
+            bytes += lineBytes + 1;
+        }
+        await flush(events.length);
+
+        return this.finalizeDataset(dataset.id);
+    }
+};
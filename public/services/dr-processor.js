@@ -1657,7 +1657,38 @@ Return a merged, enriched JSON object with the SAME structure as the input, but
         });
     },
 
-    async batchDraftRationalizations(alarms, processContext, philosophyRules, imageBase64, onProgress, processAnalysis = null) {
+    /**
+     * Redundant peers of each alarm from the journal's co-activation clusters (/api/analysis/alarm-correlation).
+     * Journal tags are "TAG STATE"; an alarm matches by full alarm name, otherwise by its base tag.
+     * Returns [{ alarm, leader, redundantWith: [{ alarm, correlation }] }] for the alarms inside a cluster.
+     */
+    findRedundantAlarms(alarms, correlation) {
+        if (!correlation || !Array.isArray(correlation.clusters) || correlation.clusters.length === 0) return [];
+
+        const clusterOf = new Map();
+        correlation.clusters.forEach(cluster => cluster.tags.forEach(tag => {
+            clusterOf.set(tag.toUpperCase(), { cluster, tag });
+            const baseTag = tag.split(' ')[0].toUpperCase();
+            if (!clusterOf.has(baseTag)) clusterOf.set(baseTag, { cluster, tag });
+        }));
+        const pairCorrelation = new Map((correlation.pairs || []).map(p => [`${p.a}\u0000${p.b}`, p.correlation]));
+        const lookup = (a, b) => pairCorrelation.get(`${a}\u0000${b}`) ?? pairCorrelation.get(`${b}\u0000${a}`);
+
+        return alarms.map(alarm => {
+            const fullName = this.getFullAlarmName(alarm);
+            const match = clusterOf.get(fullName.toUpperCase()) || clusterOf.get((alarm.Tag || alarm.tag || '').toUpperCase());
+            if (!match) return null;
+            return {
+                alarm: fullName,
+                leader: match.cluster.leader !== match.tag ? match.cluster.leader : null,
+                redundantWith: match.cluster.tags
+                    .filter(tag => tag !== match.tag)
+                    .map(tag => ({ alarm: tag, correlation: lookup(match.tag, tag) ?? match.cluster.avgCorrelation }))
+            };
+        }).filter(Boolean);
+    },
+
+    async batchDraftRationalizations(alarms, processContext, philosophyRules, imageBase64, onProgress, processAnalysis = null, correlation = null) {
         if (!window.chatbotService.isConfigured()) {
             throw new Error('Azure OpenAI is not configured.');
         }
@@ -1685,7 +1716,7 @@ Return a merged, enriched JSON object with the SAME structure as the input, but
             try {
                 // Pass previous results for consistency within same tag groups
                 const previousResults = results.filter(r => r.success);
-                const batchResults = await this.processSingleBatch(batch, processContext, philosophyRules, imageBase64, previousResults, processAnalysis);
+                const batchResults = await this.processSingleBatch(batch, processContext, philosophyRules, imageBase64, previousResults, processAnalysis, this.findRedundantAlarms(batch, correlation));
                 results.push(...batchResults);
             } catch (error) {
                 batch.forEach(alarm => {
@@ -1702,7 +1733,7 @@ Return a merged, enriched JSON object with the SAME structure as the input, but
         return results;
     },
 
-    async processSingleBatch(alarms, processContext, philosophyRules, imageBase64, previousResults = [], processAnalysis = null) {
+    async processSingleBatch(alarms, processContext, philosophyRules, imageBase64, previousResults = [], processAnalysis = null, redundantAlarms = []) {
         // Prepare reference alarms (D&R-complete examples from same tags)
         const drCompleteExamples = alarms
             .filter(a => a._isComplete && (a.Cause1 || a.Consequence1 || a['Corrective Action1']))
@@ -1725,6 +1756,7 @@ Return a merged, enriched JSON object with the SAME structure as the input, but
                     processAnalysis: processAnalysis,
                     referenceAlarms: drCompleteExamples,
                     previousDrafts: relevantPrevious,
+                    redundantAlarms: redundantAlarms,
                     detectedPriorityScheme: this.detectedPriorityScheme || 'numeric',
                     pidImageBase64: imageBase64,
                     modelConfig: {
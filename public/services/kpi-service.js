@@ -0,0 +1,80 @@
+// KPI Service - thin API wrapper
+// ISA 18.2 / EEMUA 191 performance report, alarm durations, flood episodes, KPI trends, shift
+// workload, operator console loading, priority distribution audits and before/after dataset
+// comparisons computed server-side
+window.kpiService = {
+
+    // extra: further body fields, e.g. a scope { consoleMapping, console } restricting the analysis to one operator console.
+    async _post(endpoint, data, options, datasetId, extra = null) {
+        const response = await fetch(`/api/analysis/${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...(datasetId ? { datasetId } : { data }), options, ...(extra || {}) })
+        });
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Request to ${endpoint} failed (${response.status})`);
+        }
+        return response.json();
+    },
+
+    // With a datasetId the report is built from the stored dataset and cached server-side.
+    getKpiReport: async function(data, options = {}, datasetId = null, scope = null) {
+        return this._post('kpis', data, options, datasetId, scope);
+    },
+
+    // Active durations, time-to-acknowledge and standing alarms (needs a mapped transition column).
+    getAlarmDurations: async function(data, options = {}, datasetId = null) {
+        return this._post('alarm-durations', data, options, datasetId);
+    },
+
+    // ISA 18.2 flood episodes with peak rate, contributing tags and probable root alarm.
+    getFloodEpisodes: async function(data, datasetId = null, scope = null) {
+        return this._post('flood-episodes', data, {}, datasetId, scope);
+    },
+
+    // Per-console alarm rates and flood time for a mapping { rules: [{ console, unit?, tagPattern? }], defaultConsole? }.
+    getConsoleLoading: async function(data, consoleMapping, datasetId = null) {
+        return this._post('console-loading', data, undefined, datasetId, { consoleMapping });
+    },
+
+    // Weekly or monthly trend series (options: { period: 'week' | 'month', operatorCount }).
+    getTrends: async function(data, options = {}, datasetId = null, scope = null) {
+        return this._post('trends', data, options, datasetId, scope);
+    },
+
+    // Default shift calendar: { shifts: [{ name, start }], crews, rotation: { anchorDate, pattern }, timezoneOffsetMinutes }.
+    getDefaultShiftCalendar: async function() {
+        const response = await fetch('/api/analysis/shift-calendar');
+        if (!response.ok) throw new Error(`Failed to load shift calendar (${response.status})`);
+        return response.json();
+    },
+
+    // Alarm load, actions, flood time and nuisance alarms per shift and per crew.
+    getShiftAnalysis: async function(data, calendar, datasetId = null, scope = null) {
+        return this._post('shifts', data, undefined, datasetId, { calendar, ...(scope || {}) });
+    },
+
+    // Time-to-acknowledge / first action per priority vs. the philosophy priority_matrix.
+    getResponseTimes: async function(data, philosophyRules = {}, datasetId = null) {
+        return this._post('response-times', data, undefined, datasetId, { philosophyRules });
+    },
+
+    // Configured (configured: [{ alarm, priority }] from the MADB) and annunciated (journal) priority
+    // distributions vs. the philosophy priority_distribution targets or ISA 18.2 defaults.
+    getPriorityAudit: async function(data, configured = undefined, philosophyRules = undefined, datasetId = null) {
+        return this._post('priority-audit', data, undefined, datasetId, { configured, philosophyRules });
+    },
+
+    // Before/after comparison of two stored datasets. statistics: { before, after } from
+    // statsService.calculateStatistics; filters/profile as for nuisance scoring.
+    compareDatasets: async function(beforeDatasetId, afterDatasetId, statistics = {}, filters = undefined, profile = undefined) {
+        return this._post('compare-datasets', undefined, undefined, null, {
+            before: { datasetId: beforeDatasetId },
+            after: { datasetId: afterDatasetId },
+            statistics,
+            filters,
+            profile
+        });
+    }
+};
@@ -1,12 +1,22 @@
 // Process Mining Service - thin API wrapper
 // Algorithms are secured server-side at /api/analysis/process-mine
+// With a dataset set, only session ids are sent; the server reuses its cached extraction.
 window.processMiningService = {
+    _dataset: null,
+
+    // segmentation must match the filters the current sessions were extracted with
+    setDataset: function(datasetId, segmentation = {}) {
+        this._dataset = datasetId ? { datasetId, segmentation } : null;
+    },
 
     async _call(operation, sessions, extra = {}) {
+        const source = this._dataset
+            ? { ...this._dataset, sessionIds: sessions.map(s => s.id) }
+            : { sessions };
         const response = await fetch('/api/analysis/process-mine', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sessions, operation, ...extra })
+            body: JSON.stringify({ ...source, operation, ...extra })
         });
         if (!response.ok) {
             const err = await response.json().catch(() => ({}));
@@ -23,7 +33,60 @@ window.processMiningService = {
         return this._call('createDFG', sessions);
     },
 
-    discoverProcessVariants: async function(sessions) {
-        return this._call('discoverProcessVariants', sessions);
+    // filters (optional): { minCount, limit }
+    discoverProcessVariants: async function(sessions, filters = {}) {
+        return this._call('discoverProcessVariants', sessions, { filters });
+    },
+
+    // Aligned diff of two variants' event sequences (variant.events)
+    diffVariants: async function(a, b) {
+        const response = await fetch('/api/analysis/variant-diff', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ a, b })
+        });
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Variant diff failed (${response.status})`);
+        }
+        return response.json();
+    },
+
+    // Mines a reference ("golden") heuristic net from known-good sessions of a unit (null: all units)
+    createReferenceModel: async function(sessions, filters = {}, unit = null) {
+        return this._call('createReferenceModel', sessions, { filters, unit });
+    },
+
+    // Token-replay fitness of each session against a saved reference model; threshold defaults to 0.8
+    checkConformance: async function(sessions, model, threshold = undefined) {
+        return this._call('checkConformance', sessions, { model, threshold });
+    },
+
+    // Inductive Miner process tree (sequence / xor / parallel / loop blocks); noiseThreshold defaults to 0.2
+    discoverProcessTree: async function(sessions, noiseThreshold = undefined) {
+        return this._call('discoverProcessTree', sessions, { filters: { noiseThreshold } });
+    },
+
+    // Downloads the sessions as an event log: 'xes' (IEEE XES) or 'ocel' (OCEL 2.0 JSON)
+    exportEventLog: async function(sessions, format) {
+        const source = this._dataset
+            ? { ...this._dataset, sessionIds: sessions.map(s => s.id) }
+            : { sessions };
+        const response = await fetch('/api/analysis/event-log', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...source, format })
+        });
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Event log export failed (${response.status})`);
+        }
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : `alarm-sessions.${format === 'xes' ? 'xes' : 'ocel.json'}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
     }
 };
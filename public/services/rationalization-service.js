@@ -2,11 +2,13 @@
 // Algorithms are secured server-side at /api/analysis/nuisance-alarms
 window.rationalizationService = {
 
-    analyzeNuisanceAlarms: async function(data, validSessions, allSessions) {
+    // profile (optional): preset name ('isa-18.2', 'isa-18.2-fleeting', 'eemua-191-strict') or an override object;
+    // the response echoes the resolved profile.
+    analyzeNuisanceAlarms: async function(data, validSessions, allSessions, profile) {
         const response = await fetch('/api/analysis/nuisance-alarms', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ data, validSessions, allSessions })
+            body: JSON.stringify({ data, validSessions, allSessions, profile })
         });
         if (!response.ok) {
             const err = await response.json().catch(() => ({}));
@@ -15,6 +17,59 @@ window.rationalizationService = {
         return response.json();
     },
 
+    // Scores an uploaded dataset server-side; sessions are extracted with the same filters.
+    // scope: optional { consoleMapping, console } to score one operator console only
+    analyzeNuisanceAlarmsForDataset: async function(datasetId, filters, profile, scope = null) {
+        const response = await fetch('/api/analysis/nuisance-alarms', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ datasetId, filters, profile, ...(scope || {}) })
+        });
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Nuisance analysis failed (${response.status})`);
+        }
+        return response.json();
+    },
+
+    getScoringProfiles: async function() {
+        const response = await fetch('/api/analysis/nuisance-profiles');
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Loading scoring profiles failed (${response.status})`);
+        }
+        return response.json();
+    },
+
+    // Simulated on/off-delay candidates per alarm with the EEMUA 191 table deadband (not simulated);
+    // pass datasetId instead of data for uploaded datasets.
+    getAlarmTuning: async function(data, datasetId) {
+        const response = await fetch('/api/analysis/alarm-tuning', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(datasetId ? { datasetId } : { data })
+        });
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Alarm tuning failed (${response.status})`);
+        }
+        return response.json();
+    },
+
+    // Co-activation correlation matrix and redundant-alarm clusters; pass datasetId instead of data for uploaded datasets.
+    getAlarmCorrelation: async function(data, datasetId, options = {}) {
+        const response = await fetch('/api/analysis/alarm-correlation', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(datasetId ? { datasetId, options } : { data, options })
+        });
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Alarm correlation failed (${response.status})`);
+        }
+        return response.json();
+    },
+
     runAutonomousRationalization: async function(philosophyRules, safetyContext, rawData, onProgress) {
         if (onProgress) onProgress(10, 'Sending data to server...');
         const response = await fetch('/api/analysis/autonomous-rationalize', {
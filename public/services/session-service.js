@@ -2,12 +2,19 @@
 // Algorithms are secured server-side at /api/analysis/extract-sessions
 window.sessionService = {
     _lastUnitStatistics: null,
+    _lastFilterReport: null,
+    _lastRejectedSessions: [],
 
-    extractSessions: async function(data) {
+    // filters (optional): { minEvents, maxEvents, maxDurationHours, sessionTimeoutMinutes }
+    // Omitted keys fall back to the server defaults.
+    // options.includeRejected: also fetch sessions dropped by the filters (see getRejectedSessions)
+    // options.datasetId: extract from an uploaded dataset (see datasetService) instead of posting data
+    extractSessions: async function(data, filters, options = {}) {
+        const source = options.datasetId ? { datasetId: options.datasetId } : { data };
         const response = await fetch('/api/analysis/extract-sessions', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ data })
+            body: JSON.stringify({ ...source, filters, includeRejected: !!options.includeRejected })
         });
         if (!response.ok) {
             const err = await response.json().catch(() => ({}));
@@ -15,12 +22,42 @@ window.sessionService = {
         }
         const result = await response.json();
         this._lastUnitStatistics = result.unitStatistics;
+        this._lastFilterReport = result.filterReport;
+        this._lastRejectedSessions = result.rejectedSessions || [];
         return result.sessions;
     },
 
+    // Merges overlapping per-unit sessions into plant-wide episodes.
+    // options (optional): { toleranceMinutes, minUnits }
+    // dataset (optional): { datasetId, segmentation } - correlates the dataset's sessions server-side
+    // instead of posting them; segmentation must match the filters the sessions were extracted with
+    correlateSessions: async function(sessions, options = {}, dataset = null) {
+        const response = await fetch('/api/analysis/correlate-sessions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...(dataset || { sessions }), options })
+        });
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || `Session correlation failed (${response.status})`);
+        }
+        return response.json();
+    },
+
     // Unit statistics are returned alongside sessions in the same API call.
     // Call extractSessions first, then this returns the cached result.
     getUnitStatistics: function(sessions) {
         return this._lastUnitStatistics || [];
+    },
+
+    // Per-filter rejection counts from the last extractSessions call.
+    getFilterReport: function() {
+        return this._lastFilterReport;
+    },
+
+    // Sessions dropped by the filters, each tagged with rejectionReason.
+    // Only populated when extractSessions was called with includeRejected.
+    getRejectedSessions: function() {
+        return this._lastRejectedSessions;
     }
 };
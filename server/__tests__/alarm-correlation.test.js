@@ -0,0 +1,60 @@
+const correlation = require('../utils/alarm-correlation');
+const { buildBatchRationalizationPrompt } = require('../utils/prompt-builder');
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+
+function alarm(tag, timestamp) {
+    return { tag, timestamp, isAlarm: true, isChange: false };
+}
+
+// TI100 HI is followed within seconds by TI101 HI and TI102 HI on every trip; PI200 HI is unrelated
+function journal() {
+    const events = [];
+    for (let i = 0; i < 8; i++) {
+        const t = i * 30 * MIN;
+        events.push(alarm('TI100 HI', t), alarm('TI101 HI', t + 2 * SEC), alarm('TI102 HI', t + 4 * SEC));
+        events.push(alarm('PI200 HI', t + 15 * MIN));
+    }
+    // PI200 HI coincides with the temperature trip once
+    events.push(alarm('PI200 HI', 3 * SEC));
+    return events;
+}
+
+describe('alarm-correlation', () => {
+    it('correlates tags that activate within the tolerance', () => {
+        const { pairs, matrix } = correlation.analyzeAlarmCorrelation(journal());
+
+        expect(pairs[0]).toMatchObject({ correlation: 1, coActivations: 8 });
+        const weak = pairs.find(p => p.a === 'PI200 HI' && p.b === 'TI100 HI');
+        // 1 of 9 PI200 activations and 1 of 8 TI100 activations coincide: below the report threshold
+        expect(weak).toBeUndefined();
+        expect(matrix.tags).toHaveLength(3);
+        expect(matrix.values[0][0]).toBe(1);
+    });
+
+    it('clusters redundant tags and names the one that fires first', () => {
+        const { clusters, summary } = correlation.analyzeAlarmCorrelation(journal());
+
+        expect(clusters).toHaveLength(1);
+        expect(clusters[0]).toMatchObject({ tags: ['TI100 HI', 'TI101 HI', 'TI102 HI'], leader: 'TI100 HI', minCorrelation: 1 });
+        expect(summary).toMatchObject({ clusterCount: 1, redundantTags: 2 });
+    });
+
+    it('does not co-activate tags outside the tolerance', () => {
+        const { clusters, pairs } = correlation.analyzeAlarmCorrelation(journal(), { toleranceSec: 1 });
+        expect(clusters).toEqual([]);
+        expect(pairs).toEqual([]);
+    });
+
+    it('tells the batch prompt which alarms are redundant', () => {
+        const prompt = buildBatchRationalizationPrompt({
+            alarms: [{ Tag: 'TI101', AlarmDisplayName: 'HI', Description: 'Reactor temp' }],
+            redundantAlarms: [{ alarm: 'TI101 HI', leader: 'TI100 HI', redundantWith: [{ alarm: 'TI100 HI', correlation: 0.95 }] }]
+        });
+
+        expect(prompt).toContain('apply the Duplicates rule');
+        expect(prompt).toContain('- TI101 HI: fires together with TI100 HI (correlation 0.95) — usually annunciates first: TI100 HI');
+        expect(buildBatchRationalizationPrompt({ alarms: [{ Tag: 'TI101' }] })).not.toContain('REDUNDANT ALARMS');
+    });
+});
@@ -0,0 +1,45 @@
+const { analyzeAlarmDurations } = require('../utils/alarm-durations');
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+const t = (tag, timestamp, transition) => ({ tag, timestamp, transition, isAlarm: transition === 'ACT' });
+
+describe('alarm-durations', () => {
+    it('pairs activations with return-to-normal and acknowledgement', () => {
+        const result = analyzeAlarmDurations([
+            t('A', 0, 'ACT'), t('A', 2 * MIN, 'ACK'), t('A', 10 * MIN, 'RTN'),
+            t('A', 20 * MIN, 'ACT'), t('A', 21 * MIN, 'ACT'), t('A', 40 * MIN, 'RTN'), t('A', 44 * MIN, 'ACK')
+        ]);
+        const alarm = result.alarms[0];
+
+        expect(result.hasTransitions).toBe(true);
+        expect(alarm).toMatchObject({ activations: 2, completedActivations: 2, maxDurationMs: 20 * MIN, acknowledged: 2 });
+        expect(alarm.avgDurationMs).toBe(15 * MIN);
+        expect(alarm.avgTimeToAckMs).toBe(13 * MIN);
+        expect(alarm.stale).toBe(false);
+    });
+
+    it('flags standing alarms older than the threshold at the end of the journal', () => {
+        const result = analyzeAlarmDurations([
+            t('OLD', 0, 'ACT'),
+            t('NEW', 29 * HOUR, 'ACT'),
+            { tag: 'X', timestamp: 30 * HOUR, isChange: true }
+        ]);
+
+        expect(result.standingAlarms).toEqual([{ tag: 'OLD', activeSince: 0, activeHours: 30 }]);
+        expect(result.summary).toMatchObject({ activeAtEnd: 2, staleAlarms: 1, standingAlarms: 1 });
+    });
+
+    it('honours a custom standing threshold', () => {
+        const result = analyzeAlarmDurations([t('A', 0, 'ACT'), t('A', 3 * HOUR, 'RTN')], { standingHours: 2 });
+        expect(result.alarms[0].stale).toBe(true);
+        expect(result.standingAlarms).toHaveLength(0);
+    });
+
+    it('reports journals without transitions', () => {
+        const result = analyzeAlarmDurations([{ tag: 'A', timestamp: 0, isAlarm: true }]);
+        expect(result.hasTransitions).toBe(false);
+        expect(result.alarms).toEqual([]);
+    });
+});
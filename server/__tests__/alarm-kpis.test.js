@@ -0,0 +1,70 @@
+const kpi = require('../utils/alarm-kpis');
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+function alarms(tag, start, count, spacingMs, priority = 'low') {
+    return Array.from({ length: count }, (_, i) => ({
+        tag, unit: 'U1', priority, timestamp: start + i * spacingMs, isAlarm: true, isChange: false
+    }));
+}
+
+const byId = (report, id) => report.kpis.find(k => k.id === id);
+
+describe('alarm-kpis', () => {
+    it('grades alarm rates against the ISA 18.2 benchmarks', () => {
+        // 4 alarms per hour over 24 h
+        const data = alarms('TI100', 0, 97, 15 * MIN);
+        const report = kpi.calculateKpis(data);
+
+        expect(byId(report, 'alarmsPerOperatorHour')).toMatchObject({ value: 4.04, status: 'pass' });
+        expect(byId(report, 'alarmsPerOperator10Min').status).toBe('pass');
+        expect(byId(report, 'top10Contribution')).toMatchObject({ value: 100, status: 'fail' });
+        expect(byId(report, 'staleAlarms').status).toBe('n/a');
+    });
+
+    it('counts flood intervals and the peak 10-minute rate', () => {
+        const data = [...alarms('A', 0, 15, 10 * 1000), ...alarms('B', 5 * HOUR, 2, MIN)];
+        const report = kpi.calculateKpis(data);
+
+        expect(byId(report, 'peak10MinRate')).toMatchObject({ value: 15, status: 'fail' });
+        expect(byId(report, 'percent10MinOver10').value).toBeCloseTo(100 / 31, 1);
+    });
+
+    it('divides the load across operators', () => {
+        const data = alarms('A', 0, 15, 10 * 1000);
+        expect(byId(kpi.calculateKpis(data, { operatorCount: 2 }), 'peak10MinRate')).toMatchObject({ value: 7.5, status: 'pass' });
+    });
+
+    it('reports priority distribution against targets', () => {
+        const data = [
+            ...alarms('H', 0, 5, MIN, 'High'),
+            ...alarms('M', 0, 15, MIN, 'PRIORITY(500)'),
+            ...alarms('L', 0, 80, MIN, 'Low')
+        ];
+        const report = kpi.calculateKpis(data);
+        expect(report.priorityDistribution.map(p => [p.priority, p.percent, p.status])).toEqual([
+            ['high', 5, 'pass'], ['medium', 15, 'pass'], ['low', 80, 'pass']
+        ]);
+    });
+
+    it('derives stale and standing alarms from alarm transitions', () => {
+        const data = [
+            { tag: 'A', timestamp: 0, transition: 'ACT', isAlarm: true },
+            { tag: 'A', timestamp: 30 * HOUR, transition: 'RTN' },
+            { tag: 'B', timestamp: 40 * HOUR, transition: 'ACT', isAlarm: true },
+            { tag: 'C', timestamp: 41 * HOUR, transition: 'ACT', isAlarm: true },
+            { tag: 'C', timestamp: 42 * HOUR, transition: 'RTN' }
+        ];
+        const report = kpi.calculateKpis(data);
+        expect(byId(report, 'staleAlarms')).toMatchObject({ value: 1, status: 'pass' });
+        expect(byId(report, 'standingAlarms').value).toBe(1);
+    });
+
+    it('maps priority strings onto levels', () => {
+        expect(kpi.priorityLevel('Urgent')).toBe('high');
+        expect(kpi.priorityLevel('Priority 2')).toBe('medium');
+        expect(kpi.priorityLevel('PRIORITY(1000)')).toBe('low');
+        expect(kpi.priorityLevel(undefined)).toBe('low');
+    });
+});
@@ -0,0 +1,72 @@
+const trends = require('../utils/alarm-trends');
+
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+const MONDAY = Date.UTC(2024, 0, 1); // 2024-01-01 is a Monday
+
+// Week w: `perDay` alarms per day spread over the day, cycling through three tags
+function week(w, perDay, tag = 'TI100') {
+    const events = [];
+    for (let d = 0; d < 7; d++) {
+        for (let i = 0; i < perDay; i++) {
+            events.push({
+                timestamp: MONDAY + w * 7 * DAY + d * DAY + i * Math.floor(DAY / perDay),
+                tag: i % 3 === 0 ? tag : `XI${i % 3}`,
+                unit: 'U1',
+                priority: 'low',
+                isAlarm: true,
+                isChange: false
+            });
+        }
+    }
+    return events;
+}
+
+describe('alarm-trends', () => {
+    it('buckets by ISO week and by calendar month in UTC', () => {
+        expect(trends.bucketStart(Date.UTC(2024, 0, 7, 23), 'week')).toBe(MONDAY);
+        expect(trends.bucketStart(Date.UTC(2024, 0, 8), 'week')).toBe(Date.UTC(2024, 0, 8));
+        expect(trends.bucketStart(Date.UTC(2024, 1, 29, 12), 'month')).toBe(Date.UTC(2024, 1, 1));
+    });
+
+    it('reports per-bucket KPIs and an improving alarm rate', () => {
+        const result = trends.analyzeTrends([...week(0, 300), ...week(1, 200), ...week(2, 100)]);
+
+        expect(result.period).toBe('week');
+        expect(result.buckets.map(b => b.start)).toEqual([MONDAY, MONDAY + 7 * DAY, MONDAY + 14 * DAY]);
+        expect(result.buckets.map(b => b.totalAlarms)).toEqual([2100, 1400, 700]);
+        expect(result.buckets[0].alarmRate).toBeGreaterThan(result.buckets[2].alarmRate);
+        expect(result.trend.alarmRate.direction).toBe('improving');
+        expect(result.buckets[0].badActors[0]).toMatchObject({ tag: 'TI100', count: 700 });
+    });
+
+    it('follows the top bad actors across buckets', () => {
+        const result = trends.analyzeTrends([...week(0, 30, 'PI1'), ...week(1, 30, 'PI2')]);
+        const pi2 = result.badActorSeries.find(s => s.tag === 'PI2');
+
+        expect(pi2.counts).toEqual([0, 70]);
+        expect(trends.analyzeTrends(week(0, 30), { period: 'month' }).buckets).toHaveLength(1);
+    });
+
+    it('counts a tracked bad actor after it drops out of the top alarms', () => {
+        // PI1 leads week 0; in week 1 eleven other tags outrank it and it fires only 7 times
+        const busy = [];
+        for (let t = 0; t < 11; t++) {
+            for (let i = 0; i < 20; i++) {
+                busy.push({ timestamp: MONDAY + 7 * DAY + t * DAY / 11 + i * MIN, tag: `XI${t}`, unit: 'U1', priority: 'low', isAlarm: true });
+            }
+        }
+        const result = trends.analyzeTrends([...week(0, 300, 'PI1'), ...week(1, 3, 'PI1'), ...busy]);
+
+        expect(result.buckets[1].badActors.map(a => a.tag)).not.toContain('PI1');
+        expect(result.badActorSeries.find(s => s.tag === 'PI1').counts).toEqual([700, 7]);
+    });
+
+    it('emits zero buckets for weeks without events', () => {
+        const result = trends.analyzeTrends([...week(0, 30), ...week(3, 30)]);
+
+        expect(result.buckets.map(b => b.start)).toEqual([0, 1, 2, 3].map(w => MONDAY + w * 7 * DAY));
+        expect(result.buckets[1]).toMatchObject({ totalAlarms: 0, alarmRate: 0, percentTimeInFlood: 0, badActors: [] });
+        expect(result.badActorSeries.find(s => s.tag === 'TI100').counts).toEqual([70, 0, 0, 70]);
+    });
+});
@@ -0,0 +1,72 @@
+const tuning = require('../utils/alarm-tuning');
+const nuisance = require('../utils/nuisance-scoring');
+
+const SEC = 1000;
+
+// Bursts of activations `gapSec` apart, each clearing after `activeSec`
+function transitions(tag, bursts, perBurst, activeSec, gapSec) {
+    const data = [];
+    for (let b = 0; b < bursts; b++) {
+        for (let k = 0; k < perBurst; k++) {
+            const t = b * 3600 * SEC + k * gapSec * SEC;
+            data.push({ timestamp: t, tag, unit: 'U1', transition: 'ACT', isAlarm: true, isChange: false });
+            data.push({ timestamp: t + activeSec * SEC, tag, unit: 'U1', transition: 'RTN', isAlarm: false, isChange: false });
+        }
+    }
+    return data;
+}
+
+describe('alarm-tuning', () => {
+    it('simulates on-delays against measured activation-to-clear times', () => {
+        const series = [
+            { timestamp: 0, clearedAt: 1 * SEC },
+            { timestamp: 10 * SEC, clearedAt: 14 * SEC },
+            { timestamp: 60 * SEC, clearedAt: 600 * SEC }
+        ];
+        expect(tuning.simulateOnDelay(series, 2 * SEC)).toBe(1);
+        expect(tuning.simulateOnDelay(series, 5 * SEC)).toBe(2);
+    });
+
+    it('merges re-activations within the off-delay hold', () => {
+        const series = [
+            { timestamp: 0, clearedAt: 1 * SEC },
+            { timestamp: 4 * SEC, clearedAt: 5 * SEC },
+            { timestamp: 8 * SEC, clearedAt: 9 * SEC },
+            { timestamp: 100 * SEC, clearedAt: 101 * SEC }
+        ];
+        expect(tuning.simulateOffDelay(series, 5 * SEC)).toBe(2);
+        expect(tuning.simulateOffDelay(series, 2 * SEC)).toBe(0);
+    });
+
+    it('recommends the shortest delay reaching most of the achievable reduction', () => {
+        const result = tuning.analyzeAlarmTuning(transitions('FIC101', 4, 5, 1, 8));
+        const alarm = result.alarms[0];
+
+        expect(alarm).toMatchObject({ tag: 'FIC101', signalType: 'flow', activations: 20, method: 'rtn' });
+        expect(alarm.onDelay).toMatchObject({ recommendedSec: 2, removedActivations: 20 });
+        // Re-activations come 7 s after each clear; the first activation of each burst remains
+        expect(alarm.offDelay).toMatchObject({ recommendedSec: 10, removedActivations: 16 });
+        expect(alarm.deadband).toEqual({ recommendedPercent: 5, basis: 'eemua-191-table', simulated: false });
+    });
+
+    it('falls back to activation pairs without transitions', () => {
+        const data = [0, 2, 4, 3600, 3602].map(s => ({ timestamp: s * SEC, tag: 'TI200', isAlarm: true }));
+        const alarm = tuning.analyzeAlarmTuning(data).alarms[0];
+
+        expect(alarm.method).toBe('activation-pairs');
+        expect(alarm.offDelay.candidates.find(c => c.delaySec === 3).removedActivations).toBe(3);
+        expect(tuning.signalType('21-LT-005.PVHI')).toBe('level');
+        expect(tuning.signalType('XV100')).toBeNull();
+    });
+
+    it('feeds the simulated delays into the Modify recommendation', async () => {
+        const rawData = transitions('PIC300', 4, 6, 1, 8).sort((a, b) => a.timestamp - b.timestamp);
+        const { data } = await nuisance.runAutonomousRationalization({ timers: { min_on_delay_sec: 3 } }, [], rawData);
+        const alarm = data.find(a => a.tag === 'PIC300');
+
+        expect(alarm.Recommendation).toBe('Modify');
+        expect(alarm.settings).toEqual({ on_delay_sec: 3, off_delay_sec: 10, deadband_percent: 2 });
+        expect(alarm.PriorityReason).toContain('on-delay 3 s removes 24, off-delay 10 s removes 20 of 24 activations');
+        expect(alarm.PriorityReason).toContain('deadband 2% is the EEMUA 191 starting point for pressure signals (not simulated)');
+    });
+});
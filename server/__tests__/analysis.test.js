@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const datasetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-routes-test-'));
+process.env.DATASET_DIR = datasetDir;
+
+const request = require('supertest');
+const app = require('../app');
+
+const MIN = 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+function alarm(timestamp, tag, unit) {
+    return { timestamp, tag, unit, priority: 'low', isAlarm: true, isChange: false };
+}
+
+// R-100: a 10-minute flood of 40 alarms with an operator action; U-1: one utilities alarm every 2 minutes
+const data = [];
+for (let i = 0; i < 40; i++) data.push(alarm(START + i * 15 * 1000, `TI${i % 4}`, 'R-100'));
+data.push({ timestamp: START + 5 * MIN + 1, tag: 'FIC1 OP', unit: 'R-100', priority: 'low', isAlarm: false, isChange: true });
+for (let i = 0; i < 8; i++) data.push(alarm(START + i * 2 * MIN + 2, 'UT5', 'U-1'));
+data.sort((a, b) => a.timestamp - b.timestamp);
+
+const consoleScope = { consoleMapping: { rules: [{ console: 'Utilities', tagPattern: 'UT*' }], defaultConsole: 'Reactor' }, console: 'Utilities' };
+
+function post(endpoint, body) {
+    return request(app).post(`/api/analysis/${endpoint}`).send(body);
+}
+
+describe('/api/analysis', () => {
+    let datasetId;
+
+    beforeAll(async () => {
+        const created = await request(app).post('/api/datasets').send({ name: 'journal' });
+        await request(app).post(`/api/datasets/${created.body.id}/chunks`)
+            .set('Content-Type', 'application/x-ndjson')
+            .send(data.map(event => JSON.stringify(event)).join('\n'));
+        datasetId = (await request(app).post(`/api/datasets/${created.body.id}/finalize`)).body.id;
+    });
+
+    afterAll(() => {
+        fs.rmSync(datasetDir, { recursive: true, force: true });
+    });
+
+    it('rates the same KPIs from posted data and from a dataset, caching the dataset result', async () => {
+        const posted = await post('kpis', { data });
+        const miss = await post('kpis', { datasetId });
+        const hit = await post('kpis', { datasetId });
+
+        expect(miss.headers['x-cache']).toBe('MISS');
+        expect(hit.headers['x-cache']).toBe('HIT');
+        expect(miss.body).toEqual(posted.body);
+        expect(hit.body).toEqual(posted.body);
+    });
+
+    it('returns 400 for missing data and invalid options', async () => {
+        expect((await post('kpis', {})).body.error).toBe('data array or datasetId is required');
+        expect((await post('kpis', { data, options: { operatorCount: 0 } })).body.error).toBe('operatorCount must be a positive integer');
+        expect((await post('trends', { data, options: { period: 'day' } })).status).toBe(400);
+        expect((await post('response-times', { data, philosophyRules: { priority_matrix: 'high' } })).status).toBe(400);
+        expect((await post('kpis', { data, console: 'Utilities' })).body.error).toBe('console requires a consoleMapping');
+    });
+
+    it('treats null option objects as defaults', async () => {
+        expect((await post('kpis', { data, options: null })).status).toBe(200);
+        expect((await post('trends', { data, options: null })).status).toBe(200);
+        expect((await post('alarm-durations', { data, options: null })).status).toBe(200);
+        expect((await post('alarm-correlation', { data, options: null })).status).toBe(200);
+        expect((await post('response-times', { data, philosophyRules: null })).status).toBe(200);
+    });
+
+    it('scores a console from posted data like from the dataset, with sessions of that console only', async () => {
+        const se = require('../utils/session-extraction');
+        const sessions = se.extractSessions(data);
+        const posted = await post('nuisance-alarms', { data, validSessions: sessions, allSessions: sessions, ...consoleScope });
+        const stored = await post('nuisance-alarms', { datasetId, ...consoleScope });
+
+        expect(posted.status).toBe(200);
+        expect(posted.body.alarms.map(a => a.tag)).toEqual(['UT5']);
+        expect(posted.body.alarms[0].floodRate).toBe(0);
+        expect(stored.body.alarms).toEqual(posted.body.alarms);
+    });
+
+    it('scopes trends and shifts to a console', async () => {
+        const trends = await post('trends', { datasetId, ...consoleScope });
+        const shifts = await post('shifts', { data, ...consoleScope });
+
+        expect(trends.body.buckets[0].totalAlarms).toBe(8);
+        expect(shifts.status).toBe(200);
+        expect((await post('shifts', { data, ...consoleScope, console: 'Nope' })).body.error).toBe('Unknown console: Nope');
+    });
+
+    it('extracts dataset sessions without rejected sessions unless asked for them', async () => {
+        const accepted = await post('extract-sessions', { datasetId });
+        const withRejected = await post('extract-sessions', { datasetId, includeRejected: true });
+
+        expect(accepted.body.sessions.length).toBeGreaterThan(0);
+        expect(accepted.body.rejectedSessions).toBeUndefined();
+        expect(Array.isArray(withRejected.body.rejectedSessions)).toBe(true);
+        expect(withRejected.body.sessions).toEqual(accepted.body.sessions);
+    });
+
+    it('correlates posted sessions and dataset sessions alike, rejecting malformed sessions', async () => {
+        const { sessions } = (await post('extract-sessions', { data })).body;
+        const posted = await post('correlate-sessions', { sessions, options: null });
+        const stored = await post('correlate-sessions', { datasetId });
+
+        expect(posted.status).toBe(200);
+        expect(stored.body).toEqual(posted.body);
+        expect((await post('correlate-sessions', { sessions: [null] })).body.error).toBe('sessions[0] must be a session with an events array');
+        expect((await post('correlate-sessions', { options: {} })).body.error).toBe('sessions array or datasetId is required');
+    });
+
+    it('lists every process mining operation and runs them against dataset sessions', async () => {
+        const missing = await post('process-mine', { sessions: [] });
+        expect(missing.status).toBe(400);
+        expect(missing.body.error).toMatch(/createReferenceModel, checkConformance, discoverProcessTree/);
+        expect((await post('process-mine', { sessions: [], operation: 'constructor' })).body.error).toBe('Unknown operation: constructor');
+
+        const variants = await post('process-mine', { datasetId, operation: 'discoverProcessVariants' });
+        expect(variants.status).toBe(200);
+        expect(Array.isArray(variants.body)).toBe(true);
+        expect((await post('process-mine', { datasetId, operation: 'createDFG', sessionIds: 'all' })).body.error).toBe('sessionIds must be an array');
+    });
+
+    it('returns 404 for an unknown dataset', async () => {
+        expect((await post('kpis', { datasetId: '0123456789abcdef' })).status).toBe(404);
+    });
+});
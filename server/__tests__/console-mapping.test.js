@@ -0,0 +1,51 @@
+const consoles = require('../utils/console-mapping');
+
+const MIN = 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+function alarm(timestamp, tag, unit) {
+    return { timestamp, tag, unit, priority: 'low', isAlarm: true, isChange: false };
+}
+
+describe('console-mapping', () => {
+    const { mapping } = consoles.resolveConsoleMapping({
+        rules: [
+            { console: 'Utilities', tagPattern: 'UT*' },
+            { console: 'Reactor', unit: 'r-100' },
+            { console: 'Reactor', unit: 'R-200' }
+        ]
+    });
+
+    it('assigns events by first matching rule, case-insensitive unit and glob tag', () => {
+        const consoleOf = consoles.compileConsoleMapping(mapping);
+
+        expect(consoleOf({ tag: 'UT1 PVHI', unit: 'R-100' })).toBe('Utilities');
+        expect(consoleOf({ tag: 'TI1 PVHI', unit: 'R-100' })).toBe('Reactor');
+        expect(consoleOf({ tag: 'TI1 PVHI', unit: 'C-300' })).toBe(consoles.UNASSIGNED_CONSOLE);
+        expect(consoles.consoleNames(mapping)).toEqual(['Utilities', 'Reactor', 'Unassigned']);
+    });
+
+    it('rejects rules without a console or a match criterion', () => {
+        expect(consoles.resolveConsoleMapping().mapping).toBeNull();
+        expect(consoles.resolveConsoleMapping({ rules: [] }).errors).toHaveLength(1);
+        expect(consoles.resolveConsoleMapping({ rules: [{ unit: 'R-100' }, { console: 'A' }] }).errors)
+            .toEqual(['rules[0].console is required', 'rules[1] needs a unit or a tagPattern']);
+    });
+
+    it('rates every console as one operator position', () => {
+        const data = [];
+        // Reactor: a 20-minute flood of 40 alarms; Utilities: one alarm every 10 minutes for two hours
+        for (let i = 0; i < 40; i++) data.push(alarm(START + 30 * MIN + i * 30 * 1000, `TI${i % 4}`, 'R-100'));
+        for (let i = 0; i < 12; i++) data.push(alarm(START + i * 10 * MIN, 'UT5', 'U-1'));
+
+        const result = consoles.analyzeConsoleLoading(data, mapping);
+        const reactor = result.consoles.find(c => c.console === 'Reactor');
+        const utilities = result.consoles.find(c => c.console === 'Utilities');
+
+        expect(result.consoles.map(c => c.console)).toEqual(['Utilities', 'Reactor']);
+        expect(reactor).toMatchObject({ units: ['R-100'], totalAlarms: 40, floodEpisodes: 1 });
+        expect(utilities).toMatchObject({ totalAlarms: 12, floodEpisodes: 0, percentTimeInFlood: 0 });
+        expect(reactor.peak10MinRate).toBeGreaterThan(10);
+        expect(utilities.peak10MinRate).toBeLessThanOrEqual(2);
+    });
+});
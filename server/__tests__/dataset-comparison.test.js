@@ -0,0 +1,53 @@
+const comparison = require('../utils/dataset-comparison');
+
+function scored(tag, nuisanceScore, totalOccurrences) {
+    return { tag, nuisanceScore, totalOccurrences, recommendation: 'keep' };
+}
+
+function analyzed(alarms, overallHealth, timeInFloodMs, percentTimeInFlood) {
+    return {
+        nuisance: { alarms, metrics: { overallHealth } },
+        floods: { summary: { episodeCount: 1, timeInFloodMs, percentTimeInFlood, percentAlarmsInFloods: 10, peakRate: 20 } }
+    };
+}
+
+describe('dataset-comparison', () => {
+    it('aligns nuisance scores by tag', () => {
+        const rows = comparison.alignNuisanceScores(
+            [scored('A', 80, 100), scored('B', 40, 10), scored('C', 30, 5)],
+            [scored('A', 20, 12), scored('B', 42, 11), scored('D', 50, 30)]
+        );
+        const byTag = Object.fromEntries(rows.map(r => [r.tag, r]));
+
+        expect(byTag.A).toMatchObject({ status: 'improved', scoreDelta: -60, before: { occurrences: 100 }, after: { occurrences: 12 } });
+        expect(byTag.B.status).toBe('unchanged');
+        expect(byTag.C).toMatchObject({ status: 'removed', after: null });
+        expect(byTag.D).toMatchObject({ status: 'new', before: null });
+        expect(rows[0].tag).toBe('A');
+    });
+
+    it('reports new and removed bad actors', () => {
+        const before = Array.from({ length: 11 }, (_, i) => scored(`T${i}`, 50, 100 - i));
+        const after = [...before.slice(1, 10).map(a => ({ ...a, totalOccurrences: 20 })), scored('NEW1', 60, 90)];
+        const result = comparison.compareBadActors(before, after);
+
+        expect(result.removedBadActors.map(a => a.tag)).toEqual(['T0']);
+        expect(result.newBadActors.map(a => a.tag)).toEqual(['NEW1']);
+        expect(result.persistentBadActors).toHaveLength(9);
+    });
+
+    it('computes KPI deltas and flood time reduction', () => {
+        const result = comparison.compareDatasets(
+            { ...analyzed([scored('A', 80, 100)], 40, 4 * 3600000, 8), statistics: { totalAlarms: 1000, avgAlarmRate: 2.5, topTags: [] } },
+            { ...analyzed([scored('A', 20, 12)], 80, 3600000, 2), statistics: { totalAlarms: 400, avgAlarmRate: 1 } }
+        );
+
+        expect(result.kpis).toEqual([
+            { kpi: 'totalAlarms', before: 1000, after: 400, delta: -600, percentChange: -60 },
+            { kpi: 'avgAlarmRate', before: 2.5, after: 1, delta: -1.5, percentChange: -60 }
+        ]);
+        expect(result.floods).toMatchObject({ timeInFloodReductionMs: 3 * 3600000, timeInFloodReductionPercent: 75, percentTimeInFloodDelta: -6 });
+        expect(result.health).toEqual({ before: 40, after: 80 });
+        expect(result.summary).toMatchObject({ improved: 1, worsened: 0 });
+    });
+});
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatasetStore, parseCsv, normalizeEvent } = require('../services/dataset-store');
+
+async function collect(store, id) {
+    const events = [];
+    await store.forEachEvent(id, event => events.push(event));
+    return events;
+}
+
+describe('dataset-store', () => {
+    let baseDir;
+    let store;
+
+    beforeEach(() => {
+        baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-store-test-'));
+        store = new DatasetStore(baseDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(baseDir, { recursive: true, force: true });
+    });
+
+    it('appends NDJSON chunks and streams events back in order', async () => {
+        const { id } = await store.create({ name: 'journal' });
+        await store.appendChunk(id, '{"timestamp":1000,"tag":"A","isAlarm":true}\n{"timestamp":2000,"tag":"B","isChange":true}\n', 'ndjson');
+        const result = await store.appendChunk(id, '{"timestamp":3000,"tag":"C"}\n', 'ndjson');
+
+        expect(result.dataset.eventCount).toBe(3);
+        expect(result.dataset.chunkCount).toBe(2);
+        expect(result.dataset.sorted).toBe(true);
+
+        const events = await collect(store, id);
+        expect(events.map(e => e.tag)).toEqual(['A', 'B', 'C']);
+        expect(events[0]).toMatchObject({ isAlarm: true, isChange: false, unit: 'Unknown', priority: 'low' });
+    });
+
+    it('parses CSV chunks using the header from the first chunk', async () => {
+        const { id } = await store.create();
+        await store.appendChunk(id, 'timestamp,tag,unit,isAlarm,Desc1\n2024-01-01T00:00:00Z,TI100,U1,true,"High, temp"\n', 'csv');
+        await store.appendChunk(id, '2024-01-01T00:01:00Z,TI101,U1,false,\n', 'csv');
+
+        const events = await collect(store, id);
+        expect(events).toHaveLength(2);
+        expect(events[0].Desc1).toBe('High, temp');
+        expect(events[1].timestamp).toBe(Date.parse('2024-01-01T00:01:00Z'));
+    });
+
+    it('reports invalid lines without failing the chunk', async () => {
+        const { id } = await store.create();
+        const result = await store.appendChunk(id, '{"timestamp":1,"tag":"A"}\nnot json\n{"tag":"B"}\n', 'ndjson');
+
+        expect(result.accepted).toBe(1);
+        expect(result.rejected).toBe(2);
+        expect(result.errors.map(e => e.line)).toEqual([2, 3]);
+    });
+
+    it('sorts events that were appended out of order', async () => {
+        const { id } = await store.create();
+        await store.appendChunk(id, '{"timestamp":5000,"tag":"late"}\n', 'ndjson');
+        const result = await store.appendChunk(id, '{"timestamp":1000,"tag":"early"}\n', 'ndjson');
+
+        expect(result.dataset.sorted).toBe(false);
+        expect((await collect(store, id)).map(e => e.tag)).toEqual(['early', 'late']);
+    });
+
+    it('merges interleaved chunks as sorted runs, in passes when there are many', async () => {
+        const { id } = await store.create();
+        // Each chunk is unsorted internally and overlaps all the others: 70 runs, more than one merge pass
+        for (let chunk = 0; chunk < 70; chunk++) {
+            await store.appendChunk(id, [2, 1, 0].map(i => JSON.stringify({ timestamp: i * 100 + chunk, tag: `T${chunk}-${i}` })).join('\n'), 'ndjson');
+        }
+        const meta = await store.get(id);
+        expect(meta.runs).toHaveLength(70);
+
+        const timestamps = (await collect(store, id)).map(e => e.timestamp);
+        expect(timestamps).toHaveLength(210);
+        expect(timestamps).toEqual([...timestamps].sort((a, b) => a - b));
+    });
+
+    it('closes every run reader when onEvent throws during a merge', async () => {
+        const { id } = await store.create();
+        // Runs larger than a read buffer, so their streams are still open when the merge stops
+        for (let chunk = 0; chunk < 3; chunk++) {
+            const lines = [];
+            for (let i = 0; i < 3000; i++) lines.push(JSON.stringify({ timestamp: 10000 * (3 - chunk) + i, tag: `T${chunk}-${i}` }));
+            await store.appendChunk(id, lines.join('\n'), 'ndjson');
+        }
+        const streams = [];
+        const createReadStream = fs.createReadStream;
+        const spy = vi.spyOn(fs, 'createReadStream').mockImplementation((...args) => {
+            const stream = createReadStream(...args);
+            streams.push(stream);
+            return stream;
+        });
+        try {
+            await expect(store.forEachEvent(id, () => { throw new Error('analysis failed'); })).rejects.toThrow('analysis failed');
+        } finally {
+            spy.mockRestore();
+        }
+
+        expect(streams.length).toBeGreaterThan(0);
+        expect(streams.every(stream => stream.destroyed)).toBe(true);
+    });
+
+    it('rejects unknown and malformed dataset ids', async () => {
+        await expect(store.appendChunk('0000000000', '', 'ndjson')).rejects.toMatchObject({ statusCode: 404 });
+        await expect(store.get('../etc')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('removes datasets', async () => {
+        const { id } = await store.create();
+        await store.remove(id);
+        expect(await store.get(id)).toBeNull();
+    });
+
+    it('finalize re-keys the dataset by content hash and seals it', async () => {
+        const { id } = await store.create();
+        await store.appendChunk(id, '{"timestamp":1000,"tag":"A"}\n', 'ndjson');
+        const { dataset, deduplicated } = await store.finalize(id);
+
+        expect(deduplicated).toBe(false);
+        expect(dataset.id).toMatch(/^[0-9a-f]{64}$/);
+        expect(dataset.contentHash).toBe(dataset.id);
+        expect(await store.get(id)).toBeNull();
+        expect((await collect(store, dataset.id)).map(e => e.tag)).toEqual(['A']);
+        await expect(store.appendChunk(dataset.id, '{"timestamp":2000,"tag":"B"}\n', 'ndjson'))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('refuses to finalize a dataset without events', async () => {
+        const { id } = await store.create();
+        await store.appendChunk(id, 'not json\n', 'ndjson');
+
+        await expect(store.finalize(id)).rejects.toMatchObject({ statusCode: 400 });
+        expect((await store.get(id)).contentHash).toBeNull();
+    });
+
+    it('finalize returns the existing dataset for identical content', async () => {
+        const upload = async () => {
+            const { id } = await store.create();
+            await store.appendChunk(id, '{"timestamp":1000,"tag":"A"}\n', 'ndjson');
+            return { id, ...(await store.finalize(id)) };
+        };
+        const first = await upload();
+        const second = await upload();
+
+        expect(second.deduplicated).toBe(true);
+        expect(second.dataset.id).toBe(first.dataset.id);
+        expect(await store.get(second.id)).toBeNull();
+    });
+
+    it('removes a deduplicated dataset only when every upload has released it', async () => {
+        const upload = async () => {
+            const { id } = await store.create();
+            await store.appendChunk(id, '{"timestamp":1000,"tag":"A"}\n', 'ndjson');
+            return (await store.finalize(id)).dataset;
+        };
+        await upload();
+        const { id, references } = await upload();
+
+        expect(references).toBe(2);
+        expect(await store.remove(id)).toEqual({ deleted: false, references: 1 });
+        expect((await collect(store, id)).map(e => e.tag)).toEqual(['A']);
+        expect(await store.remove(id)).toEqual({ deleted: true, references: 0 });
+        expect(await store.get(id)).toBeNull();
+    });
+
+    it('finalizes identical uploads concurrently into one dataset', async () => {
+        const ids = [];
+        for (let i = 0; i < 3; i++) {
+            const { id } = await store.create();
+            await store.appendChunk(id, '{"timestamp":1000,"tag":"A"}\n', 'ndjson');
+            ids.push(id);
+        }
+        const results = await Promise.all(ids.map(id => store.finalize(id)));
+
+        expect(new Set(results.map(r => r.dataset.id)).size).toBe(1);
+        expect(results.filter(r => r.deduplicated)).toHaveLength(2);
+        expect(results.every(r => r.dataset.contentHash === r.dataset.id)).toBe(true);
+        expect(fs.readdirSync(baseDir)).toEqual([results[0].dataset.id]);
+    });
+
+    it('caches results for finalized datasets only', async () => {
+        const { id } = await store.create();
+        await store.appendChunk(id, '{"timestamp":1000,"tag":"A"}\n', 'ndjson');
+        let computed = 0;
+        const compute = async () => ({ run: ++computed });
+
+        expect(await store.cached(id, 'op', {}, compute)).toEqual({ result: { run: 1 }, cacheHit: false });
+        expect(await store.cached(id, 'op', {}, compute)).toEqual({ result: { run: 2 }, cacheHit: false });
+
+        const { dataset } = await store.finalize(id);
+        await store.cached(dataset.id, 'op', { a: 1, b: 2 }, compute);
+        expect(await store.cached(dataset.id, 'op', { b: 2, a: 1 }, compute)).toEqual({ result: { run: 3 }, cacheHit: true });
+        expect((await store.cached(dataset.id, 'op', { a: 2 }, compute)).cacheHit).toBe(false);
+    });
+
+    it('stores one cache entry when misses for the same key race', async () => {
+        const { id } = await store.create();
+        await store.appendChunk(id, '{"timestamp":1000,"tag":"A"}\n', 'ndjson');
+        const { dataset } = await store.finalize(id);
+        const compute = async () => ({ value: 42 });
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => store.cached(dataset.id, 'op', {}, compute)));
+        expect(results.map(r => r.result)).toEqual(Array(5).fill({ value: 42 }));
+        const cacheFiles = fs.readdirSync(path.join(baseDir, dataset.id, 'cache'));
+        expect(cacheFiles).toHaveLength(1);
+        expect(cacheFiles[0]).toMatch(/^op-[0-9a-f]{16}\.json$/);
+    });
+
+    it('parseCsv handles quotes and CRLF', () => {
+        expect(parseCsv('a,"b ""x""",c\r\n1,2,3\r\n')).toEqual([['a', 'b "x"', 'c'], ['1', '2', '3']]);
+    });
+
+    it('normalizeEvent accepts epoch strings and rejects missing tags', () => {
+        expect(normalizeEvent({ timestamp: '1700000000000', tag: 'X' }).timestamp).toBe(1700000000000);
+        expect(() => normalizeEvent({ timestamp: 1 })).toThrow('tag is required');
+    });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const datasetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-routes-test-'));
+process.env.DATASET_DIR = datasetDir;
+
+const request = require('supertest');
+const app = require('../app');
+
+const NDJSON = 'application/x-ndjson';
+
+async function upload(lines) {
+    const created = await request(app).post('/api/datasets').send({ name: 'journal' });
+    await request(app).post(`/api/datasets/${created.body.id}/chunks`).set('Content-Type', NDJSON).send(lines.join('\n'));
+    return request(app).post(`/api/datasets/${created.body.id}/finalize`);
+}
+
+describe('/api/datasets', () => {
+    afterAll(() => {
+        fs.rmSync(datasetDir, { recursive: true, force: true });
+    });
+
+    it('creates a dataset and appends NDJSON chunks', async () => {
+        const created = await request(app).post('/api/datasets').send({ name: 'journal' });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ name: 'journal', eventCount: 0 });
+
+        const chunk = await request(app).post(`/api/datasets/${created.body.id}/chunks`)
+            .set('Content-Type', NDJSON)
+            .send('{"timestamp":1000,"tag":"A"}\nnot json\n');
+        expect(chunk.status).toBe(200);
+        expect(chunk.body).toMatchObject({ accepted: 1, rejected: 1 });
+        expect((await request(app).get(`/api/datasets/${created.body.id}`)).body.eventCount).toBe(1);
+    });
+
+    it('rejects chunks with an unsupported content type or format', async () => {
+        const { body } = await request(app).post('/api/datasets').send({});
+
+        const json = await request(app).post(`/api/datasets/${body.id}/chunks`).send({ timestamp: 1000 });
+        expect(json.status).toBe(400);
+        expect(json.body.error).toMatch(/Chunk body must be sent as one of/);
+
+        const format = await request(app).post(`/api/datasets/${body.id}/chunks?format=xml`).set('Content-Type', NDJSON).send('{}');
+        expect(format.status).toBe(400);
+        expect(format.body.error).toBe('format must be csv or ndjson');
+    });
+
+    it('returns 400 for malformed ids and 404 for unknown datasets', async () => {
+        expect((await request(app).get('/api/datasets/..%2Fetc')).status).toBe(400);
+        expect((await request(app).get('/api/datasets/0123456789abcdef')).status).toBe(404);
+    });
+
+    it('refuses to finalize a dataset without events', async () => {
+        const { body } = await request(app).post('/api/datasets').send({});
+        const res = await request(app).post(`/api/datasets/${body.id}/finalize`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Dataset has no events to finalize');
+    });
+
+    it('deduplicates identical uploads and deletes them once every upload has released them', async () => {
+        const lines = ['{"timestamp":1000,"tag":"DEDUP"}', '{"timestamp":2000,"tag":"DEDUP"}'];
+        const first = await upload(lines);
+        const second = await upload(lines);
+
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({ deduplicated: false, eventCount: 2 });
+        expect(first.body.id).toMatch(/^[0-9a-f]{64}$/);
+        expect(second.body).toMatchObject({ id: first.body.id, deduplicated: true, references: 2 });
+
+        expect((await request(app).delete(`/api/datasets/${first.body.id}`)).body).toEqual({ deleted: false, references: 1 });
+        expect((await request(app).get(`/api/datasets/${first.body.id}`)).status).toBe(200);
+        expect((await request(app).delete(`/api/datasets/${first.body.id}`)).body).toEqual({ deleted: true, references: 0 });
+        expect((await request(app).get(`/api/datasets/${first.body.id}`)).status).toBe(404);
+    });
+
+    it('imports XES logs and rejects unknown formats', async () => {
+        const xes = `<log><trace><string key="concept:name" value="case-1"/><event>
+              <string key="concept:name" value="TI5 PVHI"/>
+              <date key="time:timestamp" value="2024-01-01T00:00:00Z"/>
+            </event></trace></log>`;
+        const imported = await request(app).post('/api/datasets/import-event-log').set('Content-Type', 'application/xml').send(xes);
+        expect(imported.status).toBe(200);
+        expect(imported.body).toMatchObject({ format: 'xes', caseCount: 1, skipped: 0 });
+        expect(imported.body.events[0]).toMatchObject({ tag: 'TI5 PVHI', caseId: 'case-1' });
+
+        const format = await request(app).post('/api/datasets/import-event-log?format=csv').set('Content-Type', 'text/plain').send('a,b');
+        expect(format.status).toBe(400);
+        expect(format.body.error).toBe('format must be xes or ocel');
+    });
+});
@@ -0,0 +1,54 @@
+const eventLog = require('../utils/event-log-export');
+
+const START = Date.UTC(2024, 0, 1);
+
+const sessions = [
+    {
+        id: 0, unit: 'R-100', alarms: 1, actions: 1, events: [
+            { timestamp: START, tag: 'PI1 PVHI', unit: 'R-100', priority: 'High', transition: 'ACT', isAlarm: true, isChange: false },
+            { timestamp: START + 60000, tag: 'FIC1 OP', unit: 'R-100', isAlarm: false, isChange: true, Desc1: 'Feed <A&B>' }
+        ]
+    },
+    {
+        id: 1, unit: 'R-100', alarms: 1, actions: 0, events: [
+            { timestamp: START + 3600000, tag: 'PI1 PVHI', unit: 'R-100', priority: 'Urgent', transition: 'ACT', isAlarm: true, isChange: false }
+        ]
+    }
+];
+
+describe('event-log-export', () => {
+    it('writes one XES trace per session with activity, timestamp, unit, priority and lifecycle', () => {
+        const xes = eventLog.toXes(sessions);
+
+        expect(xes).toContain('<log xes.version="1849-2016"');
+        expect(xes.match(/<trace>/g)).toHaveLength(2);
+        expect(xes.match(/<event>/g)).toHaveLength(3);
+        expect(xes).toContain('<string key="concept:name" value="session-0"/>');
+        expect(xes).toContain('<string key="concept:name" value="[A] PI1 PVHI"/>');
+        expect(xes).toContain('<string key="concept:name" value="[C] FIC1 OP"/>');
+        expect(xes).toContain('<date key="time:timestamp" value="2024-01-01T00:01:00.000Z"/>');
+        expect(xes).toContain('<string key="priority" value="High"/>');
+        expect(xes).toContain('<string key="lifecycle:transition" value="complete"/>');
+        expect(xes).toContain('value="Feed &lt;A&amp;B&gt;"');
+    });
+
+    it('relates OCEL events to tag and unit objects and tracks tag priority changes', () => {
+        const ocel = eventLog.toOcel(sessions);
+
+        expect(ocel.objectTypes.map(t => t.name)).toEqual(['unit', 'tag']);
+        expect(ocel.eventTypes.map(t => t.name)).toEqual(['[A] PI1 PVHI', '[C] FIC1 OP']);
+        expect(ocel.events).toHaveLength(3);
+        expect(ocel.events[0]).toMatchObject({
+            id: 'e1',
+            type: '[A] PI1 PVHI',
+            time: '2024-01-01T00:00:00.000Z',
+            relationships: [{ objectId: 'tag:PI1 PVHI', qualifier: 'source' }, { objectId: 'unit:R-100', qualifier: 'unit' }]
+        });
+        expect(ocel.events[2].attributes).toContainEqual({ name: 'session', value: 1 });
+
+        const tag = ocel.objects.find(o => o.id === 'tag:PI1 PVHI');
+        expect(tag.relationships).toEqual([{ objectId: 'unit:R-100', qualifier: 'part of' }]);
+        expect(tag.attributes.map(a => a.value)).toEqual(['High', 'Urgent']);
+        expect(ocel.objects.filter(o => o.type === 'unit')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,83 @@
+const eventLogImport = require('../utils/event-log-import');
+const eventLog = require('../utils/event-log-export');
+
+const START = Date.UTC(2024, 0, 1);
+
+const sessions = [
+    {
+        id: 0, unit: 'R-100', events: [
+            { timestamp: START, tag: 'PI1 PVHI', unit: 'R-100', priority: 'High', transition: 'ACT', isAlarm: true, isChange: false },
+            { timestamp: START + 60000, tag: 'FIC1 OP', unit: 'R-100', priority: 'low', isAlarm: false, isChange: true, Desc1: 'Feed <A&B>' }
+        ]
+    },
+    {
+        id: 1, unit: 'R-200', events: [
+            { timestamp: START + 30000, tag: 'PI1 PVHI', unit: 'R-200', priority: 'Urgent', transition: 'ACT', isAlarm: true, isChange: false }
+        ]
+    }
+];
+
+describe('event-log-import', () => {
+    it('reads back an exported XES log with the session of each event as its case', () => {
+        const { events, caseCount, skipped } = eventLogImport.parseXes(eventLog.toXes(sessions));
+
+        expect(caseCount).toBe(2);
+        expect(skipped).toBe(0);
+        expect(events.map(e => [e.timestamp - START, e.tag, e.unit, e.caseId])).toEqual([
+            [0, 'PI1 PVHI', 'R-100', 'session-0'],
+            [30000, 'PI1 PVHI', 'R-200', 'session-1'],
+            [60000, 'FIC1 OP', 'R-100', 'session-0']
+        ]);
+        expect(events[0]).toMatchObject({ priority: 'High', transition: 'ACT', isAlarm: true, isChange: false });
+        expect(events[2]).toMatchObject({ isAlarm: false, isChange: true, Desc1: 'Feed <A&B>' });
+    });
+
+    it('reads plain XES logs, ignoring nested attributes and events without a timestamp', () => {
+        const xes = `<?xml version="1.0"?>
+            <log xes.version="1.0">
+              <global scope="event"><string key="concept:name" value="__INVALID__"/></global>
+              <trace>
+                <string key="concept:name" value="case &quot;7&quot;"/>
+                <string key="unit" value="C-300"/>
+                <event>
+                  <string key="concept:name" value="TI5 PVHI"/>
+                  <date key="time:timestamp" value="2024-01-01T01:00:00.000+01:00"/>
+                  <list key="details"><string key="unit" value="nested"/></list>
+                </event>
+                <event><string key="concept:name" value="TI6 PVHI"/></event>
+              </trace>
+            </log>`;
+        const { events, skipped } = eventLogImport.parseXes(xes);
+
+        expect(skipped).toBe(1);
+        expect(events).toEqual([{
+            timestamp: START, tag: 'TI5 PVHI', unit: 'C-300', priority: 'low', isAlarm: true, isChange: false, caseId: 'case "7"'
+        }]);
+        expect(() => eventLogImport.parseXes('{"events": []}')).toThrow(/Not an XES document/);
+    });
+
+    it('leaves character references beyond the Unicode range as written', () => {
+        const xes = `<log><trace><event>
+              <string key="concept:name" value="TI&#99999999;&#x41; &#x110000;"/>
+              <date key="time:timestamp" value="2024-01-01T00:00:00Z"/>
+            </event></trace></log>`;
+
+        expect(eventLogImport.parseXes(xes).events[0].tag).toBe('TI&#99999999;A &#x110000;');
+    });
+
+    it('maps OCEL tag and unit objects and takes the case from the session attribute or an object type', () => {
+        const ocel = eventLog.toOcel(sessions);
+        const { events, caseCount } = eventLogImport.parseOcel(JSON.stringify(ocel));
+
+        expect(caseCount).toBe(2);
+        expect(events.map(e => [e.tag, e.unit, e.priority, e.caseId])).toEqual([
+            ['PI1 PVHI', 'R-100', 'High', '0'],
+            ['PI1 PVHI', 'R-200', 'Urgent', '1'],
+            ['FIC1 OP', 'R-100', 'low', '0']
+        ]);
+
+        const byUnit = eventLogImport.parseOcel(ocel, { caseObjectType: 'unit' });
+        expect(byUnit.events.map(e => e.caseId)).toEqual(['unit:R-100', 'unit:R-200', 'unit:R-100']);
+        expect(() => eventLogImport.parseOcel('{"objects": []}')).toThrow(/events array missing/);
+    });
+});
@@ -0,0 +1,57 @@
+const floods = require('../utils/flood-episodes');
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+const HOUR = 60 * MIN;
+
+// A flood of `count` alarms starting with `root`, then a cascade of downstream tags
+function flood(start, root, count, unit = 'U1') {
+    const tags = ['PI200', 'FI300', 'LI400', 'TI500'];
+    return Array.from({ length: count }, (_, i) => ({
+        timestamp: start + i * 20 * SEC,
+        tag: i === 0 ? root : tags[(i - 1) % tags.length],
+        unit,
+        isAlarm: true,
+        isChange: false
+    }));
+}
+
+describe('flood-episodes', () => {
+    it('finds episodes by the ISA 18.2 start and end rates', () => {
+        const data = [
+            ...flood(0, 'PSH100', 15),
+            { timestamp: 2 * HOUR, tag: 'XA1', isAlarm: true },
+            ...Array.from({ length: 8 }, (_, i) => ({ timestamp: 3 * HOUR + i * MIN, tag: `A${i}`, isAlarm: true }))
+        ];
+        const { episodes, summary } = floods.analyzeFloods(data);
+
+        expect(episodes).toHaveLength(1);
+        expect(episodes[0]).toMatchObject({ startTime: 0, alarmCount: 15, peakRate: 15, uniqueTags: 5 });
+        // Rate falls below 5 per 10 minutes once the 5th-last alarm leaves the window
+        expect(episodes[0].endTime).toBe(10 * 20 * SEC + 10 * MIN);
+        expect(episodes[0].contributingTags[0]).toMatchObject({ tag: 'PI200', count: 4 });
+        expect(summary).toMatchObject({ episodeCount: 1, totalAlarms: 24, alarmsInFloods: 15 });
+    });
+
+    it('identifies a recurring initiating alarm from sequential patterns', () => {
+        const data = [
+            ...flood(0, 'PSH100', 15),
+            ...flood(2 * HOUR, 'PSH100', 15),
+            ...flood(4 * HOUR, 'PSH100', 15),
+            // An unrelated alarm happens to annunciate first in the last flood
+            { timestamp: 6 * HOUR - 5 * SEC, tag: 'ZZ999', isAlarm: true },
+            ...flood(6 * HOUR, 'PSH100', 15)
+        ];
+        const { episodes, summary } = floods.analyzeFloods(data);
+
+        expect(episodes).toHaveLength(4);
+        expect(episodes[3].rootAlarm).toMatchObject({ tag: 'PSH100', basis: 'sequential-pattern' });
+        expect(episodes[3].rootAlarm.supportingPatterns[0].sequence[0]).toBe('PSH100');
+        expect(summary.recurringRootAlarms).toEqual([{ tag: 'PSH100', episodes: 4 }]);
+    });
+
+    it('falls back to the first alarm without pattern support', () => {
+        const { episodes } = floods.analyzeFloods(flood(0, 'PSH100', 12));
+        expect(episodes[0].rootAlarm).toMatchObject({ tag: 'PSH100', basis: 'first-alarm', confidence: null });
+    });
+});
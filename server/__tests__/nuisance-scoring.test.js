@@ -0,0 +1,161 @@
+const nuisance = require('../utils/nuisance-scoring');
+const se = require('../utils/session-extraction');
+const tuning = require('../utils/alarm-tuning');
+
+const SEC = 1000;
+
+// Two units; TI100 chatters and is never acted on, FC200 is followed by an operator action.
+function buildJournal() {
+    const data = [];
+    for (let episode = 0; episode < 8; episode++) {
+        const start = episode * 60 * 60 * SEC;
+        for (let k = 0; k < 4; k++) {
+            data.push({ timestamp: start + k * 10 * SEC, tag: 'TI100', unit: 'U1', priority: 'low', isAlarm: true, isChange: false });
+        }
+        data.push({ timestamp: start + 60 * SEC, tag: 'FC200', unit: 'U1', priority: 'high', isAlarm: true, isChange: false });
+        data.push({ timestamp: start + 90 * SEC, tag: 'FC200.SP', unit: 'U1', priority: 'low', isAlarm: false, isChange: true });
+        data.push({ timestamp: start + 5 * SEC, tag: 'PI300', unit: 'U2', priority: 'low', isAlarm: true, isChange: false });
+    }
+    return data;
+}
+
+describe('nuisance-scoring', () => {
+    it('scores chattering, no-action alarms above acted-on alarms', () => {
+        const data = buildJournal();
+        const sessions = se.extractSessions(data);
+        const { alarms, metrics } = nuisance.analyzeNuisanceAlarms(data, sessions, sessions);
+
+        const chatter = alarms.find(a => a.tag === 'TI100');
+        const acted = alarms.find(a => a.tag === 'FC200');
+        expect(chatter.chatterOccurrences).toBeGreaterThan(0);
+        expect(acted.actionRate).toBe(1);
+        expect(chatter.nuisanceScore).toBeGreaterThan(acted.nuisanceScore);
+        expect(metrics.totalAlarms).toBe(3);
+    });
+
+    it('accumulator over streamed sessions matches the batch analysis', () => {
+        const data = buildJournal().sort((a, b) => a.timestamp - b.timestamp);
+        const sessions = se.extractSessions(data);
+        const batch = nuisance.analyzeNuisanceAlarms(data, sessions, sessions);
+
+        const accumulator = nuisance.createNuisanceAccumulator();
+        const extractor = se.createSessionExtractor(se.SESSION_FILTERS, {
+            retainSessions: false,
+            onSession: session => {
+                accumulator.addSession(session);
+                accumulator.addPatternSession(session);
+            }
+        });
+        data.forEach(event => {
+            accumulator.addEvent(event);
+            extractor.push(event);
+        });
+        extractor.finish();
+
+        expect(accumulator.finish()).toEqual(batch);
+    });
+
+    it('marks alarms stale from measured active durations, not time since last activation', async () => {
+        const HOUR = 60 * 60 * SEC;
+        const rawData = [
+            { timestamp: 0, tag: 'LONG', transition: 'ACT', isAlarm: true },
+            { timestamp: 0, tag: 'SHORT', transition: 'ACT', isAlarm: true },
+            { timestamp: 10 * 60 * SEC, tag: 'SHORT', transition: 'RTN', isAlarm: false },
+            { timestamp: 30 * HOUR, tag: 'LONG', transition: 'RTN', isAlarm: false }
+        ];
+        const { data } = await nuisance.runAutonomousRationalization({}, [], rawData);
+
+        expect(data.find(a => a.tag === 'LONG').Recommendation).toBe('Shelve');
+        expect(data.find(a => a.tag === 'SHORT').Recommendation).toBe('Keep');
+    });
+
+    it('echoes the ISA 18.2 profile by default and scores with the strict EEMUA 191 preset', () => {
+        const data = buildJournal();
+        const sessions = se.extractSessions(data);
+        const isa = nuisance.analyzeNuisanceAlarms(data, sessions, sessions);
+        const { profile } = nuisance.resolveScoringProfile('eemua-191-strict');
+        const strict = nuisance.analyzeNuisanceAlarms(data, sessions, sessions, profile);
+
+        expect(isa.profile.name).toBe('isa-18.2');
+        expect(isa.profile.weights).toEqual({ noAction: 30, chatter: 25, flood: 25, sequential: 20, fleeting: 0 });
+        expect(strict.profile.name).toBe('eemua-191-strict');
+        // TI100 chatters in 25% of its activations: acceptable under ISA 18.2, not under EEMUA 191 strict
+        const chatter = result => result.alarms.find(a => a.tag === 'TI100');
+        expect(chatter(isa).recommendation).toBe('keep');
+        expect(chatter(strict).recommendation).toBe('adjust');
+    });
+
+    it('applies custom rules and falls back to a generated reason', () => {
+        const data = buildJournal();
+        const sessions = se.extractSessions(data);
+        const { profile, errors } = nuisance.resolveScoringProfile({
+            weights: { sequential: 0 },
+            rules: [{ when: { chatterRateAbove: 0.1, occurrencesAbove: 7 }, recommendation: 'convert' }]
+        });
+        expect(errors).toEqual([]);
+        expect(profile).toMatchObject({ name: 'isa-18.2-custom', basedOn: 'isa-18.2' });
+
+        const { alarms } = nuisance.analyzeNuisanceAlarms(data, sessions, sessions, profile);
+        const chatter = alarms.find(a => a.tag === 'TI100');
+        expect(chatter.recommendation).toBe('convert');
+        expect(chatter.recommendationReason).toBe('Matched profile rule: chatter rate > 10%, occurrences > 7.');
+        expect(alarms.find(a => a.tag === 'FC200').recommendation).toBe('keep');
+    });
+
+    it('detects fleeting alarms from RTN transitions and recommends delays', () => {
+        const data = [];
+        for (let i = 0; i < 8; i++) {
+            const start = i * 60 * 60 * SEC;
+            // FL400 clears within 2 s and re-activates about 5 s later; LV500 stays active for 10 minutes
+            [0, 6, 12].forEach(offset => {
+                data.push({ timestamp: start + offset * SEC, tag: 'FL400', unit: 'U1', priority: 'low', transition: 'ACT', isAlarm: true, isChange: false });
+                data.push({ timestamp: start + (offset + (offset === 0 ? 2 : 1)) * SEC, tag: 'FL400', unit: 'U1', transition: 'RTN', isAlarm: false, isChange: false });
+            });
+            data.push({ timestamp: start + 30 * SEC, tag: 'LV500', unit: 'U1', priority: 'low', transition: 'ACT', isAlarm: true, isChange: false });
+            data.push({ timestamp: start + 630 * SEC, tag: 'LV500', unit: 'U1', transition: 'RTN', isAlarm: false, isChange: false });
+        }
+        const sessions = se.extractSessions(data);
+        const { alarms, metrics } = nuisance.analyzeNuisanceAlarms(data, sessions, sessions);
+
+        expect(alarms.find(a => a.tag === 'FL400')).toMatchObject({
+            fleetingMethod: 'rtn', fleetingActivations: 24, fleetingRate: 1,
+            recommendedOnDelaySec: 3, recommendedOffDelaySec: 10, recommendation: 'adjust'
+        });
+        // The delays are the alarm-tuning replay's, so both reports recommend the same settings
+        const tuned = tuning.analyzeAlarmTuning(data).alarms.find(a => a.tag === 'FL400');
+        expect([tuned.onDelay.recommendedSec, tuned.offDelay.recommendedSec]).toEqual([3, 10]);
+        expect(alarms.find(a => a.tag === 'LV500')).toMatchObject({ fleetingRate: 0, recommendedOnDelaySec: null });
+        expect(metrics.fleetingAlarmRate).toBe(0.5);
+
+        // Default scores keep the baseline 30/25/25/20 weighting: no action 30 + chatter 25 + flood 25,
+        // whether or not the alarm is fleeting; the fleeting preset re-weights and adds the fleeting points
+        expect(alarms.map(a => [a.tag, a.nuisanceScore])).toEqual([['FL400', 80], ['LV500', 55]]);
+        const { profile } = nuisance.resolveScoringProfile('isa-18.2-fleeting');
+        const optedIn = nuisance.analyzeNuisanceAlarms(data, sessions, sessions, profile).alarms;
+        expect(optedIn.map(a => [a.tag, a.nuisanceScore])).toEqual([['FL400', 85], ['LV500', 45]]);
+    });
+
+    it('falls back to activation pairs without transitions', () => {
+        const data = [];
+        for (let i = 0; i < 6; i++) {
+            [0, 3, 40, 43].forEach(offset => {
+                data.push({ timestamp: i * 60 * 60 * SEC + offset * SEC, tag: 'PI300', unit: 'U1', priority: 'low', isAlarm: true, isChange: false });
+            });
+        }
+        const sessions = se.extractSessions(data);
+        const pi = nuisance.analyzeNuisanceAlarms(data, sessions, sessions).alarms.find(a => a.tag === 'PI300');
+
+        // 5 s removes the 12 quick re-activations, 60 s also the 37 s gaps (18); the knee at 80% of the best is 60 s
+        expect(pi).toMatchObject({ fleetingMethod: 'activation-pairs', fleetingActivations: 12, fleetingRate: 0.5, recommendedOnDelaySec: 60 });
+        expect(nuisance.resolveScoringProfile({ fleetingSeconds: 120 }).errors).toEqual(['fleetingSeconds must be greater than 0 and at most 60']);
+    });
+
+    it('rejects invalid profiles', () => {
+        expect(nuisance.resolveScoringProfile('bogus').errors[0]).toMatch(/Unknown profile preset/);
+        expect(nuisance.resolveScoringProfile({ weights: { noAction: -1 } }).errors).toContain('weights.noAction must be a non-negative number');
+        expect(nuisance.resolveScoringProfile({ rules: [{ when: { chatterRateAbove: 2 }, recommendation: 'drop' }] }).errors).toEqual([
+            'rules[0].recommendation must be one of: keep, suppress, adjust, convert',
+            'rules[0].when.chatterRateAbove must be a rate between 0 and 1'
+        ]);
+    });
+});
@@ -0,0 +1,61 @@
+const audit = require('../utils/priority-audit');
+
+function activations(tag, priority, count) {
+    return Array.from({ length: count }, (_, i) => ({ timestamp: i * 1000, tag, priority, isAlarm: true, isChange: false }));
+}
+
+function countTags(events) {
+    const accumulator = audit.createPriorityCountAccumulator();
+    events.forEach(event => accumulator.addEvent(event));
+    return accumulator.finish().tags;
+}
+
+describe('priority-audit', () => {
+    it('takes targets from the philosophy or falls back to ISA 18.2', () => {
+        expect(audit.resolvePriorityTargets({})).toMatchObject({ targets: { high: 5, medium: 15, low: 80 }, source: 'isa-18.2' });
+        expect(audit.resolvePriorityTargets({ priority_distribution: { high: 10, medium: 20, low: 70 } }))
+            .toMatchObject({ targets: { high: 10, medium: 20, low: 70 }, source: 'philosophy' });
+        expect(audit.resolvePriorityTargets({ priority_distribution: { high: 10, medium: 20, low: 20 } }).errors)
+            .toEqual(['priority_distribution must add up to 100 (got 50)']);
+    });
+
+    it('weights the annunciated distribution by activations and names the skewing tags', () => {
+        const tagCounts = countTags([
+            ...activations('PI1 PVHI', 'High', 30),
+            ...activations('PI2 PVHI', 'High', 5),
+            ...activations('TI1 PVHI', 'Medium', 15),
+            ...activations('LI1 PVLO', 'Low', 50),
+            ...activations('XI1 BADPV', 'Journal', 400)
+        ]);
+        const result = audit.auditPriorityDistribution({ tagCounts, targets: { high: 5, medium: 15, low: 80 } });
+
+        expect(result.configured).toBeNull();
+        expect(result.annunciated).toMatchObject({ total: 100, excluded: 1, status: 'fail' });
+        expect(result.annunciated.distribution.map(d => [d.priority, d.percent, d.status])).toEqual([
+            ['high', 35, 'fail'], ['medium', 15, 'pass'], ['low', 50, 'fail']
+        ]);
+        // PI1 alone covers the 30-point excess of the high tier
+        expect(result.annunciated.skewingTags).toEqual([
+            { tag: 'PI1 PVHI', priority: 'High', level: 'high', activations: 30, contribution: 30 }
+        ]);
+    });
+
+    it('counts each configured alarm once and ranks skewing alarms by activations', () => {
+        const tagCounts = countTags([...activations('PI1 PVHI', 'High', 8), ...activations('PI3', 'High', 3)]);
+        const configured = [
+            { alarm: 'PI1 PVHI', priority: 'High' },
+            { alarm: 'PI2 PVHI', priority: 'High' },
+            { alarm: 'PI3 PVHI', priority: 'Urgent' },
+            { alarm: 'TI1 PVHI', priority: 'Low' },
+            { alarm: 'XI1 BADPV', priority: 'Journal' },
+            { alarm: 'FI1 PVLO', priority: '' }
+        ];
+        const result = audit.auditPriorityDistribution({ tagCounts, configured, targets: { high: 5, medium: 15, low: 80 } });
+
+        expect(result.configured).toMatchObject({ total: 4, excluded: 2 });
+        expect(result.configured.distribution[0]).toMatchObject({ priority: 'high', count: 3, percent: 75 });
+        expect(result.configured.skewingTags.map(t => [t.tag, t.activations])).toEqual([
+            ['PI1 PVHI', 8], ['PI3 PVHI', 3], ['PI2 PVHI', 0]
+        ]);
+    });
+});
@@ -0,0 +1,142 @@
+const pm = require('../utils/process-mining');
+
+const alarm = tag => ({ tag, isAlarm: true, isChange: false });
+const change = tag => ({ tag, isAlarm: false, isChange: true });
+
+function session(id, events, unit = 'U1') {
+    return { id, unit, startTime: id * 1000, events };
+}
+
+describe('process-mining timing', () => {
+    it('annotates activities and causal edges with median, p90 and max transition times', () => {
+        const MIN = 60 * 1000;
+        // Operator response to PI1 takes 1..10 minutes, PI2 follows the action after 30 s
+        const sessions = Array.from({ length: 10 }, (_, i) => session(i, [
+            { ...alarm('PI1'), timestamp: 0 },
+            { ...change('FIC1'), timestamp: (i + 1) * MIN },
+            { ...alarm('PI2'), timestamp: (i + 1) * MIN + 30000 }
+        ]));
+        const graph = pm.buildProcessGraph(sessions);
+        const response = graph.edges.find(e => e.from === '[A] PI1' && e.to === '[C] FIC1');
+
+        expect(response.timing).toEqual({ count: 10, medianMs: 6 * MIN, p90Ms: 10 * MIN, maxMs: 10 * MIN });
+        expect(response.title).toContain('Median: 6m | P90: 10m | Max: 10m');
+        expect(graph.edges.find(e => e.from === '[C] FIC1').timing).toMatchObject({ medianMs: 30000, maxMs: 30000 });
+        expect(graph.nodes.find(n => n.id === '[A] PI1').timing.medianMs).toBe(6 * MIN);
+        expect(graph.nodes.find(n => n.id === '[A] PI2').timing).toBeNull();
+    });
+});
+
+describe('process-mining conformance', () => {
+    // Normal operation: high pressure alarm, operator opens the controller, the downstream alarm follows
+    const golden = Array.from({ length: 10 }, (_, i) => session(i, [alarm('PI1'), change('FIC1'), alarm('PI2')]));
+    const model = pm.createReferenceModel(golden, {}, 'U1');
+
+    it('keeps the mined net, start and end activities as the reference model', () => {
+        expect(model.unit).toBe('U1');
+        expect(model.activities.sort()).toEqual(['[A] PI1', '[A] PI2', '[C] FIC1']);
+        expect(model.edges).toEqual(expect.arrayContaining([['[A] PI1', '[C] FIC1'], ['[C] FIC1', '[A] PI2']]));
+        expect(model.startActivities).toEqual(['[A] PI1']);
+        expect(model.endActivities).toEqual(['[A] PI2']);
+        expect(pm.validateReferenceModel(model)).toEqual([]);
+        expect(pm.validateReferenceModel({ activities: [], edges: [], startActivities: [], endActivities: [] })).toEqual(['model has no activities']);
+    });
+
+    it('token-replays sessions and classifies deviations', () => {
+        const result = pm.checkConformance([
+            session(20, [alarm('PI1'), change('FIC1'), alarm('PI2')]),
+            // Operator never responded: PI2 arrives without FIC1
+            session(21, [alarm('PI1'), alarm('PI2')]),
+            // An action the reference model does not know
+            session(22, [alarm('PI1'), change('FIC1'), change('XV9'), alarm('PI2')]),
+            session(23, [alarm('PI1'), alarm('PI2')], 'U2')
+        ], model, { threshold: 0.9 });
+
+        expect(result.summary).toMatchObject({ sessions: 3, conforming: 1, deviating: 2 });
+        const [skipped, unknown] = result.deviatingSessions;
+        expect(skipped).toMatchObject({ sessionId: 21, fitness: 0.667, missing: 1, remaining: 1 });
+        expect(skipped.deviations.map(d => [d.tag, d.kind, d.reason])).toEqual([
+            ['PI2', 'alarm-cascade', 'unexpected-order'],
+            ['PI1', 'operator-response', 'missing-follow-up']
+        ]);
+        expect(unknown).toMatchObject({ sessionId: 22, fitness: 0.8 });
+        expect(unknown.deviations[0]).toMatchObject({ tag: 'XV9', kind: 'operator-response', reason: 'unknown-activity' });
+        expect(result.summary.operatorResponseDeviations).toBe(2);
+    });
+
+    it('treats immediate repeats as conforming and reports a perfect fit for reference sessions', () => {
+        const result = pm.checkConformance([session(30, [alarm('PI1'), alarm('PI1'), change('FIC1'), alarm('PI2')])], model);
+        expect(result.summary).toMatchObject({ sessions: 1, deviating: 0, avgFitness: 1 });
+    });
+});
+
+describe('process-mining inductive miner', () => {
+    // Compact notation, e.g. 'sequence(PI1, xor(τ, FIC1))'
+    const show = node => {
+        if (node.type === 'activity') return node.label.slice(4);
+        if (node.type === 'tau') return 'τ';
+        return `${node.operator}(${node.children.map(show).join(', ')})`;
+    };
+    const mine = (traces, filters) => pm.discoverProcessTree(traces.map((events, i) => session(i, events)), filters);
+
+    it('finds sequence, choice, parallel and loop blocks', () => {
+        expect(show(mine([
+            [alarm('PI1'), change('FIC1'), alarm('PI2')],
+            [alarm('PI1'), change('XV1'), alarm('PI2')],
+            [alarm('PI1'), change('FIC1'), alarm('PI2')]
+        ]).tree)).toBe('sequence(PI1, xor(FIC1, XV1), PI2)');
+
+        expect(show(mine([
+            [alarm('PI1'), alarm('TI1'), alarm('LI1'), change('FIC1')],
+            [alarm('PI1'), alarm('LI1'), alarm('TI1'), change('FIC1')]
+        ]).tree)).toBe('sequence(PI1, parallel(TI1, LI1), FIC1)');
+
+        // Operator retries the controller until the alarm clears
+        const retried = mine([
+            [alarm('PI1'), change('FIC1')],
+            [alarm('PI1'), change('FIC1'), alarm('PI2'), alarm('PI1'), change('FIC1')]
+        ]);
+        expect(show(retried.tree)).toBe('loop(sequence(PI1, FIC1), PI2)');
+        expect(retried.stats).toMatchObject({ traces: 2, variants: 2, activities: 3, operators: { loop: 1, sequence: 1 }, flowers: 0 });
+    });
+
+    it('makes skipped steps optional and filters infrequent behaviour', () => {
+        expect(show(mine([[alarm('PI1'), change('FIC1'), alarm('PI2')], [alarm('PI1'), alarm('PI2')]], { noiseThreshold: 0 }).tree))
+            .toBe('sequence(PI1, xor(τ, FIC1), PI2)');
+
+        // One in twenty sessions sees PI2 before the action; the noise filter keeps the main path,
+        // plain IM fits it with a loop
+        const traces = Array.from({ length: 19 }, () => [alarm('PI1'), change('FIC1'), alarm('PI2')]);
+        traces.push([alarm('PI1'), alarm('PI2'), change('FIC1'), alarm('PI2')]);
+        expect(show(mine(traces, { noiseThreshold: 0.2 }).tree)).toBe('sequence(PI1, FIC1, PI2)');
+        expect(show(mine(traces, { noiseThreshold: 0 }).tree)).toBe('sequence(PI1, loop(sequence(xor(τ, FIC1), PI2), τ))');
+    });
+});
+
+describe('process-mining variants', () => {
+    it('drops variants below the minimum session count', () => {
+        const sessions = [
+            session(0, [alarm('PI1'), change('FIC1')]),
+            session(1, [alarm('PI1'), change('FIC1')]),
+            session(2, [alarm('PI1'), change('XV1')])
+        ];
+        const variants = pm.discoverProcessVariants(sessions, { minCount: 2 });
+
+        expect(variants).toHaveLength(1);
+        expect(variants[0]).toMatchObject({ count: 2, sessionIds: [0, 1] });
+    });
+
+    it('aligns two variants and reports where the operator responses diverged', () => {
+        const result = pm.diffVariants(
+            ['[A] PI1', '[C] FIC1', '[A] PI2', '[C] XV1'],
+            ['[A] PI1', '[C] HIC2', '[A] PI2', '[A] PI3', '[C] XV1']
+        );
+
+        expect(result.rows.map(r => r.status)).toEqual(['same', 'changed', 'same', 'only-b', 'same']);
+        expect(result.divergences.map(d => [d.after, d.a, d.b, d.operatorResponse])).toEqual([
+            ['[A] PI1', ['[C] FIC1'], ['[C] HIC2'], true],
+            ['[A] PI2', [], ['[A] PI3'], false]
+        ]);
+        expect(result.summary).toMatchObject({ same: 3, different: 2, similarity: 0.6, firstDivergence: 1, operatorResponseDivergences: 1 });
+    });
+});
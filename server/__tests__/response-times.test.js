@@ -0,0 +1,75 @@
+const rt = require('../utils/response-times');
+
+const MIN = 60 * 1000;
+
+const PHILOSOPHY = {
+    priority_matrix: [
+        { severity: 'Minor', max_response_time: '>30 minutes', priority: 'No Alarm' },
+        { severity: 'Major', max_response_time: '10 to 30 minutes', priority: 'Low' },
+        { severity: 'Major', max_response_time: '3 to 10 minutes', priority: 'High' },
+        { severity: 'Severe', max_response_time: '<3 minutes', priority: 'Emergency' }
+    ]
+};
+
+describe('response-times', () => {
+    it('parses documented response times', () => {
+        expect(rt.parseResponseTime('<3 minutes')).toEqual({ minMs: 0, maxMs: 3 * MIN });
+        expect(rt.parseResponseTime('3 to 10 minutes')).toEqual({ minMs: 3 * MIN, maxMs: 10 * MIN });
+        expect(rt.parseResponseTime('>30 minutes').maxMs).toBeNull();
+        expect(rt.parseResponseTime('30 s').maxMs).toBe(30 * 1000);
+        expect(rt.parseResponseTime('soon')).toBeNull();
+    });
+
+    it('takes the longest documented limit per priority level', () => {
+        const limits = rt.responseLimits(PHILOSOPHY.priority_matrix);
+        expect(limits.high.maxMs).toBe(10 * MIN);
+        expect(limits.low.maxMs).toBe(30 * MIN);
+        expect(limits.medium).toBeUndefined();
+    });
+
+    it('flags priorities and alarms acknowledged slower than documented', () => {
+        const data = [];
+        for (let i = 0; i < 4; i++) {
+            const start = i * 60 * MIN;
+            data.push({ tag: 'PI1', unit: 'U1', priority: 'high', timestamp: start, isAlarm: true, transition: 'ACT' });
+            data.push({ tag: 'PI1', unit: 'U1', priority: 'high', timestamp: start + 15 * MIN, transition: 'ACK' });
+            data.push({ tag: 'TI2', unit: 'U1', priority: 'low', timestamp: start + 1 * MIN, isAlarm: true, ackTimestamp: start + 3 * MIN });
+        }
+        const result = rt.analyzeResponseTimes(data, PHILOSOPHY);
+        const high = result.priorities.find(p => p.priority === 'high');
+        const low = result.priorities.find(p => p.priority === 'low');
+
+        expect(high).toMatchObject({ alarms: 4, status: 'unrealistic', exceedingPercent: 100 });
+        expect(high.timeToAck.medianMs).toBe(15 * MIN);
+        expect(low).toMatchObject({ status: 'ok' });
+        expect(low.timeToAck.medianMs).toBe(2 * MIN);
+        expect(result.flaggedAlarms.map(a => a.tag)).toEqual(['PI1']);
+        expect(result.summary.unrealisticPriorities).toEqual(['high']);
+    });
+
+    it('falls back to time to first action within the action window', () => {
+        const data = [
+            { tag: 'A', unit: 'U1', priority: 'high', timestamp: 0, isAlarm: true },
+            { tag: 'B', unit: 'U2', priority: 'high', timestamp: 0, isAlarm: true },
+            { tag: 'A.SP', unit: 'U1', timestamp: 2 * MIN, isChange: true },
+            { tag: 'B.SP', unit: 'U2', timestamp: 9 * MIN, isChange: true }
+        ];
+        const high = rt.analyzeResponseTimes(data).priorities.find(p => p.priority === 'high');
+        expect(high.timeToFirstAction).toMatchObject({ count: 1, medianMs: 2 * MIN });
+        expect(high.unanswered).toBe(1);
+        expect(high.status).toBe('n/a');
+    });
+
+    it('expires alarms without an action in time as unanswered', () => {
+        const accumulator = rt.createResponseAccumulator();
+        // A unit without operator actions: each alarm expires once the next one is an action window later
+        for (let i = 0; i < 100; i++) {
+            accumulator.addEvent({ tag: `PI${i}`, unit: 'U1', priority: 'low', timestamp: i * 10 * MIN, isAlarm: true });
+        }
+        accumulator.addEvent({ tag: 'FIC1.SP', unit: 'U1', timestamp: 990 * MIN + 30000, isChange: true });
+        const low = accumulator.finish().priorities.find(p => p.priority === 'low');
+
+        expect(low).toMatchObject({ alarms: 100, unanswered: 99 });
+        expect(low.timeToFirstAction).toMatchObject({ count: 1, medianMs: 30000 });
+    });
+});
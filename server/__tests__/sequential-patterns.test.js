@@ -0,0 +1,68 @@
+const sp = require('../utils/sequential-patterns');
+const nuisance = require('../utils/nuisance-scoring');
+
+const SEC = 1000;
+
+function sequence(...items) {
+    return items.map(([tag, sec]) => ({ tag, timestamp: sec * SEC }));
+}
+
+// 10 sessions: PSL100 -> PAL200 within seconds in 6, PSL100 alone in 2, unrelated noise in 2
+function journal() {
+    return [
+        ...Array.from({ length: 6 }, () => sequence(['PSL100', 0], ['XI1', 5], ['PAL200', 20])),
+        sequence(['PSL100', 0], ['XI1', 10]),
+        sequence(['PSL100', 0], ['XI2', 10]),
+        sequence(['XI1', 0], ['XI2', 10]),
+        sequence(['XI2', 0], ['XI1', 10])
+    ];
+}
+
+describe('sequential-patterns', () => {
+    it('reports support, confidence and lift for time-constrained patterns', () => {
+        const { patterns } = sp.minePatterns(journal());
+        const rule = patterns.find(p => p.sequence.join('>') === 'PSL100>PAL200');
+
+        expect(rule).toMatchObject({ count: 6, support: 0.6, confidence: 0.75 });
+        // P(PAL200) = 0.6, so lift = 0.75 / 0.6
+        expect(rule.lift).toBe(1.25);
+        // XI1 appears in most sessions regardless of PSL100: no lift, not reported
+        expect(patterns.find(p => p.sequence.join('>') === 'PSL100>XI1')).toBeUndefined();
+    });
+
+    it('ignores alarms outside the time window', () => {
+        const far = Array.from({ length: 5 }, () => sequence(['A', 0], ['B', 600]));
+        expect(sp.minePatterns(far).pairs).toEqual([]);
+        expect(sp.minePatterns(far, { windowMs: 15 * 60 * SEC }).pairs[0]).toMatchObject({ sequence: ['A', 'B'], count: 5 });
+    });
+
+    it('grows longer patterns only where every step occurs in order', () => {
+        const data = [
+            ...Array.from({ length: 4 }, () => sequence(['A', 0], ['B', 10], ['C', 20])),
+            ...Array.from({ length: 4 }, () => sequence(['A', 0], ['C', 10], ['B', 20])),
+            ...Array.from({ length: 4 }, () => sequence(['X', 0]))
+        ];
+        const { patterns } = sp.minePatterns(data, { minLift: 0 });
+        expect(patterns.find(p => p.sequence.join('>') === 'A>B>C')).toMatchObject({ count: 4, confidence: 0.5 });
+    });
+
+    it('labels consequential alarms from coverage and lift, not position alone', () => {
+        const consequential = sp.consequentialAlarms(sp.minePatterns(journal()));
+
+        expect(consequential.get('PAL200')).toMatchObject({ cause: 'PSL100', coverage: 1, support: 6 });
+        expect(consequential.has('XI1')).toBe(false);
+        expect(consequential.has('PSL100')).toBe(false);
+    });
+
+    it('feeds the consequential label into nuisance scoring', () => {
+        const sessions = journal().map(alarms => ({
+            events: alarms.map(a => ({ ...a, unit: 'U1', priority: 'low', isAlarm: true, isChange: false }))
+        }));
+        const data = sessions.flatMap(s => s.events);
+        const { profile } = nuisance.resolveScoringProfile({ minOccurrences: 0 });
+        const { alarms } = nuisance.analyzeNuisanceAlarms(data, sessions, sessions, profile);
+
+        expect(alarms.find(a => a.tag === 'PAL200')).toMatchObject({ consequentialOf: { cause: 'PSL100' } });
+        expect(alarms.find(a => a.tag === 'XI1').consequentialOf).toBeNull();
+    });
+});
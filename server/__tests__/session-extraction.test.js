@@ -0,0 +1,157 @@
+const se = require('../utils/session-extraction');
+
+const MIN = 60 * 1000;
+
+function burst(unit, start, count, spacingMs = 10 * 1000) {
+    return Array.from({ length: count }, (_, i) => ({
+        tag: `${unit}-TAG${i % 3}`,
+        unit,
+        timestamp: start + i * spacingMs,
+        isAlarm: i % 2 === 0,
+        isChange: i % 2 === 1
+    }));
+}
+
+describe('session-extraction', () => {
+    it('keeps default behaviour when no overrides are given', () => {
+        const data = [...burst('U1', 0, 6), ...burst('U1', 60 * MIN, 2)];
+        const sessions = se.extractSessions(data);
+        expect(sessions).toHaveLength(1);
+        expect(sessions[0].events).toHaveLength(6);
+    });
+
+    it('reports how many candidates each filter rejected', () => {
+        const data = [
+            ...burst('U1', 0, 6),
+            ...burst('U1', 60 * MIN, 2),
+            ...burst('U2', 0, 12)
+        ];
+        const { filters } = se.resolveSessionFilters({ maxEvents: 10 });
+        const { sessions, report } = se.extractSessionsWithReport(data, filters);
+
+        expect(sessions).toHaveLength(1);
+        expect(report.candidateSessions).toBe(3);
+        expect(report.acceptedSessions).toBe(1);
+        expect(report.rejected).toEqual({ tooSmall: 1, tooLarge: 1, exceededMaxDuration: 0 });
+        expect(report.discardedEvents).toBe(14);
+        expect(report.filters.maxEvents).toBe(10);
+    });
+
+    it('counts sessions split by the max duration cap', () => {
+        const data = burst('U1', 0, 40, 4 * MIN);
+        const { filters } = se.resolveSessionFilters({ maxDurationHours: 1 });
+        const { sessions, report } = se.extractSessionsWithReport(data, filters);
+
+        expect(report.maxDurationSplits).toBe(2);
+        expect(sessions).toHaveLength(3);
+    });
+
+    it('omits rejected sessions unless requested', () => {
+        const result = se.extractSessionsWithReport(burst('U1', 0, 2));
+        expect(result.rejectedSessions).toBeUndefined();
+    });
+
+    it('returns rejected sessions tagged with their rejection reason', () => {
+        const data = [
+            ...burst('U1', 0, 2),
+            ...burst('U2', 0, 12),
+            ...burst('U3', 0, 12, 20 * MIN / 11),
+            ...burst('U3', 21 * MIN, 1),
+            ...burst('U4', 0, 6)
+        ];
+        const { filters } = se.resolveSessionFilters({ maxEvents: 10, maxDurationHours: 1 / 3 });
+        const { sessions, rejectedSessions, report } = se.extractSessionsWithReport(data, filters, { includeRejected: true });
+
+        expect(sessions).toHaveLength(1);
+        const reasons = rejectedSessions.map(s => `${s.unit}:${s.rejectionReason}`).sort();
+        expect(reasons).toEqual(['U1:too_small', 'U2:too_large', 'U3:exceeded_max_duration', 'U3:too_small']);
+        expect(report.rejected).toEqual({ tooSmall: 2, tooLarge: 1, exceededMaxDuration: 1 });
+        rejectedSessions.forEach(session => {
+            expect(Array.isArray(session.tags)).toBe(true);
+            expect(session.descriptions).toBeUndefined();
+        });
+    });
+
+    it('uses the session timeout override', () => {
+        const data = [...burst('U1', 0, 4), ...burst('U1', 20 * MIN, 4)];
+        expect(se.extractSessions(data)).toHaveLength(2);
+
+        const { filters } = se.resolveSessionFilters({ sessionTimeoutMinutes: 30 });
+        expect(se.extractSessions(data, filters)).toHaveLength(1);
+    });
+
+    it('leaves return-to-normal and acknowledgement transitions out of sessions', () => {
+        const data = burst('U1', 0, 4).flatMap(event => [
+            { ...event, transition: 'ACT' },
+            { ...event, timestamp: event.timestamp + 1000, transition: 'RTN', isAlarm: false, isChange: false }
+        ]);
+        const sessions = se.extractSessions(data);
+        expect(sessions).toHaveLength(1);
+        expect(sessions[0].events.every(e => e.transition === 'ACT')).toBe(true);
+    });
+
+    it('segments by case id when asked, regardless of gaps and interleaving', () => {
+        // Two interleaved cases in one unit, the second with a 30-minute gap
+        const data = burst('U1', 0, 8, 10 * MIN).map((event, i) => ({ ...event, caseId: i % 2 === 0 ? 'c1' : 'c2' }));
+        expect(se.extractSessions(data)).toHaveLength(0);
+
+        const { filters, errors } = se.resolveSessionFilters({ segmentBy: 'case', maxDurationHours: 1 });
+        expect(errors).toEqual([]);
+        const { sessions, report } = se.extractSessionsWithReport(data, filters);
+        expect(sessions.map(s => [s.caseId, s.events.length])).toEqual([['c1', 4], ['c2', 4]]);
+        expect(report.filters.segmentBy).toBe('case');
+        expect(se.resolveSessionFilters({ segmentBy: 'trace' }).errors).toEqual(['segmentBy must be one of: time, case']);
+    });
+
+    it('rejects invalid overrides', () => {
+        expect(se.resolveSessionFilters({ minEvents: 'a' }).errors).toContain('minEvents must be a number');
+        expect(se.resolveSessionFilters({ minEvents: 2.5 }).errors).toContain('minEvents must be an integer');
+        expect(se.resolveSessionFilters({ maxDurationHours: 0 }).errors[0]).toMatch(/between/);
+        expect(se.resolveSessionFilters({ minEvents: 50, maxEvents: 10 }).errors).toContain('minEvents must not exceed maxEvents');
+        expect(se.resolveSessionFilters({ bogus: 1 }).errors).toContain('Unknown filter: bogus');
+        expect(se.resolveSessionFilters([]).errors).toContain('filters must be an object');
+    });
+
+    it('does not mutate the default filters', () => {
+        se.resolveSessionFilters({ minEvents: 2 });
+        expect(se.SESSION_FILTERS.MIN_EVENTS).toBe(4);
+    });
+});
+
+describe('correlateSessions', () => {
+    const sessionsFor = (data) => se.extractSessions(data);
+
+    it('merges overlapping sessions from different units into one episode', () => {
+        const sessions = sessionsFor([
+            ...burst('Reactor', 0, 6),
+            ...burst('Separation', 30 * 1000, 6),
+            ...burst('Utilities', 60 * MIN, 6)
+        ]);
+        const { episodes, summary } = se.correlateSessions(sessions);
+
+        expect(episodes).toHaveLength(1);
+        expect(episodes[0].units).toEqual(['Reactor', 'Separation']);
+        expect(episodes[0].initiatingUnit).toBe('Reactor');
+        expect(episodes[0].propagation[1].delayMs).toBe(30 * 1000);
+        expect(summary.correlatedSessions).toBe(2);
+        expect(summary.totalSessions).toBe(3);
+    });
+
+    it('orders propagation by first alarm rather than first event', () => {
+        const reactor = burst('Reactor', 0, 6).map(e => ({ ...e, isAlarm: false, isChange: true }));
+        reactor[5].isAlarm = true;
+        const sessions = sessionsFor([...reactor, ...burst('Separation', 10 * 1000, 6)]);
+        const { episodes } = se.correlateSessions(sessions);
+
+        expect(episodes[0].initiatingUnit).toBe('Separation');
+    });
+
+    it('honours toleranceMinutes for sessions that touch but do not overlap', () => {
+        const sessions = sessionsFor([
+            ...burst('Reactor', 0, 6),
+            ...burst('Separation', 3 * MIN, 6)
+        ]);
+        expect(se.correlateSessions(sessions, { toleranceMinutes: 0 }).episodes).toHaveLength(0);
+        expect(se.correlateSessions(sessions, { toleranceMinutes: 5 }).episodes).toHaveLength(1);
+    });
+});
@@ -0,0 +1,57 @@
+const shifts = require('../utils/shift-analysis');
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+const ANCHOR = Date.UTC(2024, 0, 1);
+
+function alarm(timestamp, tag = 'TI100') {
+    return { timestamp, tag, unit: 'U1', priority: 'low', isAlarm: true, isChange: false };
+}
+
+describe('shift-analysis', () => {
+    const { calendar } = shifts.resolveShiftCalendar();
+
+    it('assigns night shifts past midnight to the day they started', () => {
+        expect(shifts.shiftOf(ANCHOR + 10 * HOUR, calendar)).toMatchObject({ shift: 'Day', crew: 'A' });
+        expect(shifts.shiftOf(ANCHOR + DAY + 3 * HOUR, calendar)).toMatchObject({ shift: 'Night', crew: 'D' });
+        expect(shifts.shiftOf(ANCHOR + 2 * DAY + 19 * HOUR, calendar)).toMatchObject({ shift: 'Night', crew: 'A' });
+        // Local plant time one hour ahead of UTC: 05:30 UTC is already the day shift
+        const cet = shifts.resolveShiftCalendar({ timezoneOffsetMinutes: 60 }).calendar;
+        expect(shifts.shiftOf(ANCHOR + 5.5 * HOUR, cet).shift).toBe('Day');
+    });
+
+    it('validates calendars and generates a rotation for custom shifts', () => {
+        expect(shifts.resolveShiftCalendar({ shifts: [{ name: 'Day', start: '25:00' }] }).errors).toContain('shifts[0].start must be HH:MM');
+        expect(shifts.resolveShiftCalendar({ rotation: { anchorDate: '2024-01-01', pattern: [['A', 'X']] } }).errors)
+            .toContain('rotation.pattern[0] names a crew that is not in crews');
+
+        const three = shifts.resolveShiftCalendar({
+            shifts: [{ name: 'Night', start: '22:00' }, { name: 'Early', start: '06:00' }, { name: 'Late', start: '14:00' }],
+            crews: ['A', 'B', 'C', 'D', 'E']
+        });
+        expect(three.errors).toEqual([]);
+        expect(three.calendar.shifts.map(s => s.name)).toEqual(['Early', 'Late', 'Night']);
+        expect(three.calendar.rotation.pattern.slice(0, 2)).toEqual([['A', 'B', 'C'], ['D', 'E', 'A']]);
+    });
+
+    it('reports load, flood time and nuisance alarms per shift and crew', () => {
+        const data = [];
+        // Two alarms per hour around the clock, from the first day shift (crew A) to the end of the first night (crew D)
+        for (let h = 6; h < 30; h++) data.push(alarm(ANCHOR + h * HOUR + 5 * MIN), alarm(ANCHOR + h * HOUR + 35 * MIN));
+        // A 20-minute flood of chattering XA1 at 20:00 on the first night
+        for (let i = 0; i < 40; i++) data.push(alarm(ANCHOR + 20 * HOUR + i * 30 * 1000, 'XA1'));
+        data.push({ timestamp: ANCHOR + 11 * HOUR, tag: 'FIC1.SP', unit: 'U1', isAlarm: false, isChange: true });
+
+        const result = shifts.analyzeShifts(data, calendar);
+        const night = result.shifts.find(s => s.name === 'Night');
+        const day = result.shifts.find(s => s.name === 'Day');
+
+        expect(day).toMatchObject({ alarms: 24, actions: 1, floodMs: 0, shiftsWorked: 1 });
+        expect(night).toMatchObject({ alarms: 64, floodMs: 20 * MIN });
+        expect(result.crews.find(c => c.name === 'D')).toMatchObject({ alarms: 64 });
+        expect(result.crews.find(c => c.name === 'B').alarms).toBe(0);
+        expect(night.nuisanceAlarms).toBeGreaterThanOrEqual(40);
+        expect(result.summary).toMatchObject({ busiestShift: 'Night', busiestCrew: 'D', mostFloodedShift: 'Night' });
+    });
+});
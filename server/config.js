@@ -5,6 +5,9 @@
 
 require('dotenv').config();
 
+const os = require('os');
+const path = require('path');
+
 module.exports = {
     azureOpenAI: {
         apiKey: process.env.AZURE_OPENAI_API_KEY,
@@ -20,6 +23,11 @@ module.exports = {
         corsOrigin: process.env.CORS_ORIGIN || '*',
         bodyLimit: process.env.BODY_LIMIT || '50mb'
     },
+    datasets: {
+        dir: process.env.DATASET_DIR || path.join(os.tmpdir(), 'alarm-analyzer-datasets'),
+        chunkLimit: process.env.DATASET_CHUNK_LIMIT || '20mb',
+        importLimit: process.env.DATASET_IMPORT_LIMIT || '100mb'
+    },
     rateLimiting: {
         windowMs: 15 * 60 * 1000,  // 15 minutes
         maxRequests: parseInt(process.env.RATE_LIMIT_MAX) || 100
@@ -135,6 +135,11 @@ Output MUST be valid JSON with this exact structure:
       "entry": "Loss >$100k"
     }
   ],
+  "priority_distribution": {
+    "high": 5,
+    "medium": 15,
+    "low": 80
+  },
   "rules": [
     {
       "id": "ALM-001",
@@ -157,6 +162,8 @@ CRITICAL INSTRUCTIONS:
 - Extract ALL values from the provided document - do NOT use the example values above
 - The priority_matrix should contain all combinations of severity levels and response time ranges found in the document
 - The severity_matrix should define what each severity level means for each impact category
+- priority_distribution holds the document's target share (percent) of annunciated alarms per priority tier,
+  adding up to 100. Count emergency/urgent/critical priorities as "high". Use null if the document states no targets
 - Include ALL rules found in the document in the "rules" array
 - The "site_specific_rules" array is a CURATED SUBSET of "rules" containing ONLY rules that directly
   affect per-alarm rationalization decisions. Include rules in these categories (if present in the document):
@@ -10,17 +10,147 @@ const ai = require('../utils/alarm-intelligence');
 const nuisance = require('../utils/nuisance-scoring');
 const pm = require('../utils/process-mining');
 const se = require('../utils/session-extraction');
+const kpi = require('../utils/alarm-kpis');
+const durations = require('../utils/alarm-durations');
+const responses = require('../utils/response-times');
+const tuning = require('../utils/alarm-tuning');
+const floods = require('../utils/flood-episodes');
+const correlation = require('../utils/alarm-correlation');
+const comparison = require('../utils/dataset-comparison');
+const trends = require('../utils/alarm-trends');
+const shifts = require('../utils/shift-analysis');
+const consoles = require('../utils/console-mapping');
+const priorityAudit = require('../utils/priority-audit');
+const eventLog = require('../utils/event-log-export');
+const { datasetStore } = require('../services/dataset-store');
+
+/**
+ * Sends a datasetStore.cached() result, flagging cache hits in the X-Cache header.
+ */
+function _sendCached(res, { result, cacheHit }) {
+    res.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    res.json(result);
+}
+
+/**
+ * Resolves the optional { consoleMapping, console } of a request body into a console scope:
+ * { mapping, console, accepts(event) }. Returns { scope, error }; scope is null when no console is selected.
+ */
+function _consoleScope(body) {
+    const { mapping, errors } = consoles.resolveConsoleMapping(body.consoleMapping);
+    if (errors.length > 0) return { scope: null, error: `Invalid console mapping: ${errors.join('; ')}` };
+    if (body.console === undefined || body.console === null) return { scope: null, error: null };
+    if (!mapping) return { scope: null, error: 'console requires a consoleMapping' };
+    if (!consoles.consoleNames(mapping).includes(body.console)) {
+        return { scope: null, error: `Unknown console: ${body.console}` };
+    }
+    const consoleOf = consoles.compileConsoleMapping(mapping);
+    return { scope: { mapping, console: body.console, accepts: event => consoleOf(event) === body.console }, error: null };
+}
+
+/**
+ * Cache params of a console scope (merged into an operation's params only when a console is selected,
+ * so unscoped results keep their existing cache entries).
+ */
+function _scopeParams(scope) {
+    return scope ? { consoleMapping: scope.mapping, console: scope.console } : {};
+}
+
+/**
+ * Streams a stored dataset's events, keeping only those of the scoped console.
+ */
+function _forEachScopedEvent(datasetId, scope, fn) {
+    return datasetStore.forEachEvent(datasetId, scope ? event => { if (scope.accepts(event)) fn(event); } : fn);
+}
+
+/**
+ * Extracts sessions from a stored dataset. Rejected sessions are only kept (in memory and in the
+ * cache entry) when the caller asks for them.
+ */
+function _datasetSessions(datasetId, filters, includeRejected = false) {
+    return datasetStore.cached(datasetId, 'extract-sessions', { filters, includeRejected }, async () => {
+        const extractor = se.createSessionExtractor(filters, { includeRejected });
+        await datasetStore.forEachEvent(datasetId, event => extractor.push(event));
+        return extractor.finish();
+    });
+}
+
+/**
+ * Sessions of a process-mining or correlation request: { sessions } as posted, or { datasetId, segmentation?, sessionIds? }
+ * taken from the dataset's cached extraction. Returns { sessions, error }.
+ */
+async function _requestSessions(body) {
+    const { datasetId, sessionIds } = body;
+    if (!datasetId) {
+        if (!Array.isArray(body.sessions)) return { sessions: null, error: 'sessions array or datasetId is required' };
+        const invalid = body.sessions.findIndex(session => !session || typeof session !== 'object' || !Array.isArray(session.events));
+        return invalid === -1
+            ? { sessions: body.sessions, error: null }
+            : { sessions: null, error: `sessions[${invalid}] must be a session with an events array` };
+    }
+    const { filters: segmentation, errors } = se.resolveSessionFilters(body.segmentation);
+    if (errors.length > 0) return { sessions: null, error: `Invalid session filters: ${errors.join('; ')}` };
+    if (sessionIds !== undefined && !Array.isArray(sessionIds)) return { sessions: null, error: 'sessionIds must be an array' };
+
+    let { sessions } = (await _datasetSessions(datasetId, segmentation)).result;
+    if (sessionIds) {
+        const selected = new Set(sessionIds);
+        sessions = sessions.filter(s => selected.has(s.id));
+    }
+    return { sessions, error: null };
+}
+
+/**
+ * Nuisance-scores a stored dataset, extracting sessions incrementally while streaming its events.
+ */
+function _datasetNuisance(datasetId, filters, profile, scope = null) {
+    return datasetStore.cached(datasetId, 'nuisance-alarms', { filters, profile, ..._scopeParams(scope) }, async () => {
+        const accumulator = nuisance.createNuisanceAccumulator(profile);
+        const extractor = se.createSessionExtractor(filters, {
+            retainSessions: false,
+            onSession: session => {
+                accumulator.addSession(session);
+                accumulator.addPatternSession(session);
+            }
+        });
+        await _forEachScopedEvent(datasetId, scope, event => {
+            accumulator.addEvent(event);
+            extractor.push(event);
+        });
+        extractor.finish();
+        return accumulator.finish();
+    });
+}
+
+/**
+ * Finds the flood episodes of a stored dataset.
+ */
+function _datasetFloods(datasetId, scope = null) {
+    return datasetStore.cached(datasetId, 'flood-episodes', _scopeParams(scope), async () => {
+        const accumulator = floods.createFloodAccumulator();
+        await _forEachScopedEvent(datasetId, scope, event => accumulator.addEvent(event));
+        return accumulator.finish();
+    });
+}
 
 /**
  * POST /api/analysis/detect-patterns
  * Detects unique tag naming patterns from alarm database records.
- * Body: { data: AlarmRecord[], maxExamples?: number }
+ * Body: { data: AlarmRecord[] | datasetId: string, maxExamples?: number }
  */
-router.post('/detect-patterns', (req, res, next) => {
+router.post('/detect-patterns', async (req, res, next) => {
     try {
-        const { data, maxExamples } = req.body;
+        const { data, datasetId, maxExamples } = req.body;
+        if (datasetId) {
+            const cached = await datasetStore.cached(datasetId, 'detect-patterns', { maxExamples: maxExamples || 5 }, async () => {
+                const tags = new Set();
+                await datasetStore.forEachEvent(datasetId, event => tags.add(event.tag));
+                return ai.detectTagPatterns([...tags].map(tag => ({ tag })), maxExamples || 5);
+            });
+            return _sendCached(res, cached);
+        }
         if (!data || !Array.isArray(data)) {
-            return res.status(400).json({ error: 'data array is required' });
+            return res.status(400).json({ error: 'data array or datasetId is required' });
         }
         const patterns = ai.detectTagPatterns(data, maxExamples || 5);
         res.json(patterns);
@@ -47,19 +177,490 @@ router.post('/derive-rule', (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/analysis/nuisance-profiles
+ * Lists the named nuisance scoring presets that can be passed as profile to /nuisance-alarms.
+ */
+router.get('/nuisance-profiles', (req, res) => {
+    res.json(Object.values(nuisance.SCORING_PROFILES));
+});
+
 /**
  * POST /api/analysis/nuisance-alarms
  * Scores alarms for nuisance characteristics using ISA 18.2 compliant algorithm.
- * Body: { data: EventRecord[], validSessions: Session[], allSessions: Session[] }
+ * profile is a preset name ('isa-18.2' default, 'isa-18.2-fleeting', 'eemua-191-strict') or an object overriding
+ * a preset's weights, rules or thresholds; the resolved profile is echoed in the response.
+ * Body: { data: EventRecord[], validSessions: Session[], allSessions: Session[], profile? }
+ *    or { datasetId: string, filters?: SessionFilterOverrides, profile? } - sessions are extracted
+ *       and scored incrementally while streaming the stored events; results are cached per filters and profile.
+ * Either form accepts { consoleMapping, console } to score only the events of one operator console; sessions
+ * are then extracted (with filters) from that console's events, so posted sessions are not needed.
  */
-router.post('/nuisance-alarms', (req, res, next) => {
+router.post('/nuisance-alarms', async (req, res, next) => {
     try {
-        const { data, validSessions, allSessions } = req.body;
+        const { data, validSessions, allSessions, datasetId } = req.body;
+        const { profile, errors: profileErrors } = nuisance.resolveScoringProfile(req.body.profile);
+        if (profileErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid scoring profile: ${profileErrors.join('; ')}` });
+        }
+        const { scope, error: scopeError } = _consoleScope(req.body);
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+        const { filters, errors } = se.resolveSessionFilters(req.body.filters);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid session filters: ${errors.join('; ')}` });
+        }
+        if (datasetId) {
+            return _sendCached(res, await _datasetNuisance(datasetId, filters, profile, scope));
+        }
+        if (scope) {
+            if (!Array.isArray(data)) {
+                return res.status(400).json({ error: 'data array (or datasetId) is required' });
+            }
+            // Posted sessions span every console; re-extract from the console's events so that session
+            // rates and flood classification match the datasetId path
+            const scopedData = data.filter(scope.accepts);
+            const sessions = se.extractSessions(scopedData, filters);
+            return res.json(nuisance.analyzeNuisanceAlarms(scopedData, sessions, sessions, profile));
+        }
         if (!data || !validSessions || !allSessions) {
-            return res.status(400).json({ error: 'data, validSessions, and allSessions are required' });
+            return res.status(400).json({ error: 'data, validSessions, and allSessions (or datasetId) are required' });
         }
-        const result = nuisance.analyzeNuisanceAlarms(data, validSessions, allSessions);
-        res.json(result);
+        res.json(nuisance.analyzeNuisanceAlarms(data, validSessions, allSessions, profile));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/kpis
+ * Builds the ISA 18.2 / EEMUA 191 performance report: alarm rates per operator, flood and
+ * overload intervals, peak rate, top-10 contribution, priority distribution and stale/standing
+ * counts, each with its benchmark and a pass/warn/fail status.
+ * Body: { data: EventRecord[] | datasetId: string, options?: { operatorCount?: number },
+ *         consoleMapping?, console? } - with a console, only that console's events are rated
+ */
+router.post('/kpis', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        const options = req.body.options || {};
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+        const { operatorCount } = options;
+        if (operatorCount !== undefined && (!Number.isInteger(operatorCount) || operatorCount < 1)) {
+            return res.status(400).json({ error: 'operatorCount must be a positive integer' });
+        }
+        const { scope, error: scopeError } = _consoleScope(req.body);
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+
+        if (datasetId) {
+            const params = { operatorCount: operatorCount || 1, ..._scopeParams(scope) };
+            const cached = await datasetStore.cached(datasetId, 'kpis', params, async () => {
+                const accumulator = kpi.createKpiAccumulator({ operatorCount });
+                await _forEachScopedEvent(datasetId, scope, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            return _sendCached(res, cached);
+        }
+        res.json(kpi.calculateKpis(scope ? data.filter(scope.accepts) : data, { operatorCount }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/trends
+ * Weekly or monthly trend series: the KPI and nuisance analyses are run per calendar bucket (UTC)
+ * for alarm rate, flood percentage, chattering tags and bad actors, each series graded as
+ * improving, stable or degrading.
+ * Body: { data: EventRecord[] | datasetId: string, options?: { period?: 'week' | 'month', operatorCount?: number },
+ *         filters?: SessionFilterOverrides, profile?, consoleMapping?, console? } - with a console, only that
+ *         console's events are trended
+ */
+router.post('/trends', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        const options = req.body.options || {};
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+        const { period = 'week', operatorCount } = options;
+        if (!trends.TREND_PERIODS.includes(period)) {
+            return res.status(400).json({ error: `period must be one of: ${trends.TREND_PERIODS.join(', ')}` });
+        }
+        if (operatorCount !== undefined && (!Number.isInteger(operatorCount) || operatorCount < 1)) {
+            return res.status(400).json({ error: 'operatorCount must be a positive integer' });
+        }
+        const { profile, errors: profileErrors } = nuisance.resolveScoringProfile(req.body.profile);
+        if (profileErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid scoring profile: ${profileErrors.join('; ')}` });
+        }
+        const { filters, errors } = se.resolveSessionFilters(req.body.filters);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid session filters: ${errors.join('; ')}` });
+        }
+
+        const { scope, error: scopeError } = _consoleScope(req.body);
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+
+        const params = { period, operatorCount: operatorCount || 1, filters, profile };
+        if (datasetId) {
+            const cached = await datasetStore.cached(datasetId, 'trends', { ...params, ..._scopeParams(scope) }, async () => {
+                const accumulator = trends.createTrendAccumulator(params);
+                await _forEachScopedEvent(datasetId, scope, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            return _sendCached(res, cached);
+        }
+        res.json(trends.analyzeTrends(scope ? data.filter(scope.accepts) : data, params));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/analysis/shift-calendar
+ * The default shift calendar (two 12-hour shifts, four crews) as a starting point for /shifts.
+ */
+router.get('/shift-calendar', (req, res) => {
+    res.json(shifts.DEFAULT_SHIFT_CALENDAR);
+});
+
+/**
+ * POST /api/analysis/shifts
+ * Alarm load, operator actions, flood time and nuisance alarms per shift and per crew on a shift
+ * calendar: { shifts: [{ name, start: 'HH:MM' }], crews, rotation: { anchorDate, pattern }, timezoneOffsetMinutes }.
+ * Body: { data: EventRecord[] | datasetId: string, calendar?, filters?: SessionFilterOverrides, profile?,
+ *         consoleMapping?, console? } - with a console, only that console's events are assigned to shifts
+ */
+router.post('/shifts', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+        const { calendar, errors: calendarErrors } = shifts.resolveShiftCalendar(req.body.calendar);
+        if (calendarErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid shift calendar: ${calendarErrors.join('; ')}` });
+        }
+        const { profile, errors: profileErrors } = nuisance.resolveScoringProfile(req.body.profile);
+        if (profileErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid scoring profile: ${profileErrors.join('; ')}` });
+        }
+        const { filters, errors } = se.resolveSessionFilters(req.body.filters);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid session filters: ${errors.join('; ')}` });
+        }
+
+        const { scope, error: scopeError } = _consoleScope(req.body);
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+
+        if (datasetId) {
+            const cached = await datasetStore.cached(datasetId, 'shifts', { calendar, filters, profile, ..._scopeParams(scope) }, async () => {
+                const accumulator = shifts.createShiftAccumulator(calendar, { filters, profile });
+                await _forEachScopedEvent(datasetId, scope, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            return _sendCached(res, cached);
+        }
+        res.json(shifts.analyzeShifts(scope ? data.filter(scope.accepts) : data, calendar, { filters, profile }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/console-loading
+ * Side-by-side loading of every operator console: events are assigned to consoles by the mapping's
+ * unit / tag-pattern rules (first match wins, the rest to defaultConsole) and each console is rated
+ * as one operator position.
+ * Body: { data: EventRecord[] | datasetId: string, consoleMapping: { rules: [{ console, unit?, tagPattern? }], defaultConsole? } }
+ */
+router.post('/console-loading', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+        const { mapping, errors } = consoles.resolveConsoleMapping(req.body.consoleMapping);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid console mapping: ${errors.join('; ')}` });
+        }
+        if (!mapping) {
+            return res.status(400).json({ error: 'consoleMapping is required' });
+        }
+
+        if (datasetId) {
+            const cached = await datasetStore.cached(datasetId, 'console-loading', { mapping }, async () => {
+                const accumulator = consoles.createConsoleLoadAccumulator(mapping);
+                await datasetStore.forEachEvent(datasetId, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            return _sendCached(res, cached);
+        }
+        res.json(consoles.analyzeConsoleLoading(data, mapping));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/alarm-durations
+ * Pairs ACT/RTN/ACK transitions per alarm into active durations and time-to-acknowledge,
+ * and lists standing alarms still active longer than standingHours at the end of the journal.
+ * Body: { data: EventRecord[] | datasetId: string, options?: { standingHours?: number } }
+ */
+router.post('/alarm-durations', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        const options = req.body.options || {};
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+        const { standingHours } = options;
+        if (standingHours !== undefined && (typeof standingHours !== 'number' || standingHours <= 0 || standingHours > 8760)) {
+            return res.status(400).json({ error: 'standingHours must be a number between 0 and 8760' });
+        }
+
+        if (datasetId) {
+            const params = { standingHours: standingHours || durations.STANDING_HOURS };
+            const cached = await datasetStore.cached(datasetId, 'alarm-durations', params, async () => {
+                const accumulator = durations.createDurationAccumulator(params);
+                await datasetStore.forEachEvent(datasetId, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            return _sendCached(res, cached);
+        }
+        res.json(durations.analyzeAlarmDurations(data, { standingHours }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/response-times
+ * Time-to-acknowledge and time-to-first-action per priority, compared with the max_response_time
+ * of the philosophy priority_matrix. Flags priorities and alarms whose documented time is unrealistic.
+ * Body: { data: EventRecord[] | datasetId: string, philosophyRules?: { priority_matrix } }
+ */
+router.post('/response-times', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        const philosophyRules = req.body.philosophyRules || {};
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+        if (philosophyRules.priority_matrix !== undefined && !Array.isArray(philosophyRules.priority_matrix)) {
+            return res.status(400).json({ error: 'philosophyRules.priority_matrix must be an array' });
+        }
+
+        if (datasetId) {
+            const params = { priorityMatrix: philosophyRules.priority_matrix || [] };
+            const cached = await datasetStore.cached(datasetId, 'response-times', params, async () => {
+                const accumulator = responses.createResponseAccumulator(philosophyRules);
+                await datasetStore.forEachEvent(datasetId, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            return _sendCached(res, cached);
+        }
+        res.json(responses.analyzeResponseTimes(data, philosophyRules));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/priority-audit
+ * Audits the configured (master alarm database) and annunciated (journal activations) priority
+ * distributions against the philosophy's priority_distribution targets, or the ISA 18.2 defaults of
+ * 5% high / 15% medium / 80% low, and lists the tags skewing each over-represented priority.
+ * Body: { data?: EventRecord[] | datasetId?: string, configured?: [{ alarm, priority }],
+ *         philosophyRules?: { priority_distribution?: { high, medium, low } } } - at least one side is required
+ */
+router.post('/priority-audit', async (req, res, next) => {
+    try {
+        const { data, datasetId, configured } = req.body;
+        if (data !== undefined && !Array.isArray(data)) {
+            return res.status(400).json({ error: 'data must be an array' });
+        }
+        if (configured !== undefined && (!Array.isArray(configured) || configured.some(c => !c || typeof c.alarm !== 'string'))) {
+            return res.status(400).json({ error: 'configured must be an array of { alarm, priority }' });
+        }
+        if (!datasetId && !data && !configured) {
+            return res.status(400).json({ error: 'data, datasetId or configured is required' });
+        }
+        const { targets, source, errors } = priorityAudit.resolvePriorityTargets(req.body.philosophyRules);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid priority targets: ${errors.join('; ')}` });
+        }
+
+        let tagCounts = null;
+        if (datasetId) {
+            // Only the journal pass is cached; the configured side changes with every MADB edit
+            const { result } = await datasetStore.cached(datasetId, 'priority-tag-counts', {}, async () => {
+                const accumulator = priorityAudit.createPriorityCountAccumulator();
+                await datasetStore.forEachEvent(datasetId, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            tagCounts = result.tags;
+        } else if (data) {
+            const accumulator = priorityAudit.createPriorityCountAccumulator();
+            [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+            tagCounts = accumulator.finish().tags;
+        }
+        res.json({
+            ...priorityAudit.auditPriorityDistribution({ tagCounts, configured: configured || null, targets }),
+            targetSource: source
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/flood-episodes
+ * Finds ISA 18.2 flood episodes (>10 alarms per 10 min until the rate drops below 5) with their
+ * span, peak rate, contributing tags and probable root alarm.
+ * Body: { data: EventRecord[] | datasetId: string, consoleMapping?, console? }
+ */
+router.post('/flood-episodes', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+        const { scope, error: scopeError } = _consoleScope(req.body);
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+
+        if (datasetId) {
+            return _sendCached(res, await _datasetFloods(datasetId, scope));
+        }
+        res.json(floods.analyzeFloods(scope ? data.filter(scope.accepts) : data));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/alarm-tuning
+ * Replays each alarm's activation series with candidate on/off-delays and reports how many
+ * activations each would remove, with a recommended setting. The deadband is the EEMUA 191 table
+ * value for the tag's signal type; journals carry no process values, so it is not simulated.
+ * Body: { data: EventRecord[] | datasetId: string }
+ */
+router.post('/alarm-tuning', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+
+        if (datasetId) {
+            const cached = await datasetStore.cached(datasetId, 'alarm-tuning', {}, async () => {
+                const accumulator = tuning.createTuningAccumulator();
+                await datasetStore.forEachEvent(datasetId, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            return _sendCached(res, cached);
+        }
+        res.json(tuning.analyzeAlarmTuning(data));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/alarm-correlation
+ * Pairwise co-activation correlation between alarm tags within a time tolerance, and clusters of
+ * tags that almost always fire together (redundant-alarm candidates for the D&R Duplicates rule).
+ * Body: { data: EventRecord[] | datasetId: string, options?: { toleranceSec?: number, threshold?: number } }
+ */
+router.post('/alarm-correlation', async (req, res, next) => {
+    try {
+        const { data, datasetId } = req.body;
+        const options = req.body.options || {};
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
+        }
+        const { toleranceSec, threshold } = options;
+        if (toleranceSec !== undefined && (typeof toleranceSec !== 'number' || toleranceSec <= 0 || toleranceSec > 600)) {
+            return res.status(400).json({ error: 'toleranceSec must be a number between 0 and 600' });
+        }
+        if (threshold !== undefined && (typeof threshold !== 'number' || threshold <= 0 || threshold > 1)) {
+            return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+        }
+
+        const params = {
+            toleranceSec: toleranceSec || correlation.CORRELATION_DEFAULTS.toleranceSec,
+            threshold: threshold || correlation.CORRELATION_DEFAULTS.threshold
+        };
+        if (datasetId) {
+            const cached = await datasetStore.cached(datasetId, 'alarm-correlation', params, async () => {
+                const accumulator = correlation.createCorrelationAccumulator(params);
+                await datasetStore.forEachEvent(datasetId, event => accumulator.addEvent(event));
+                return accumulator.finish();
+            });
+            return _sendCached(res, cached);
+        }
+        res.json(correlation.analyzeAlarmCorrelation(data, params));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/compare-datasets
+ * Before/after comparison of two alarm journals: nuisance scores aligned by tag, new and removed
+ * bad actors, flood time reduction and, when the client sends its calculateStatistics results,
+ * KPI deltas. Sessions of stored datasets are extracted with the same filters on both sides.
+ * Body: { before: { datasetId } | { data, validSessions, allSessions }, after: same,
+ *         statistics?: { before, after }, filters?: SessionFilterOverrides, profile? }
+ */
+router.post('/compare-datasets', async (req, res, next) => {
+    try {
+        const { before, after } = req.body;
+        const statistics = req.body.statistics || {};
+        const sides = [before, after];
+        if (sides.some(side => !side || (!side.datasetId && (!Array.isArray(side.data) || !side.validSessions || !side.allSessions)))) {
+            return res.status(400).json({ error: 'before and after each require a datasetId or data, validSessions and allSessions' });
+        }
+        const { profile, errors: profileErrors } = nuisance.resolveScoringProfile(req.body.profile);
+        if (profileErrors.length > 0) {
+            return res.status(400).json({ error: `Invalid scoring profile: ${profileErrors.join('; ')}` });
+        }
+        const { filters, errors } = se.resolveSessionFilters(req.body.filters);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid session filters: ${errors.join('; ')}` });
+        }
+
+        // Sequential: each side streams its whole dataset
+        const analyzed = [];
+        for (const side of sides) {
+            analyzed.push(side.datasetId
+                ? {
+                    nuisance: (await _datasetNuisance(side.datasetId, filters, profile)).result,
+                    floods: (await _datasetFloods(side.datasetId)).result
+                }
+                : {
+                    nuisance: nuisance.analyzeNuisanceAlarms(side.data, side.validSessions, side.allSessions, profile),
+                    floods: floods.analyzeFloods(side.data)
+                });
+        }
+
+        res.json(comparison.compareDatasets(
+            { ...analyzed[0], statistics: statistics.before },
+            { ...analyzed[1], statistics: statistics.after }
+        ));
     } catch (error) {
         next(error);
     }
@@ -83,37 +684,104 @@ router.post('/autonomous-rationalize', async (req, res, next) => {
     }
 });
 
+/**
+ * Process mining operations by name: (sessions, body) => result.
+ */
+const PROCESS_MINING_OPERATIONS = {
+    buildProcessGraph: (sessions, body) => pm.buildProcessGraph(sessions, body.filters || {}),
+    createDFG: sessions => pm.createDFG(sessions),
+    discoverProcessVariants: (sessions, body) => pm.discoverProcessVariants(sessions, body.filters || {}),
+    createReferenceModel: (sessions, body) => pm.createReferenceModel(sessions, body.filters || {}, body.unit || null),
+    checkConformance: (sessions, body) => pm.checkConformance(sessions, body.model, { threshold: body.threshold }),
+    discoverProcessTree: (sessions, body) => pm.discoverProcessTree(sessions, body.filters || {})
+};
+
 /**
  * POST /api/analysis/process-mine
  * Runs heuristic process mining operations on alarm session data.
- * Body: { sessions: Session[], operation: 'buildProcessGraph'|'createDFG'|'discoverProcessVariants', filters?: object }
+ * Body: { sessions: Session[], operation: one of PROCESS_MINING_OPERATIONS, filters?: object }
+ *    or { datasetId: string, segmentation?: SessionFilterOverrides, sessionIds?: number[], operation, filters? }
+ *       - sessions are taken from the dataset's cached extraction, optionally narrowed to sessionIds.
+ * operation 'createReferenceModel' (with unit?) mines a reference heuristic net from the sessions;
+ * 'checkConformance' (with model, threshold?) token-replays the sessions on a saved reference model;
+ * 'discoverProcessTree' (filters: { noiseThreshold? }) mines an Inductive Miner process tree;
+ * 'discoverProcessVariants' takes filters: { minCount?, limit? }.
  */
-router.post('/process-mine', (req, res, next) => {
+router.post('/process-mine', async (req, res, next) => {
     try {
-        const { sessions, operation, filters } = req.body;
-        if (!sessions || !Array.isArray(sessions)) {
-            return res.status(400).json({ error: 'sessions array is required' });
+        const { operation } = req.body;
+        const { sessions, error } = await _requestSessions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
         }
         if (!operation) {
-            return res.status(400).json({ error: 'operation is required (buildProcessGraph, createDFG, or discoverProcessVariants)' });
+            return res.status(400).json({ error: `operation is required (one of: ${Object.keys(PROCESS_MINING_OPERATIONS).join(', ')})` });
+        }
+        if (!Object.hasOwn(PROCESS_MINING_OPERATIONS, operation)) {
+            return res.status(400).json({ error: `Unknown operation: ${operation}` });
+        }
+        if (operation === 'checkConformance') {
+            const modelErrors = pm.validateReferenceModel(req.body.model);
+            if (modelErrors.length > 0) {
+                return res.status(400).json({ error: `Invalid reference model: ${modelErrors.join('; ')}` });
+            }
+            const { threshold } = req.body;
+            if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold > 1)) {
+                return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+            }
         }
 
-        let result;
-        switch (operation) {
-            case 'buildProcessGraph':
-                result = pm.buildProcessGraph(sessions, filters || {});
-                break;
-            case 'createDFG':
-                result = pm.createDFG(sessions);
-                break;
-            case 'discoverProcessVariants':
-                result = pm.discoverProcessVariants(sessions);
-                break;
-            default:
-                return res.status(400).json({ error: `Unknown operation: ${operation}` });
+        res.json(PROCESS_MINING_OPERATIONS[operation](sessions, req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/variant-diff
+ * Aligns the event sequences of two process variants and reports where they diverge.
+ * Body: { a: string[], b: string[] } - activity ids as in variant.events ("[A] TAG", "[C] TAG", ...)
+ */
+router.post('/variant-diff', (req, res, next) => {
+    try {
+        const { a, b } = req.body;
+        const valid = seq => Array.isArray(seq) && seq.length <= pm.MAX_DIFF_EVENTS && seq.every(activity => typeof activity === 'string');
+        if (!valid(a) || !valid(b)) {
+            return res.status(400).json({ error: `a and b must be arrays of at most ${pm.MAX_DIFF_EVENTS} activity ids` });
+        }
+        res.json(pm.diffVariants(a, b));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/event-log
+ * Exports alarm sessions as an event log for external process-mining tools, as a file download.
+ * Body: { sessions | datasetId, segmentation?, sessionIds?, format: 'xes' | 'ocel' } (sessions as for /process-mine)
+ *   - xes: IEEE XES, one trace per session (application/xml)
+ *   - ocel: OCEL 2.0 JSON with unit and tag object types (application/json)
+ */
+router.post('/event-log', async (req, res, next) => {
+    try {
+        const { format, datasetId } = req.body;
+        if (format !== 'xes' && format !== 'ocel') {
+            return res.status(400).json({ error: "format must be 'xes' or 'ocel'" });
+        }
+        const { sessions, error } = await _requestSessions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        res.json(result);
+        const baseName = datasetId ? `alarm-sessions-${String(datasetId).slice(0, 12)}` : 'alarm-sessions';
+        if (format === 'xes') {
+            res.attachment(`${baseName}.xes`);
+            res.type('application/xml');
+            return res.send(eventLog.toXes(sessions, { logName: baseName }));
+        }
+        res.attachment(`${baseName}.ocel.json`);
+        res.type('application/json');
+        res.send(JSON.stringify(eventLog.toOcel(sessions)));
     } catch (error) {
         next(error);
     }
@@ -122,18 +790,69 @@ router.post('/process-mine', (req, res, next) => {
 /**
  * POST /api/analysis/extract-sessions
  * Extracts alarm sessions from event data using concurrent unit tracking algorithm.
- * Returns sessions and pre-computed unit statistics in one call.
- * Body: { data: EventRecord[] }
+ * Returns sessions, pre-computed unit statistics and a segmentation diagnostic in one call.
+ * With includeRejected, sessions dropped by the filters are returned as rejectedSessions,
+ * each tagged with rejectionReason ('too_small' | 'too_large' | 'exceeded_max_duration').
+ * Extractions from a finalized dataset are cached per filters (X-Cache: HIT | MISS).
+ * Body: { data: EventRecord[] | datasetId: string, filters?: { minEvents, maxEvents, maxDurationHours, sessionTimeoutMinutes }, includeRejected?: boolean }
  */
-router.post('/extract-sessions', (req, res, next) => {
+router.post('/extract-sessions', async (req, res, next) => {
     try {
-        const { data } = req.body;
-        if (!data || !Array.isArray(data)) {
-            return res.status(400).json({ error: 'data array is required' });
+        const { data, datasetId, filters: overrides, includeRejected } = req.body;
+        if (!datasetId && (!data || !Array.isArray(data))) {
+            return res.status(400).json({ error: 'data array or datasetId is required' });
         }
-        const sessions = se.extractSessions(data);
+        const { filters, errors } = se.resolveSessionFilters(overrides);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid session filters: ${errors.join('; ')}` });
+        }
+
+        let result;
+        if (datasetId) {
+            const cached = await _datasetSessions(datasetId, filters, !!includeRejected);
+            res.set('X-Cache', cached.cacheHit ? 'HIT' : 'MISS');
+            result = cached.result;
+        } else {
+            result = se.extractSessionsWithReport(data, filters, { includeRejected: !!includeRejected });
+        }
+
+        const { sessions, report } = result;
+        const rejectedSessions = includeRejected ? result.rejectedSessions : undefined;
         const unitStatistics = se.getUnitStatistics(sessions);
-        res.json({ sessions, unitStatistics });
+        res.json({
+            sessions,
+            unitStatistics,
+            filterReport: report,
+            ...(rejectedSessions && { rejectedSessions })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/analysis/correlate-sessions
+ * Merges overlapping per-unit sessions into plant-wide episodes with a propagation order.
+ * Body: { sessions: Session[], options?: { toleranceMinutes?: number, minUnits?: number } }
+ *    or { datasetId: string, segmentation?: SessionFilterOverrides, options? } - sessions are taken
+ *       from the dataset's cached extraction.
+ */
+router.post('/correlate-sessions', async (req, res, next) => {
+    try {
+        const options = req.body.options || {};
+        const { sessions, error } = await _requestSessions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { toleranceMinutes, minUnits } = options;
+        if (toleranceMinutes !== undefined && (typeof toleranceMinutes !== 'number' || toleranceMinutes < 0 || toleranceMinutes > 120)) {
+            return res.status(400).json({ error: 'toleranceMinutes must be a number between 0 and 120' });
+        }
+        if (minUnits !== undefined && (!Number.isInteger(minUnits) || minUnits < 1)) {
+            return res.status(400).json({ error: 'minUnits must be a positive integer' });
+        }
+        const result = se.correlateSessions(sessions, options);
+        res.json(result);
     } catch (error) {
         next(error);
     }
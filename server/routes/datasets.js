@@ -0,0 +1,139 @@
+'use strict';
+/**
+ * Dataset Routes - chunked upload of large alarm journals
+ * Create a dataset, append NDJSON or CSV chunks, finalize it, then pass its datasetId to /api/analysis.
+ * XES and OCEL logs are first converted to EventRecords via /import-event-log.
+ * Finalized datasets are keyed by content hash and their analysis results are cached server-side.
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { datasetStore } = require('../services/dataset-store');
+const eventLogImport = require('../utils/event-log-import');
+
+const CHUNK_CONTENT_TYPES = ['application/x-ndjson', 'application/ndjson', 'text/csv', 'text/plain'];
+const EVENT_LOG_CONTENT_TYPES = ['application/xml', 'text/xml', 'text/plain', 'application/octet-stream'];
+
+/**
+ * POST /api/datasets
+ * Creates an empty dataset.
+ * Body: { name?: string }
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const dataset = await datasetStore.create({ name: req.body && req.body.name });
+        res.status(201).json(dataset);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/datasets/import-event-log?format=xes|ocel[&caseObjectType=]
+ * Converts an XES or OCEL 2.0 JSON log into EventRecords carrying their caseId; the client then
+ * uploads them like a parsed CSV journal. The log is sent as the raw request body (OCEL may also be
+ * sent as application/json within BODY_LIMIT); without format, a body starting with '<' is read as XES.
+ * Returns { format, events, caseCount, skipped }.
+ */
+router.post('/import-event-log',
+    express.text({ type: EVENT_LOG_CONTENT_TYPES, limit: config.datasets.importLimit }),
+    (req, res, next) => {
+        try {
+            const body = req.body;
+            if (typeof body !== 'string' && (!body || !Array.isArray(body.events))) {
+                return res.status(400).json({ error: `Event log must be sent as one of: ${EVENT_LOG_CONTENT_TYPES.join(', ')}, application/json` });
+            }
+            const format = req.query.format || (typeof body === 'string' && body.trimStart().startsWith('<') ? 'xes' : 'ocel');
+            if (format !== 'xes' && format !== 'ocel') {
+                return res.status(400).json({ error: 'format must be xes or ocel' });
+            }
+
+            let result;
+            try {
+                result = format === 'xes'
+                    ? eventLogImport.parseXes(body)
+                    : eventLogImport.parseOcel(body, { caseObjectType: req.query.caseObjectType || null });
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (result.events.length === 0) {
+                return res.status(400).json({ error: `No events with an activity and a valid timestamp found in the ${format.toUpperCase()} log` });
+            }
+            res.json({ format, ...result });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * GET /api/datasets/:datasetId
+ * Returns dataset metadata (event count, time span, chunk count).
+ */
+router.get('/:datasetId', async (req, res, next) => {
+    try {
+        const dataset = await datasetStore.get(req.params.datasetId);
+        if (!dataset) {
+            return res.status(404).json({ error: `Dataset not found: ${req.params.datasetId}` });
+        }
+        res.json(dataset);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/datasets/:datasetId/chunks
+ * Appends a chunk of events. Content-Type text/csv for CSV (header row in the first chunk),
+ * application/x-ndjson for one EventRecord per line. ?format=csv|ndjson overrides the content type.
+ * Chunks must split on line boundaries.
+ */
+router.post('/:datasetId/chunks',
+    express.text({ type: CHUNK_CONTENT_TYPES, limit: config.datasets.chunkLimit }),
+    async (req, res, next) => {
+        try {
+            if (typeof req.body !== 'string') {
+                return res.status(400).json({ error: `Chunk body must be sent as one of: ${CHUNK_CONTENT_TYPES.join(', ')}` });
+            }
+            const format = req.query.format || (req.is('text/csv') ? 'csv' : 'ndjson');
+            if (format !== 'csv' && format !== 'ndjson') {
+                return res.status(400).json({ error: 'format must be csv or ndjson' });
+            }
+            const result = await datasetStore.appendChunk(req.params.datasetId, req.body, format);
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * POST /api/datasets/:datasetId/finalize
+ * Seals the dataset and re-keys it by the SHA-256 of its events. The response carries the new id;
+ * if the same content was uploaded before, the existing dataset is returned with deduplicated: true
+ * and one more reference (released by DELETE). A dataset without events cannot be finalized (400).
+ */
+router.post('/:datasetId/finalize', async (req, res, next) => {
+    try {
+        const { dataset, deduplicated } = await datasetStore.finalize(req.params.datasetId);
+        res.json({ ...dataset, deduplicated });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/datasets/:datasetId
+ * Releases the caller's reference. Every finalize that deduplicated to the dataset holds one, so the
+ * dataset is only deleted when the last uploader releases it. Returns { deleted, references }.
+ */
+router.delete('/:datasetId', async (req, res, next) => {
+    try {
+        res.json(await datasetStore.remove(req.params.datasetId));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
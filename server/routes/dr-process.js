@@ -187,6 +187,7 @@ router.post('/batch-rationalize', async (req, res, next) => {
             processAnalysis,
             referenceAlarms,
             previousDrafts,
+            redundantAlarms,
             detectedPriorityScheme,
             pidImageBase64,
             modelConfig = {},
@@ -207,6 +208,7 @@ router.post('/batch-rationalize', async (req, res, next) => {
             processAnalysis,
             referenceAlarms,
             previousDrafts,
+            redundantAlarms,
             detectedPriorityScheme: detectedPriorityScheme || 'numeric'
         });
 
@@ -0,0 +1,512 @@
+/**
+ * Dataset Store Service
+ * File-based storage for alarm journals uploaded in NDJSON or CSV chunks.
+ * Each dataset is a directory holding meta.json and events.ndjson (one normalized EventRecord per line).
+ * Every chunk is stored sorted by timestamp; meta.runs holds the byte offsets of the sorted runs in
+ * events.ndjson (a chunk that starts before the previous one ends opens a new run), so reading an
+ * unsorted upload is an external k-way merge instead of an in-memory sort.
+ * Finalizing a dataset re-keys it by the SHA-256 of its events, making it immutable; analysis
+ * results for finalized datasets are cached under cache/ since their input can no longer change.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const readline = require('readline');
+const crypto = require('crypto');
+const config = require('../config');
+
+const DATASET_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const MAX_REPORTED_LINE_ERRORS = 20;
+const MAX_MERGE_FAN_IN = 64; // runs merged at once; more runs are merged in passes through temp files
+
+function _httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal params always produce the same cache key.
+ */
+function _stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(_stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${_stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function _parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    if (typeof value === 'string') return ['true', '1', 'yes', 'y'].includes(value.trim().toLowerCase());
+    return false;
+}
+
+function _parseTimestamp(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return NaN;
+    const trimmed = value.trim();
+    return /^\d+$/.test(trimmed) ? Number(trimmed) : Date.parse(trimmed);
+}
+
+/**
+ * Normalizes a raw record onto the EventRecord model used by the analysis utils.
+ * Unknown columns are kept as-is (e.g. Desc1/Desc2 for session descriptions).
+ */
+function normalizeEvent(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('record must be an object');
+    }
+    const timestamp = _parseTimestamp(raw.timestamp);
+    if (!Number.isFinite(timestamp)) throw new Error('timestamp is missing or invalid');
+    if (!raw.tag) throw new Error('tag is required');
+
+    return {
+        ...raw,
+        timestamp,
+        tag: String(raw.tag),
+        unit: raw.unit ? String(raw.unit) : 'Unknown',
+        priority: raw.priority ? String(raw.priority) : 'low',
+        isAlarm: _parseBoolean(raw.isAlarm),
+        isChange: _parseBoolean(raw.isChange)
+    };
+}
+
+/**
+ * Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF). Returns an array of rows.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+async function* _readEvents(filePath, range = {}) {
+    const input = fs.createReadStream(filePath, { encoding: 'utf8', ...range });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            if (line) yield JSON.parse(line);
+        }
+    } finally {
+        // Also reached when the consumer stops early (return() or a throwing onEvent)
+        input.destroy();
+    }
+}
+
+/**
+ * Merges timestamp-sorted event iterators, calling onEvent in timestamp order.
+ * Ties keep the order of the sources, so events of earlier runs come first.
+ * Every source is closed when the merge ends, including when onEvent throws.
+ */
+async function _mergeRuns(sources, onEvent) {
+    try {
+        const heads = [];
+        for (const iterator of sources) {
+            const next = await iterator.next();
+            if (!next.done) heads.push({ event: next.value, iterator });
+        }
+        while (heads.length > 0) {
+            let min = 0;
+            for (let i = 1; i < heads.length; i++) {
+                if (heads[i].event.timestamp < heads[min].event.timestamp) min = i;
+            }
+            const head = heads[min];
+            await onEvent(head.event);
+            const next = await head.iterator.next();
+            if (next.done) heads.splice(min, 1);
+            else head.event = next.value;
+        }
+    } finally {
+        await Promise.all(sources.map(iterator => iterator.return()));
+    }
+}
+
+async function _mergeToFile(sources, filePath) {
+    const output = fs.createWriteStream(filePath);
+    try {
+        await _mergeRuns(sources, async event => {
+            if (!output.write(JSON.stringify(event) + '\n')) await once(output, 'drain');
+        });
+    } catch (error) {
+        output.destroy();
+        throw error;
+    }
+    output.end();
+    await once(output, 'finish');
+}
+
+class DatasetStore {
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+        this._queues = new Map(); // datasetId -> tail of pending write promise chain
+    }
+
+    _datasetDir(datasetId) {
+        if (typeof datasetId !== 'string' || !DATASET_ID_PATTERN.test(datasetId)) {
+            throw _httpError('Invalid datasetId', 400);
+        }
+        return path.join(this.baseDir, datasetId);
+    }
+
+    /**
+     * Serializes writes per dataset so concurrent chunk uploads cannot interleave.
+     */
+    _enqueue(datasetId, task) {
+        const previous = this._queues.get(datasetId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this._queues.set(datasetId, next);
+        next.finally(() => {
+            if (this._queues.get(datasetId) === next) this._queues.delete(datasetId);
+        }).catch(() => {});
+        return next;
+    }
+
+    /**
+     * Writes meta.json through a temp file so that readers never see a partially written meta.
+     */
+    async _writeMeta(meta, dir = this._datasetDir(meta.id)) {
+        const metaPath = path.join(dir, 'meta.json');
+        const tmpPath = `${metaPath}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(meta, null, 2));
+        await fs.promises.rename(tmpPath, metaPath);
+    }
+
+    async create({ name } = {}) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+        const meta = {
+            id,
+            name: name ? String(name) : null,
+            createdAt: now,
+            updatedAt: now,
+            eventCount: 0,
+            chunkCount: 0,
+            firstTimestamp: null,
+            lastTimestamp: null,
+            sorted: true,
+            runs: [0],
+            csvHeader: null,
+            contentHash: null,
+            finalizedAt: null
+        };
+
+        await fs.promises.mkdir(this._datasetDir(id), { recursive: true });
+        await fs.promises.writeFile(path.join(this._datasetDir(id), 'events.ndjson'), '');
+        await this._writeMeta(meta);
+        return meta;
+    }
+
+    async get(datasetId) {
+        const metaPath = path.join(this._datasetDir(datasetId), 'meta.json');
+        try {
+            return JSON.parse(await fs.promises.readFile(metaPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async _require(datasetId) {
+        const meta = await this.get(datasetId);
+        if (!meta) throw _httpError(`Dataset not found: ${datasetId}`, 404);
+        return meta;
+    }
+
+    /**
+     * Parses a chunk into raw records. CSV chunks must split on line boundaries;
+     * the header row comes with the first chunk and may be repeated in later ones.
+     */
+    _parseChunk(meta, text, format) {
+        if (format === 'ndjson') {
+            return text.split(/\r?\n/)
+                .map((line, index) => ({ line, lineNumber: index + 1 }))
+                .filter(({ line }) => line.trim() !== '')
+                .map(({ line, lineNumber }) => {
+                    try {
+                        return { lineNumber, record: JSON.parse(line) };
+                    } catch (error) {
+                        return { lineNumber, error: 'invalid JSON' };
+                    }
+                });
+        }
+
+        if (format === 'csv') {
+            const rows = parseCsv(text);
+            let startIndex = 0;
+            if (!meta.csvHeader) {
+                if (rows.length === 0) return [];
+                meta.csvHeader = rows[0].map(h => h.trim());
+                startIndex = 1;
+            } else if (rows.length > 0 && rows[0].map(h => h.trim()).join(',') === meta.csvHeader.join(',')) {
+                startIndex = 1;
+            }
+
+            return rows.slice(startIndex).map((values, index) => {
+                const record = {};
+                meta.csvHeader.forEach((header, col) => {
+                    if (values[col] !== undefined && values[col] !== '') record[header] = values[col];
+                });
+                return { lineNumber: startIndex + index + 1, record };
+            });
+        }
+
+        throw _httpError(`Unsupported chunk format: ${format}`, 400);
+    }
+
+    /**
+     * Appends an NDJSON or CSV chunk. Invalid lines are skipped and reported.
+     * Returns { accepted, rejected, errors, dataset }.
+     */
+    appendChunk(datasetId, text, format) {
+        return this._enqueue(datasetId, async () => {
+            const meta = await this._require(datasetId);
+            if (meta.contentHash) throw _httpError('Dataset is finalized; create a new dataset to add events', 409);
+            const parsed = this._parseChunk(meta, text || '', format);
+
+            const events = [];
+            const errors = [];
+            let rejected = 0;
+
+            parsed.forEach(({ lineNumber, record, error }) => {
+                let event;
+                try {
+                    if (error) throw new Error(error);
+                    event = normalizeEvent(record);
+                } catch (err) {
+                    rejected++;
+                    if (errors.length < MAX_REPORTED_LINE_ERRORS) errors.push({ line: lineNumber, error: err.message });
+                    return;
+                }
+                events.push(event);
+            });
+
+            if (events.length > 0) {
+                events.sort((a, b) => a.timestamp - b.timestamp);
+                const eventsPath = path.join(this._datasetDir(datasetId), 'events.ndjson');
+                if (meta.lastTimestamp !== null && events[0].timestamp < meta.lastTimestamp) {
+                    meta.sorted = false;
+                    meta.runs.push((await fs.promises.stat(eventsPath)).size);
+                }
+                meta.lastTimestamp = meta.lastTimestamp === null ? events[events.length - 1].timestamp : Math.max(meta.lastTimestamp, events[events.length - 1].timestamp);
+                meta.firstTimestamp = meta.firstTimestamp === null ? events[0].timestamp : Math.min(meta.firstTimestamp, events[0].timestamp);
+                await fs.promises.appendFile(eventsPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+            }
+
+            meta.eventCount += events.length;
+            meta.chunkCount++;
+            meta.updatedAt = new Date().toISOString();
+            await this._writeMeta(meta);
+
+            return { accepted: events.length, rejected, errors, dataset: meta };
+        });
+    }
+
+    /**
+     * Calls onEvent for every stored event in timestamp order.
+     * Streams line by line when events were appended in order; otherwise merges the sorted runs,
+     * in passes through temp files when there are more than MAX_MERGE_FAN_IN of them.
+     */
+    async forEachEvent(datasetId, onEvent) {
+        const meta = await this._require(datasetId);
+        const eventsPath = path.join(this._datasetDir(datasetId), 'events.ndjson');
+
+        if (meta.sorted) {
+            for await (const event of _readEvents(eventsPath)) onEvent(event);
+            return meta;
+        }
+        if (!Array.isArray(meta.runs)) {
+            throw _httpError('Dataset was stored without sorted runs; upload it again', 409);
+        }
+
+        let runs = meta.runs.map((start, i) => () => _readEvents(eventsPath, i + 1 < meta.runs.length ? { start, end: meta.runs[i + 1] - 1 } : { start }));
+        let tmpDir = null;
+        try {
+            while (runs.length > MAX_MERGE_FAN_IN) {
+                if (!tmpDir) tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dataset-merge-'));
+                const merged = [];
+                for (let i = 0; i < runs.length; i += MAX_MERGE_FAN_IN) {
+                    const filePath = path.join(tmpDir, crypto.randomUUID());
+                    await _mergeToFile(runs.slice(i, i + MAX_MERGE_FAN_IN).map(open => open()), filePath);
+                    merged.push(() => _readEvents(filePath));
+                }
+                runs = merged;
+            }
+            await _mergeRuns(runs.map(open => open()), onEvent);
+        } finally {
+            if (tmpDir) await fs.promises.rm(tmpDir, { recursive: true, force: true });
+        }
+        return meta;
+    }
+
+    /**
+     * Seals a dataset and re-keys it by the SHA-256 of its stored events.
+     * If an identical dataset already exists, the upload is discarded and the existing one returned with
+     * one more reference, so that it is only removed once every uploader has released it (see remove).
+     * Identical uploads finalized concurrently are serialized on their content hash.
+     * Returns { dataset, deduplicated }.
+     */
+    finalize(datasetId) {
+        return this._enqueue(datasetId, async () => {
+            const meta = await this._require(datasetId);
+            if (meta.contentHash) return { dataset: meta, deduplicated: false };
+            // Every empty upload would share the hash of the empty string
+            if (meta.eventCount === 0) throw _httpError('Dataset has no events to finalize', 400);
+
+            const uploadDir = this._datasetDir(datasetId);
+            const hash = crypto.createHash('sha256');
+            for await (const chunk of fs.createReadStream(path.join(uploadDir, 'events.ndjson'))) hash.update(chunk);
+            const contentHash = hash.digest('hex');
+
+            const now = new Date().toISOString();
+            const sealed = { ...meta, id: contentHash, contentHash, finalizedAt: now, updatedAt: now, references: 1 };
+            delete sealed.csvHeader;
+
+            return this._enqueue(contentHash, async () => {
+                const existing = await this._peek(contentHash);
+                if (existing !== null) return this._discardUpload(uploadDir, existing, sealed);
+
+                // The meta is sealed before the rename so the content-hash directory never appears unsealed
+                await this._writeMeta(sealed, uploadDir);
+                try {
+                    await fs.promises.rename(uploadDir, this._datasetDir(contentHash));
+                } catch (error) {
+                    if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+                        return this._discardUpload(uploadDir, await this._peek(contentHash), sealed);
+                    }
+                    await this._writeMeta(meta, uploadDir);
+                    throw error;
+                }
+                return { dataset: sealed, deduplicated: false };
+            });
+        });
+    }
+
+    /**
+     * Reads the meta of a dataset that may be written by another process: null when it does not exist,
+     * false when it exists but its meta cannot be read yet.
+     */
+    async _peek(datasetId) {
+        try {
+            return await this.get(datasetId);
+        } catch (error) {
+            if (error instanceof SyntaxError) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Drops an upload whose content is already stored and adds a reference to the stored dataset.
+     * When the stored meta cannot be read (existing is false) the upload's sealed meta stands in
+     * for it and the reference is not counted.
+     */
+    async _discardUpload(uploadDir, existing, sealed) {
+        await fs.promises.rm(uploadDir, { recursive: true, force: true });
+        if (!existing) return { dataset: sealed, deduplicated: true };
+        existing.references = (existing.references || 1) + 1;
+        existing.updatedAt = new Date().toISOString();
+        await this._writeMeta(existing);
+        return { dataset: existing, deduplicated: true };
+    }
+
+    /**
+     * Returns a cached analysis result for a finalized dataset, computing and storing it on a miss.
+     * Datasets that are still being uploaded are never cached. Returns { result, cacheHit }.
+     */
+    async cached(datasetId, operation, params, compute) {
+        const meta = await this._require(datasetId);
+        if (!meta.contentHash) return { result: await compute(), cacheHit: false };
+
+        const key = crypto.createHash('sha256').update(_stableStringify(params || {})).digest('hex').slice(0, 16);
+        const cacheDir = path.join(this._datasetDir(datasetId), 'cache');
+        const cachePath = path.join(cacheDir, `${operation}-${key}.json`);
+
+        try {
+            return { result: JSON.parse(await fs.promises.readFile(cachePath, 'utf8')), cacheHit: true };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const result = await compute();
+        await fs.promises.mkdir(cacheDir, { recursive: true });
+        // Concurrent misses for the same key each write their own temp file; if another request has
+        // already stored the result, the rename losing the race is treated as a cache hit
+        const tmpPath = `${cachePath}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(result));
+        try {
+            await fs.promises.rename(tmpPath, cachePath);
+        } catch (error) {
+            await fs.promises.rm(tmpPath, { force: true });
+            if (!fs.existsSync(cachePath)) throw error;
+            return { result: JSON.parse(await fs.promises.readFile(cachePath, 'utf8')), cacheHit: true };
+        }
+        return { result, cacheHit: false };
+    }
+
+    /**
+     * Releases one reference to a dataset and removes it when none are left.
+     * Returns { deleted, references }.
+     */
+    async remove(datasetId) {
+        return this._enqueue(datasetId, async () => {
+            const meta = await this._require(datasetId);
+            const references = meta.references || 1;
+            if (references > 1) {
+                meta.references = references - 1;
+                meta.updatedAt = new Date().toISOString();
+                await this._writeMeta(meta);
+                return { deleted: false, references: meta.references };
+            }
+            await fs.promises.rm(this._datasetDir(datasetId), { recursive: true, force: true });
+            return { deleted: true, references: 0 };
+        });
+    }
+}
+
+module.exports = {
+    DatasetStore,
+    datasetStore: new DatasetStore(config.datasets.dir),
+    normalizeEvent,
+    parseCsv
+};
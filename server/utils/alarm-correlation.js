@@ -0,0 +1,144 @@
+'use strict';
+/**
+ * Alarm Correlation & Redundancy Clustering - Server-Side Only
+ * Pairwise co-activation between alarm tags within a time tolerance, and clusters of tags that
+ * almost always fire together (candidates for the D&R "Duplicates" rule).
+ */
+
+const CORRELATION_DEFAULTS = {
+    toleranceSec: 10,       // activations of two tags this close count as co-activated
+    threshold: 0.8,         // minimum pairwise correlation inside a redundancy cluster
+    minActivations: 5,      // tags activating less often are not correlated
+    maxMatrixTags: 30,
+    reportAbove: 0.3        // pairs listed in the output
+};
+
+/**
+ * Incremental correlation accumulator; events must arrive in timestamp order.
+ * For each activation it records which other tags activated within the tolerance (each counted
+ * once per activation) and which of the two came first.
+ * @param {Object} options overrides of CORRELATION_DEFAULTS
+ */
+function createCorrelationAccumulator(options = {}) {
+    const opts = { ...CORRELATION_DEFAULTS, ...options };
+    const toleranceMs = opts.toleranceSec * 1000;
+    const activations = new Map(); // tag -> count
+    const hits = new Map();        // "A\u0000B" -> activations of A with B within tolerance
+    const leads = new Map();       // "A\u0000B" -> co-activations where A came first
+    const recent = [];
+
+    const _inc = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    function addEvent(event) {
+        if (!event.isAlarm) return;
+        while (recent.length > 0 && recent[0].timestamp < event.timestamp - toleranceMs) recent.shift();
+
+        const current = { tag: event.tag, timestamp: event.timestamp, matched: new Set() };
+        activations.set(event.tag, (activations.get(event.tag) || 0) + 1);
+        recent.forEach(previous => {
+            if (previous.tag === current.tag) return;
+            if (!current.matched.has(previous.tag)) {
+                current.matched.add(previous.tag);
+                _inc(hits, `${current.tag}\u0000${previous.tag}`);
+                _inc(leads, `${previous.tag}\u0000${current.tag}`);
+            }
+            if (!previous.matched.has(current.tag)) {
+                previous.matched.add(current.tag);
+                _inc(hits, `${previous.tag}\u0000${current.tag}`);
+            }
+        });
+        recent.push(current);
+    }
+
+    // Geometric mean of P(B near A) and P(A near B): 1 when the two always fire together
+    function _correlation(a, b) {
+        const ab = hits.get(`${a}\u0000${b}`) || 0;
+        const ba = hits.get(`${b}\u0000${a}`) || 0;
+        return Math.sqrt((ab / activations.get(a)) * (ba / activations.get(b)));
+    }
+
+    function finish() {
+        const tags = [...activations.keys()].filter(tag => activations.get(tag) >= opts.minActivations);
+        const eligible = new Set(tags);
+        const pairs = [];
+        hits.forEach((count, key) => {
+            const [a, b] = key.split('\u0000');
+            if (a >= b || !eligible.has(a) || !eligible.has(b)) return;
+            const correlation = _correlation(a, b);
+            if (correlation < opts.reportAbove) return;
+            pairs.push({ a, b, correlation: Math.round(correlation * 1000) / 1000, coActivations: Math.max(count, hits.get(`${b}\u0000${a}`) || 0) });
+        });
+        pairs.sort((x, y) => y.correlation - x.correlation);
+
+        const corr = new Map(pairs.map(p => [`${p.a}\u0000${p.b}`, p.correlation]));
+        const lookup = (a, b) => corr.get(a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`) || 0;
+
+        // Complete-linkage agglomeration: clusters only merge when every cross pair meets the threshold
+        const clusterOf = new Map(tags.map(tag => [tag, [tag]]));
+        pairs.filter(p => p.correlation >= opts.threshold).forEach(({ a, b }) => {
+            const ca = clusterOf.get(a);
+            const cb = clusterOf.get(b);
+            if (ca === cb) return;
+            if (!ca.every(x => cb.every(y => lookup(x, y) >= opts.threshold))) return;
+            const merged = [...ca, ...cb];
+            merged.forEach(tag => clusterOf.set(tag, merged));
+        });
+
+        const clusters = [...new Set(clusterOf.values())]
+            .filter(members => members.length > 1)
+            .map(members => {
+                const values = [];
+                members.forEach((x, i) => members.slice(i + 1).forEach(y => values.push(lookup(x, y))));
+                const leadScore = tag => members.reduce((sum, other) => sum + (leads.get(`${tag}\u0000${other}`) || 0), 0);
+                const leader = members.reduce((best, tag) => (leadScore(tag) > leadScore(best) ? tag : best), members[0]);
+                return {
+                    tags: [...members].sort(),
+                    leader,
+                    minCorrelation: Math.min(...values),
+                    avgCorrelation: Math.round((values.reduce((s, v) => s + v, 0) / values.length) * 1000) / 1000,
+                    activations: members.reduce((sum, tag) => sum + activations.get(tag), 0)
+                };
+            })
+            .sort((x, y) => y.activations - x.activations)
+            .map((cluster, index) => ({ id: index + 1, ...cluster }));
+
+        const matrixTags = [...new Set(pairs.flatMap(p => [p.a, p.b]))]
+            .sort((x, y) => activations.get(y) - activations.get(x))
+            .slice(0, opts.maxMatrixTags);
+
+        return {
+            matrix: {
+                tags: matrixTags,
+                values: matrixTags.map(x => matrixTags.map(y => (x === y ? 1 : lookup(x, y))))
+            },
+            pairs,
+            clusters,
+            summary: {
+                toleranceSec: opts.toleranceSec,
+                threshold: opts.threshold,
+                correlatedTags: tags.length,
+                clusterCount: clusters.length,
+                redundantTags: clusters.reduce((sum, c) => sum + c.tags.length - 1, 0)
+            }
+        };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Computes the co-activation correlation matrix and redundant-alarm clusters.
+ * @param {Array} data EventRecords (any order)
+ * @param {Object} options { toleranceSec, threshold, minActivations }
+ */
+function analyzeAlarmCorrelation(data, options = {}) {
+    const accumulator = createCorrelationAccumulator(options);
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    CORRELATION_DEFAULTS,
+    analyzeAlarmCorrelation,
+    createCorrelationAccumulator
+};
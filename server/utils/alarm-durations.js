@@ -0,0 +1,142 @@
+'use strict';
+/**
+ * Alarm Duration Analysis - Server-Side Only
+ * Pairs alarm state transitions (ACT -> ACK -> RTN) per tag to measure active durations,
+ * time-to-acknowledge and standing/stale alarms (ISA 18.2: stale = active longer than 24 h).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const STANDING_HOURS = 24;
+const TRANSITIONS = ['ACT', 'RTN', 'ACK'];
+
+function _stats(values) {
+    if (values.length === 0) return { avg: null, median: null, max: null };
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return {
+        avg: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+        median: sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Incremental duration accumulator; events must arrive in timestamp order.
+ * Events without a transition are ignored. A repeated ACT while the alarm is active does not
+ * restart it; an ACK arriving after RTN still counts towards time-to-acknowledge.
+ * @param {Object} options { standingHours: age after which an active alarm is stale (default 24) }
+ */
+function createDurationAccumulator(options = {}) {
+    const standingMs = (options.standingHours || STANDING_HOURS) * HOUR_MS;
+    const perTag = new Map();
+    let transitionCount = 0;
+    let lastTimestamp = null;
+
+    const _tag = (tag) => {
+        if (!perTag.has(tag)) {
+            perTag.set(tag, {
+                activeSince: null,
+                unackedSince: null,
+                activations: 0,
+                durations: [],
+                ackTimes: [],
+                staleActivations: 0
+            });
+        }
+        return perTag.get(tag);
+    };
+
+    function addEvent(event) {
+        lastTimestamp = event.timestamp;
+        if (!TRANSITIONS.includes(event.transition)) return;
+        transitionCount++;
+        const state = _tag(event.tag);
+
+        if (event.transition === 'ACT') {
+            if (state.activeSince !== null) return;
+            state.activeSince = event.timestamp;
+            state.unackedSince = event.timestamp;
+            state.activations++;
+        } else if (event.transition === 'ACK') {
+            if (state.unackedSince === null) return;
+            state.ackTimes.push(event.timestamp - state.unackedSince);
+            state.unackedSince = null;
+        } else if (state.activeSince !== null) {
+            const duration = event.timestamp - state.activeSince;
+            state.durations.push(duration);
+            if (duration > standingMs) state.staleActivations++;
+            state.activeSince = null;
+        }
+    }
+
+    function finish() {
+        const alarms = [];
+        const standingAlarms = [];
+        const allDurations = [];
+        const allAckTimes = [];
+
+        perTag.forEach((state, tag) => {
+            const standingMsForTag = state.activeSince !== null ? lastTimestamp - state.activeSince : null;
+            const isStanding = standingMsForTag !== null && standingMsForTag > standingMs;
+            if (isStanding) {
+                standingAlarms.push({ tag, activeSince: state.activeSince, activeHours: Math.round((standingMsForTag / HOUR_MS) * 10) / 10 });
+            }
+            allDurations.push(...state.durations);
+            allAckTimes.push(...state.ackTimes);
+
+            const duration = _stats(state.durations);
+            const ack = _stats(state.ackTimes);
+            alarms.push({
+                tag,
+                activations: state.activations,
+                completedActivations: state.durations.length,
+                avgDurationMs: duration.avg,
+                medianDurationMs: duration.median,
+                maxDurationMs: standingMsForTag !== null ? Math.max(duration.max || 0, standingMsForTag) : duration.max,
+                acknowledged: state.ackTimes.length,
+                avgTimeToAckMs: ack.avg,
+                medianTimeToAckMs: ack.median,
+                activeAtEnd: state.activeSince !== null,
+                stale: state.staleActivations > 0 || isStanding
+            });
+        });
+
+        alarms.sort((a, b) => (b.maxDurationMs || 0) - (a.maxDurationMs || 0));
+        standingAlarms.sort((a, b) => a.activeSince - b.activeSince);
+
+        return {
+            hasTransitions: transitionCount > 0,
+            alarms,
+            standingAlarms,
+            summary: {
+                standingHours: standingMs / HOUR_MS,
+                trackedAlarms: alarms.length,
+                activeAtEnd: alarms.filter(a => a.activeAtEnd).length,
+                staleAlarms: alarms.filter(a => a.stale).length,
+                standingAlarms: standingAlarms.length,
+                duration: _stats(allDurations),
+                timeToAck: _stats(allAckTimes)
+            }
+        };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Computes per-alarm active durations, time-to-acknowledge and standing alarms.
+ * @param {Array} data EventRecords with transition ('ACT' | 'RTN' | 'ACK'), any order
+ * @param {Object} options { standingHours }
+ */
+function analyzeAlarmDurations(data, options = {}) {
+    const accumulator = createDurationAccumulator(options);
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    TRANSITIONS,
+    STANDING_HOURS,
+    analyzeAlarmDurations,
+    createDurationAccumulator
+};
@@ -0,0 +1,201 @@
+'use strict';
+/**
+ * Alarm System Performance KPIs - Server-Side Only
+ * ISA 18.2 / IEC 62682 Table 5 and EEMUA 191 benchmarks, each KPI graded against its thresholds.
+ */
+
+const { createDurationAccumulator } = require('./alarm-durations');
+
+const HOUR_MS = 60 * 60 * 1000;
+const INTERVAL_MS = 10 * 60 * 1000;
+const FLOOD_THRESHOLD = 10;       // alarms per operator per 10 minutes
+const HOURLY_OVERLOAD = 30;       // alarms per operator per hour
+
+// target = "acceptable", maximum = "maximum manageable" (null where the standard gives a single limit)
+const KPI_BENCHMARKS = {
+    alarmsPerOperatorDay: { target: 150, maximum: 300 },
+    alarmsPerOperatorHour: { target: 6, maximum: 12 },
+    alarmsPerOperator10Min: { target: 1, maximum: 2 },
+    percentHoursOver30: { target: 1, maximum: null },
+    percent10MinOver10: { target: 1, maximum: null },
+    peak10MinRate: { target: 10, maximum: null },
+    top10Contribution: { target: 1, maximum: 5 },
+    staleAlarms: { target: 5, maximum: null },
+    standingAlarms: { target: 10, maximum: null }
+};
+
+// Share of annunciated alarms per priority (ISA 18.2: ~80% low, ~15% medium, ~5% high)
+const PRIORITY_TARGETS = { high: 5, medium: 15, low: 80 };
+const PRIORITY_TOLERANCE = 5; // percentage points
+
+/**
+ * Maps a journal priority string onto high/medium/low.
+ * Numeric priorities follow the same bands as the client (<=250 high, <=750 medium).
+ */
+function priorityLevel(priority) {
+    const text = String(priority || '').toLowerCase();
+    if (/crit|urgent|emerg|high/.test(text)) return 'high';
+    if (/med/.test(text)) return 'medium';
+    if (/low/.test(text)) return 'low';
+    const match = text.match(/\d+/);
+    if (!match) return 'low';
+    const value = parseInt(match[0], 10);
+    if (value <= 3) return value === 1 ? 'high' : value === 2 ? 'medium' : 'low';
+    if (value <= 250) return 'high';
+    if (value <= 750) return 'medium';
+    return 'low';
+}
+
+function _grade(value, { target, maximum }) {
+    if (value === null) return 'n/a';
+    if (value <= target) return 'pass';
+    if (maximum !== null && value <= maximum) return 'warn';
+    return 'fail';
+}
+
+function _kpi(id, name, value, unit, description) {
+    const benchmark = KPI_BENCHMARKS[id];
+    return {
+        id,
+        name,
+        value: value === null ? null : Math.round(value * 100) / 100,
+        unit,
+        benchmark: { ...benchmark, description },
+        status: _grade(value, benchmark)
+    };
+}
+
+/**
+ * Incremental KPI accumulator, so the report can be built over streamed events.
+ * Events must arrive in timestamp order. Stale/standing counts need alarm transitions
+ * (event.transition 'ACT' | 'RTN' | 'ACK') and are reported as n/a without them.
+ * @param {Object} options { operatorCount: number of consoles sharing the alarm load (default 1) }
+ */
+function createKpiAccumulator(options = {}) {
+    const operatorCount = options.operatorCount || 1;
+    const intervalCounts = new Map();
+    const tagCounts = new Map();
+    const priorityCounts = { high: 0, medium: 0, low: 0 };
+    const durations = createDurationAccumulator();
+    let firstTimestamp = null;
+    let lastTimestamp = null;
+    let totalAlarms = 0;
+
+    function addEvent(event) {
+        if (firstTimestamp === null) firstTimestamp = event.timestamp;
+        lastTimestamp = event.timestamp;
+
+        durations.addEvent(event);
+
+        if (!event.isAlarm) return;
+        totalAlarms++;
+        const interval = Math.floor(event.timestamp / INTERVAL_MS);
+        intervalCounts.set(interval, (intervalCounts.get(interval) || 0) + 1);
+        tagCounts.set(event.tag, (tagCounts.get(event.tag) || 0) + 1);
+        priorityCounts[priorityLevel(event.priority)]++;
+    }
+
+    function finish() {
+        const spanMs = firstTimestamp === null ? 0 : lastTimestamp - firstTimestamp;
+        const intervalTotal = firstTimestamp === null ? 0
+            : Math.floor(lastTimestamp / INTERVAL_MS) - Math.floor(firstTimestamp / INTERVAL_MS) + 1;
+        const perOperator = count => count / operatorCount;
+
+        const hourCounts = new Map();
+        intervalCounts.forEach((count, interval) => {
+            const hour = Math.floor((interval * INTERVAL_MS) / HOUR_MS);
+            hourCounts.set(hour, (hourCounts.get(hour) || 0) + count);
+        });
+        const hourTotal = firstTimestamp === null ? 0
+            : Math.floor(lastTimestamp / HOUR_MS) - Math.floor(firstTimestamp / HOUR_MS) + 1;
+
+        let floodIntervals = 0;
+        let peak = 0;
+        intervalCounts.forEach(count => {
+            const rate = perOperator(count);
+            if (rate > FLOOD_THRESHOLD) floodIntervals++;
+            if (rate > peak) peak = rate;
+        });
+        const overloadedHours = [...hourCounts.values()].filter(count => perOperator(count) > HOURLY_OVERLOAD).length;
+
+        const topTags = [...tagCounts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([tag, count]) => ({ tag, count, percent: totalAlarms > 0 ? (count / totalAlarms) * 100 : 0 }));
+        const top10Count = topTags.reduce((sum, t) => sum + t.count, 0);
+
+        const spanHours = spanMs / HOUR_MS;
+        const rateOver = hours => (spanHours > 0 ? perOperator(totalAlarms) / (spanHours / hours) : null);
+
+        const { hasTransitions, summary: durationSummary } = durations.finish();
+
+        const kpis = [
+            _kpi('alarmsPerOperatorDay', 'Annunciated alarms per operator per day', rateOver(24), 'alarms/day',
+                '~150 acceptable, ~300 maximum manageable'),
+            _kpi('alarmsPerOperatorHour', 'Annunciated alarms per operator per hour', rateOver(1), 'alarms/hour',
+                '~6 acceptable, ~12 maximum manageable'),
+            _kpi('alarmsPerOperator10Min', 'Annunciated alarms per operator per 10 minutes', rateOver(1 / 6), 'alarms/10 min',
+                '~1 acceptable, ~2 maximum manageable'),
+            _kpi('percentHoursOver30', 'Hours with more than 30 alarms', hourTotal > 0 ? (overloadedHours / hourTotal) * 100 : null, '%',
+                '<1% of hours'),
+            _kpi('percent10MinOver10', '10-minute intervals with more than 10 alarms', intervalTotal > 0 ? (floodIntervals / intervalTotal) * 100 : null, '%',
+                '<1% of 10-minute intervals'),
+            _kpi('peak10MinRate', 'Maximum alarms in a 10-minute interval', totalAlarms > 0 ? peak : null, 'alarms',
+                '≤10'),
+            _kpi('top10Contribution', 'Top 10 most frequent alarms, share of total', totalAlarms > 0 ? (top10Count / totalAlarms) * 100 : null, '%',
+                '~1% acceptable, 5% maximum'),
+            _kpi('staleAlarms', 'Stale alarms (active more than 24 h)', hasTransitions ? durationSummary.staleAlarms : null, 'alarms',
+                'fewer than 5; requires ACT/RTN transitions'),
+            _kpi('standingAlarms', 'Standing alarms at end of journal', hasTransitions ? durationSummary.activeAtEnd : null, 'alarms',
+                'fewer than 10; requires ACT/RTN transitions')
+        ];
+
+        const priorityDistribution = Object.entries(PRIORITY_TARGETS).map(([level, target]) => {
+            const percent = totalAlarms > 0 ? (priorityCounts[level] / totalAlarms) * 100 : null;
+            return {
+                priority: level,
+                count: priorityCounts[level],
+                percent: percent === null ? null : Math.round(percent * 100) / 100,
+                target,
+                status: percent === null ? 'n/a' : Math.abs(percent - target) <= PRIORITY_TOLERANCE ? 'pass' : 'fail'
+            };
+        });
+
+        return {
+            kpis,
+            priorityDistribution,
+            topAlarms: topTags,
+            summary: {
+                totalAlarms,
+                operatorCount,
+                startTime: firstTimestamp,
+                endTime: lastTimestamp,
+                durationHours: Math.round(spanHours * 100) / 100,
+                passed: kpis.filter(k => k.status === 'pass').length,
+                warnings: kpis.filter(k => k.status === 'warn').length,
+                failed: kpis.filter(k => k.status === 'fail').length
+            }
+        };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Builds the full ISA 18.2 performance report for an event journal.
+ * @param {Array} data EventRecords (any order)
+ * @param {Object} options { operatorCount }
+ */
+function calculateKpis(data, options = {}) {
+    const accumulator = createKpiAccumulator(options);
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    KPI_BENCHMARKS,
+    PRIORITY_TARGETS,
+    priorityLevel,
+    calculateKpis,
+    createKpiAccumulator
+};
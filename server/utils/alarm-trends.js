@@ -0,0 +1,189 @@
+'use strict';
+/**
+ * Alarm KPI Trends - Server-Side Only
+ * Buckets the event stream into calendar weeks or months (UTC) and runs the KPI and nuisance
+ * accumulators per bucket, giving trend series for alarm rate, flood percentage, chattering tags
+ * and bad actors, plus whether each series is improving or degrading. Weeks or months without
+ * events are reported as zero buckets, so the series keep their time axis.
+ */
+
+const kpi = require('./alarm-kpis');
+const nuisance = require('./nuisance-scoring');
+const se = require('./session-extraction');
+
+const TREND_PERIODS = ['week', 'month'];
+const BAD_ACTORS_PER_BUCKET = 5;
+const TRACKED_BAD_ACTORS = 5;
+const STABLE_CHANGE = 0.05; // fitted change per period below 5% of the mean counts as stable
+
+/**
+ * Start of the calendar bucket containing timestamp: ISO weeks start Monday 00:00 UTC,
+ * months on the 1st 00:00 UTC.
+ */
+function bucketStart(timestamp, period) {
+    const date = new Date(timestamp);
+    if (period === 'month') return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+}
+
+function _bucketEnd(start, period) {
+    const date = new Date(start);
+    return period === 'month'
+        ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+        : start + 7 * 24 * 60 * 60 * 1000;
+}
+
+function _kpiValue(report, id) {
+    return report.kpis.find(k => k.id === id).value;
+}
+
+/**
+ * Least-squares slope of the series relative to its mean. Every tracked KPI is better when lower.
+ */
+function _direction(values) {
+    const points = values.map((y, x) => ({ x, y })).filter(p => p.y !== null);
+    if (points.length < 2) return { direction: 'insufficient-data', changePerPeriod: null };
+    const meanX = points.reduce((s, p) => s + p.x, 0) / points.length;
+    const meanY = points.reduce((s, p) => s + p.y, 0) / points.length;
+    const covariance = points.reduce((s, p) => s + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((s, p) => s + (p.x - meanX) ** 2, 0);
+    const slope = covariance / variance;
+    const relative = meanY !== 0 ? slope / Math.abs(meanY) : 0;
+    return {
+        direction: Math.abs(relative) < STABLE_CHANGE ? 'stable' : relative < 0 ? 'improving' : 'degrading',
+        changePerPeriod: Math.round(slope * 100) / 100
+    };
+}
+
+// Bucket for a period without events
+function _emptyBucket(start, period) {
+    return {
+        start,
+        end: _bucketEnd(start, period),
+        totalAlarms: 0,
+        alarmRate: 0,
+        alarmsPerDay: 0,
+        percentTimeInFlood: 0,
+        peak10MinRate: 0,
+        chatteringTags: 0,
+        overallHealth: null,
+        badActors: [],
+        tagCounts: new Map()
+    };
+}
+
+/**
+ * Incremental trend accumulator; events must arrive in timestamp order. Only the current bucket's
+ * accumulators are held, so sessions spanning a bucket boundary are split at it. Alarm counts are
+ * kept per tag for every bucket, so a bad actor can be followed after it drops out of the top alarms.
+ * @param {Object} options { period: 'week' | 'month', operatorCount, filters, profile } - filters and
+ *   profile must already be resolved (resolveSessionFilters / resolveScoringProfile)
+ */
+function createTrendAccumulator(options = {}) {
+    const period = options.period || 'week';
+    const filters = options.filters || se.SESSION_FILTERS;
+    const profile = options.profile || nuisance.resolveScoringProfile().profile;
+    const buckets = [];
+    let current = null;
+
+    function _open(start) {
+        const scoring = nuisance.createNuisanceAccumulator(profile);
+        current = {
+            start,
+            tagCounts: new Map(),
+            kpis: kpi.createKpiAccumulator({ operatorCount: options.operatorCount }),
+            nuisance: scoring,
+            sessions: se.createSessionExtractor(filters, {
+                retainSessions: false,
+                onSession: session => {
+                    scoring.addSession(session);
+                    scoring.addPatternSession(session);
+                }
+            })
+        };
+    }
+
+    function _close() {
+        current.sessions.finish();
+        const report = current.kpis.finish();
+        const scored = current.nuisance.finish();
+        const chatterLimit = profile.metricThresholds.chatteringAbove;
+        buckets.push({
+            start: current.start,
+            end: _bucketEnd(current.start, period),
+            totalAlarms: report.summary.totalAlarms,
+            alarmRate: _kpiValue(report, 'alarmsPerOperator10Min'),
+            alarmsPerDay: _kpiValue(report, 'alarmsPerOperatorDay'),
+            percentTimeInFlood: _kpiValue(report, 'percent10MinOver10'),
+            peak10MinRate: _kpiValue(report, 'peak10MinRate'),
+            chatteringTags: scored.alarms.filter(a => a.chatterRate > chatterLimit).length,
+            overallHealth: Math.round(scored.metrics.overallHealth * 10) / 10,
+            badActors: report.topAlarms.slice(0, BAD_ACTORS_PER_BUCKET).map(a => ({ tag: a.tag, count: a.count })),
+            tagCounts: current.tagCounts
+        });
+        current = null;
+    }
+
+    function addEvent(event) {
+        const start = bucketStart(event.timestamp, period);
+        if (current && current.start !== start) {
+            const gapStart = _bucketEnd(current.start, period);
+            _close();
+            for (let empty = gapStart; empty < start; empty = _bucketEnd(empty, period)) buckets.push(_emptyBucket(empty, period));
+        }
+        if (!current) _open(start);
+        if (event.isAlarm) current.tagCounts.set(event.tag, (current.tagCounts.get(event.tag) || 0) + 1);
+        current.kpis.addEvent(event);
+        current.nuisance.addEvent(event);
+        current.sessions.push(event);
+    }
+
+    function finish() {
+        if (current) _close();
+
+        // Tags most often among a bucket's top alarms, followed across every bucket
+        const appearances = new Map();
+        buckets.forEach(b => b.badActors.forEach(a => appearances.set(a.tag, (appearances.get(a.tag) || 0) + a.count)));
+        const tracked = [...appearances.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TRACKED_BAD_ACTORS)
+            .map(([tag]) => tag);
+        const badActorSeries = tracked.map(tag => ({
+            tag,
+            counts: buckets.map(b => b.tagCounts.get(tag) || 0)
+        }));
+
+        const series = key => buckets.map(b => b[key]);
+        return {
+            period,
+            buckets: buckets.map(({ tagCounts, ...bucket }) => bucket),
+            badActorSeries,
+            trend: {
+                alarmRate: _direction(series('alarmRate')),
+                percentTimeInFlood: _direction(series('percentTimeInFlood')),
+                chatteringTags: _direction(series('chatteringTags'))
+            }
+        };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Weekly or monthly KPI trend series for an event journal.
+ * @param {Array} data EventRecords (any order)
+ * @param {Object} options { period, operatorCount, filters, profile }
+ */
+function analyzeTrends(data, options = {}) {
+    const accumulator = createTrendAccumulator(options);
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    TREND_PERIODS,
+    bucketStart,
+    analyzeTrends,
+    createTrendAccumulator
+};
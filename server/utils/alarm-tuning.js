@@ -0,0 +1,206 @@
+'use strict';
+/**
+ * Alarm Deadband / Delay Tuning - Server-Side Only
+ * Replays each alarm's historical activation series with candidate on-delays and off-delays and
+ * counts the activations each setting would have removed, so chattering alarms get a concrete
+ * setting instead of a generic "add deadband or delay".
+ * Deadbands are not simulated: the event journal records transitions, not process values, so there
+ * is nothing to replay a deadband against. The deadband reported is the EEMUA 191 starting point for
+ * the tag's signal type (deadband.basis 'eemua-191-table', simulated: false).
+ */
+
+const CANDIDATE_DELAYS_SEC = [1, 2, 3, 5, 10, 15, 30, 60]; // on/off-delay settings offered by typical DCS alarm blocks
+const KNEE_SHARE = 0.8;  // recommend the shortest delay reaching 80% of the best candidate's reduction
+const MIN_ACTIVATIONS = 3;
+
+// EEMUA 191 recommended starting points per signal type (deadband in % of range, delay in seconds)
+const EEMUA_SETTINGS = {
+    flow: { deadbandPercent: 5, delaySec: 15 },
+    level: { deadbandPercent: 5, delaySec: 60 },
+    pressure: { deadbandPercent: 2, delaySec: 15 },
+    temperature: { deadbandPercent: 1, delaySec: 60 }
+};
+const SIGNAL_LETTERS = { F: 'flow', L: 'level', P: 'pressure', T: 'temperature' };
+
+/**
+ * Signal type from the ISA 5.1 measured-variable letter of a tag ("FIC101.PVHI", "21-LT-005").
+ * Returns null when the tag does not follow the convention.
+ */
+function signalType(tag) {
+    const match = String(tag || '').toUpperCase().match(/(?:^|[^A-Z])([FLPT])[A-Z]{0,3}[-_ ]?\d/);
+    return match ? SIGNAL_LETTERS[match[1]] : null;
+}
+
+/**
+ * Replays one alarm's activations with several candidate delays as they arrive, so no activation
+ * series has to be kept. An activation is settled once the next one arrives (or at finish), when it
+ * is known whether it cleared in time.
+ * On-delay: the alarm must stay active for the delay before it annunciates. With RTN timings an
+ * activation is removed when it cleared sooner; without them a re-activation within the delay
+ * shows the previous activation cleared in time (activation-pair heuristic).
+ * Off-delay: the alarm is held active for the delay after it clears, so a re-activation within the
+ * hold merges into the previous one. Without RTN the previous activation stands in for the clear time.
+ */
+function _createReplay(delaysMs) {
+    const onRemoved = delaysMs.map(() => 0);
+    const offRemoved = delaysMs.map(() => 0);
+    const holdUntil = delaysMs.map(() => -Infinity);
+    let previous = null;
+    let activations = 0;
+    let hasClears = false;
+
+    const settle = nextTimestamp => {
+        const { timestamp, clearedAt } = previous;
+        delaysMs.forEach((delayMs, i) => {
+            const clearedInTime = clearedAt !== null
+                ? clearedAt - timestamp < delayMs
+                : nextTimestamp !== null && nextTimestamp - timestamp < delayMs;
+            if (clearedInTime) onRemoved[i]++;
+            holdUntil[i] = (clearedAt !== null ? clearedAt : timestamp) + delayMs;
+        });
+    };
+
+    return {
+        activate(timestamp) {
+            if (previous) settle(timestamp);
+            delaysMs.forEach((delayMs, i) => {
+                if (timestamp < holdUntil[i]) offRemoved[i]++;
+            });
+            previous = { timestamp, clearedAt: null };
+            activations++;
+        },
+        clear(timestamp) {
+            if (!previous) return;
+            previous.clearedAt = timestamp;
+            hasClears = true;
+        },
+        finish() {
+            if (previous) settle(null);
+            previous = null;
+            return { activations, hasClears, onRemoved, offRemoved };
+        }
+    };
+}
+
+function _replaySeries(series, delayMs) {
+    const replay = _createReplay([delayMs]);
+    series.forEach(activation => {
+        replay.activate(activation.timestamp);
+        if (activation.clearedAt !== null) replay.clear(activation.clearedAt);
+    });
+    return replay.finish();
+}
+
+/**
+ * Activations of a series ({ timestamp, clearedAt }) removed by an on-delay.
+ */
+function simulateOnDelay(series, delayMs) {
+    return _replaySeries(series, delayMs).onRemoved[0];
+}
+
+/**
+ * Activations of a series ({ timestamp, clearedAt }) removed by an off-delay.
+ */
+function simulateOffDelay(series, delayMs) {
+    return _replaySeries(series, delayMs).offRemoved[0];
+}
+
+function _candidates(removedPerDelay, activations) {
+    return CANDIDATE_DELAYS_SEC.map((delaySec, i) => ({
+        delaySec,
+        removedActivations: removedPerDelay[i],
+        reductionPercent: Math.round((removedPerDelay[i] / activations) * 1000) / 10
+    }));
+}
+
+function _recommended(candidates) {
+    const best = Math.max(...candidates.map(c => c.removedActivations));
+    if (best === 0) return null;
+    return candidates.find(c => c.removedActivations >= best * KNEE_SHARE);
+}
+
+/**
+ * Incremental tuning accumulator; events must arrive in timestamp order.
+ * Replays each activation (isAlarm, or ACT transition) with its clear time from the next RTN.
+ */
+function createTuningAccumulator() {
+    const delaysMs = CANDIDATE_DELAYS_SEC.map(sec => sec * 1000);
+    const perTag = new Map();
+
+    function addEvent(event) {
+        if (!event.isAlarm && event.transition !== 'RTN') return;
+        if (!perTag.has(event.tag)) perTag.set(event.tag, { replay: _createReplay(delaysMs), active: false });
+        const state = perTag.get(event.tag);
+
+        if (event.transition === 'RTN') {
+            if (state.active) state.replay.clear(event.timestamp);
+            state.active = false;
+            return;
+        }
+        if (event.transition === 'ACT' && state.active) return;
+
+        state.replay.activate(event.timestamp);
+        if (event.transition === 'ACT') state.active = true;
+    }
+
+    function finish() {
+        const alarms = [];
+        perTag.forEach(({ replay }, tag) => {
+            const { activations, hasClears, onRemoved, offRemoved } = replay.finish();
+            if (activations < MIN_ACTIVATIONS) return;
+            const onDelay = _candidates(onRemoved, activations);
+            const offDelay = _candidates(offRemoved, activations);
+            const recommendedOn = _recommended(onDelay);
+            const recommendedOff = _recommended(offDelay);
+            if (!recommendedOn && !recommendedOff) return;
+
+            const type = signalType(tag);
+            const eemua = type ? EEMUA_SETTINGS[type] : null;
+            alarms.push({
+                tag,
+                signalType: type,
+                activations,
+                method: hasClears ? 'rtn' : 'activation-pairs',
+                onDelay: { candidates: onDelay, recommendedSec: recommendedOn ? recommendedOn.delaySec : null, removedActivations: recommendedOn ? recommendedOn.removedActivations : 0 },
+                offDelay: { candidates: offDelay, recommendedSec: recommendedOff ? recommendedOff.delaySec : null, removedActivations: recommendedOff ? recommendedOff.removedActivations : 0 },
+                deadband: { recommendedPercent: eemua ? eemua.deadbandPercent : null, basis: 'eemua-191-table', simulated: false },
+                eemua
+            });
+        });
+
+        const removedBy = alarm => Math.max(alarm.onDelay.removedActivations, alarm.offDelay.removedActivations);
+        alarms.sort((a, b) => removedBy(b) - removedBy(a));
+
+        return {
+            alarms,
+            summary: {
+                candidateDelaysSec: CANDIDATE_DELAYS_SEC,
+                deadbandsSimulated: false,
+                tunableAlarms: alarms.length,
+                removableActivations: alarms.reduce((sum, a) => sum + removedBy(a), 0)
+            }
+        };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Simulates candidate on/off-delays per alarm and recommends settings.
+ * @param {Array} data EventRecords (any order)
+ */
+function analyzeAlarmTuning(data) {
+    const accumulator = createTuningAccumulator();
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    CANDIDATE_DELAYS_SEC,
+    EEMUA_SETTINGS,
+    signalType,
+    simulateOnDelay,
+    simulateOffDelay,
+    analyzeAlarmTuning,
+    createTuningAccumulator
+};
@@ -0,0 +1,134 @@
+'use strict';
+/**
+ * Operator Console Mapping - Server-Side Only
+ * ISA 18.2 rates are defined per operator position. A console mapping assigns events to consoles by
+ * unit or by tag pattern (glob: * and ?), first matching rule wins; unmatched events fall to the
+ * default console. Used to scope the KPI, nuisance and flood analyses to one console and to report
+ * the loading of every console side by side.
+ */
+
+const kpi = require('./alarm-kpis');
+const floods = require('./flood-episodes');
+
+const UNASSIGNED_CONSOLE = 'Unassigned';
+const MAX_RULES = 200;
+
+function _globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Validates a console mapping: { rules: [{ console, unit?, tagPattern? }], defaultConsole? }.
+ * A rule needs a unit, a tag pattern, or both (both must match). Returns { mapping, errors };
+ * mapping is null when no mapping was given.
+ */
+function resolveConsoleMapping(input) {
+    if (input === undefined || input === null) return { mapping: null, errors: [] };
+    if (typeof input !== 'object' || !Array.isArray(input.rules) || input.rules.length === 0 || input.rules.length > MAX_RULES) {
+        return { mapping: null, errors: [`consoleMapping.rules must be an array of 1 to ${MAX_RULES} rules`] };
+    }
+
+    const errors = [];
+    const rules = input.rules.map((rule, i) => {
+        if (!rule || typeof rule.console !== 'string' || !rule.console.trim()) errors.push(`rules[${i}].console is required`);
+        const unit = rule && typeof rule.unit === 'string' && rule.unit.trim() ? rule.unit.trim() : null;
+        const tagPattern = rule && typeof rule.tagPattern === 'string' && rule.tagPattern.trim() ? rule.tagPattern.trim() : null;
+        if (!unit && !tagPattern) errors.push(`rules[${i}] needs a unit or a tagPattern`);
+        return { console: rule && typeof rule.console === 'string' ? rule.console.trim() : '', unit, tagPattern };
+    });
+    const defaultConsole = typeof input.defaultConsole === 'string' && input.defaultConsole.trim()
+        ? input.defaultConsole.trim()
+        : UNASSIGNED_CONSOLE;
+
+    return errors.length > 0 ? { mapping: null, errors } : { mapping: { rules, defaultConsole }, errors };
+}
+
+/**
+ * Compiles a resolved mapping into event => console name.
+ */
+function compileConsoleMapping(mapping) {
+    const rules = mapping.rules.map(rule => ({
+        console: rule.console,
+        unit: rule.unit && rule.unit.toLowerCase(),
+        tag: rule.tagPattern && _globToRegExp(rule.tagPattern)
+    }));
+    return event => {
+        const unit = String(event.unit || '').toLowerCase();
+        const match = rules.find(rule => (!rule.unit || rule.unit === unit) && (!rule.tag || rule.tag.test(event.tag || '')));
+        return match ? match.console : mapping.defaultConsole;
+    };
+}
+
+/**
+ * Console names in rule order, followed by the default console.
+ */
+function consoleNames(mapping) {
+    return [...new Set([...mapping.rules.map(r => r.console), mapping.defaultConsole])];
+}
+
+/**
+ * Per-console KPI and flood accumulators in one pass; events must arrive in timestamp order.
+ * Each console is one operator position (operatorCount 1).
+ */
+function createConsoleLoadAccumulator(mapping) {
+    const consoleOf = compileConsoleMapping(mapping);
+    const consoles = new Map(consoleNames(mapping).map(name => [name, {
+        kpis: kpi.createKpiAccumulator(),
+        floods: floods.createFloodAccumulator(),
+        units: new Set(),
+        events: 0
+    }]));
+
+    function addEvent(event) {
+        const load = consoles.get(consoleOf(event));
+        load.events++;
+        if (event.unit) load.units.add(event.unit);
+        load.kpis.addEvent(event);
+        load.floods.addEvent(event);
+    }
+
+    function finish() {
+        const results = [...consoles.entries()].map(([name, load]) => {
+            const report = load.kpis.finish();
+            const flood = load.floods.finish().summary;
+            const value = id => report.kpis.find(k => k.id === id).value;
+            return {
+                console: name,
+                units: [...load.units].sort(),
+                events: load.events,
+                totalAlarms: report.summary.totalAlarms,
+                alarmsPerHour: value('alarmsPerOperatorHour'),
+                alarmsPer10Min: value('alarmsPerOperator10Min'),
+                percent10MinOver10: value('percent10MinOver10'),
+                peak10MinRate: value('peak10MinRate'),
+                floodEpisodes: flood.episodeCount,
+                percentTimeInFlood: flood.percentTimeInFlood,
+                kpiStatus: { passed: report.summary.passed, warnings: report.summary.warnings, failed: report.summary.failed }
+            };
+        });
+        return { consoles: results.filter(c => c.events > 0 || c.console !== mapping.defaultConsole) };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Loading of every console for an event journal.
+ * @param {Array} data EventRecords (any order)
+ * @param {Object} mapping resolved console mapping
+ */
+function analyzeConsoleLoading(data, mapping) {
+    const accumulator = createConsoleLoadAccumulator(mapping);
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    UNASSIGNED_CONSOLE,
+    resolveConsoleMapping,
+    compileConsoleMapping,
+    consoleNames,
+    analyzeConsoleLoading,
+    createConsoleLoadAccumulator
+};
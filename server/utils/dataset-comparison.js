@@ -0,0 +1,160 @@
+'use strict';
+/**
+ * Before/After Dataset Comparison - Server-Side Only
+ * Diffs two alarm journals (e.g. before and after a rationalization project): KPI deltas from the
+ * client-side statistics, nuisance scores aligned by tag, new and removed bad actors, and the
+ * reduction of time spent in alarm floods.
+ */
+
+const BAD_ACTOR_COUNT = 10; // ISA 18.2 bad actors: the most frequent alarms
+const SCORE_TOLERANCE = 5;  // nuisance score changes within this band count as unchanged
+
+// Numeric fields of statsService.calculateStatistics compared between the datasets
+const KPI_FIELDS = [
+    'totalEvents',
+    'totalAlarms',
+    'totalActions',
+    'totalSessions',
+    'avgSessionDuration',
+    'avgAlarmsPerSession',
+    'avgActionsPerSession',
+    'avgAlarmRate',
+    'percentTimeInFlood'
+];
+
+function _round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function _percentChange(before, after) {
+    return before ? _round(((after - before) / before) * 100, 1) : null;
+}
+
+/**
+ * Deltas of the numeric calculateStatistics KPIs. Fields missing or non-numeric on either side are skipped.
+ */
+function compareKpis(before, after) {
+    if (!before || !after) return [];
+    return KPI_FIELDS
+        .filter(field => Number.isFinite(before[field]) && Number.isFinite(after[field]))
+        .map(field => ({
+            kpi: field,
+            before: _round(before[field]),
+            after: _round(after[field]),
+            delta: _round(after[field] - before[field]),
+            percentChange: _percentChange(before[field], after[field])
+        }));
+}
+
+/**
+ * Nuisance scores aligned by tag. Status: 'improved' / 'worsened' when the score moved by more than
+ * SCORE_TOLERANCE, 'removed' for tags no longer scored after, 'new' for tags only scored after.
+ */
+function alignNuisanceScores(beforeAlarms, afterAlarms) {
+    const before = new Map(beforeAlarms.map(a => [a.tag, a]));
+    const after = new Map(afterAlarms.map(a => [a.tag, a]));
+    const tags = new Set([...before.keys(), ...after.keys()]);
+
+    const summarize = alarm => alarm && {
+        nuisanceScore: alarm.nuisanceScore,
+        occurrences: alarm.totalOccurrences,
+        recommendation: alarm.recommendation
+    };
+
+    return [...tags].map(tag => {
+        const b = before.get(tag);
+        const a = after.get(tag);
+        let status;
+        let scoreDelta = null;
+        if (!a) status = 'removed';
+        else if (!b) status = 'new';
+        else {
+            scoreDelta = a.nuisanceScore - b.nuisanceScore;
+            status = scoreDelta < -SCORE_TOLERANCE ? 'improved' : scoreDelta > SCORE_TOLERANCE ? 'worsened' : 'unchanged';
+        }
+        return { tag, before: summarize(b) || null, after: summarize(a) || null, scoreDelta, status };
+    }).sort((x, y) => (x.scoreDelta ?? 0) - (y.scoreDelta ?? 0) || x.tag.localeCompare(y.tag));
+}
+
+/**
+ * Top BAD_ACTOR_COUNT alarms by occurrences on each side, and which of them appeared or disappeared.
+ */
+function compareBadActors(beforeAlarms, afterAlarms) {
+    const top = alarms => [...alarms]
+        .sort((a, b) => b.totalOccurrences - a.totalOccurrences)
+        .slice(0, BAD_ACTOR_COUNT)
+        .map(a => ({ tag: a.tag, occurrences: a.totalOccurrences, nuisanceScore: a.nuisanceScore }));
+    const before = top(beforeAlarms);
+    const after = top(afterAlarms);
+    const beforeTags = new Set(before.map(a => a.tag));
+    const afterTags = new Set(after.map(a => a.tag));
+
+    return {
+        before,
+        after,
+        newBadActors: after.filter(a => !beforeTags.has(a.tag)),
+        removedBadActors: before.filter(a => !afterTags.has(a.tag)),
+        persistentBadActors: after.filter(a => beforeTags.has(a.tag)).map(a => a.tag)
+    };
+}
+
+/**
+ * Flood exposure on both sides from flood-episodes summaries.
+ */
+function compareFloods(before, after) {
+    const pick = s => ({
+        episodeCount: s.episodeCount,
+        timeInFloodMs: s.timeInFloodMs,
+        percentTimeInFlood: s.percentTimeInFlood,
+        percentAlarmsInFloods: s.percentAlarmsInFloods,
+        peakRate: s.peakRate
+    });
+    return {
+        before: pick(before),
+        after: pick(after),
+        timeInFloodReductionMs: before.timeInFloodMs - after.timeInFloodMs,
+        percentTimeInFloodDelta: _round(after.percentTimeInFlood - before.percentTimeInFlood, 1),
+        timeInFloodReductionPercent: before.timeInFloodMs > 0
+            ? _round(((before.timeInFloodMs - after.timeInFloodMs) / before.timeInFloodMs) * 100, 1)
+            : null
+    };
+}
+
+/**
+ * Compares two analyzed datasets.
+ * @param {Object} before { nuisance: analyzeNuisanceAlarms result, floods: analyzeFloods result, statistics?: calculateStatistics result }
+ * @param {Object} after same shape as before
+ */
+function compareDatasets(before, after) {
+    const tags = alignNuisanceScores(before.nuisance.alarms, after.nuisance.alarms);
+    const count = status => tags.filter(t => t.status === status).length;
+
+    return {
+        kpis: compareKpis(before.statistics, after.statistics),
+        health: {
+            before: _round(before.nuisance.metrics.overallHealth, 1),
+            after: _round(after.nuisance.metrics.overallHealth, 1)
+        },
+        tags,
+        badActors: compareBadActors(before.nuisance.alarms, after.nuisance.alarms),
+        floods: compareFloods(before.floods.summary, after.floods.summary),
+        summary: {
+            improved: count('improved'),
+            worsened: count('worsened'),
+            unchanged: count('unchanged'),
+            removed: count('removed'),
+            new: count('new')
+        }
+    };
+}
+
+module.exports = {
+    BAD_ACTOR_COUNT,
+    KPI_FIELDS,
+    compareKpis,
+    alignNuisanceScores,
+    compareBadActors,
+    compareFloods,
+    compareDatasets
+};
@@ -0,0 +1,177 @@
+'use strict';
+/**
+ * Event Log Export - Server-Side Only
+ * Writes extracted alarm sessions as IEEE XES (one trace per session) or OCEL 2.0 JSON (units and
+ * tags as object types) for external process-mining tools. Activity names are the ones used by the
+ * process maps ("[A] TAG", "[C] TAG", "[E] TAG"). Session events are point-in-time occurrences
+ * (return-to-normal and acknowledgement transitions are not part of a session), so every event is
+ * exported with the XES lifecycle transition "complete" and keeps its alarm transition separately.
+ */
+
+const { getUniqueEventId } = require('./process-mining');
+
+const XES_EXTENSIONS = [
+    { name: 'Concept', prefix: 'concept', uri: 'http://www.xes-standard.org/concept.xesext' },
+    { name: 'Time', prefix: 'time', uri: 'http://www.xes-standard.org/time.xesext' },
+    { name: 'Lifecycle', prefix: 'lifecycle', uri: 'http://www.xes-standard.org/lifecycle.xesext' }
+];
+
+const EVENT_KINDS = { A: 'alarm', C: 'action', E: 'event' };
+
+// Characters not allowed in XML 1.0 documents
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function _escapeXml(value) {
+    return String(value)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function _isoTime(timestamp) {
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function _eventKind(activity) {
+    return EVENT_KINDS[activity.charAt(1)] || 'event';
+}
+
+function _xesAttribute(type, key, value, indent) {
+    return `${indent}<${type} key="${_escapeXml(key)}" value="${_escapeXml(value)}"/>`;
+}
+
+/**
+ * IEEE 1849-2016 XES document for a list of sessions. Events without a valid timestamp are skipped.
+ * @param {Array} sessions sessions as returned by extractSessions
+ * @param {Object} [options]
+ * @param {string} [options.logName] concept:name of the log
+ * @returns {string} XML
+ */
+function toXes(sessions, options = {}) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<log xes.version="1849-2016" xes.features="" xmlns="http://www.xes-standard.org/">'
+    ];
+    XES_EXTENSIONS.forEach(ext => lines.push(`  <extension name="${ext.name}" prefix="${ext.prefix}" uri="${ext.uri}"/>`));
+    lines.push('  <global scope="trace">', _xesAttribute('string', 'concept:name', '__INVALID__', '    '), '  </global>');
+    lines.push(
+        '  <global scope="event">',
+        _xesAttribute('string', 'concept:name', '__INVALID__', '    '),
+        _xesAttribute('date', 'time:timestamp', '1970-01-01T00:00:00.000Z', '    '),
+        _xesAttribute('string', 'lifecycle:transition', 'complete', '    '),
+        '  </global>'
+    );
+    lines.push('  <classifier name="Activity" keys="concept:name"/>');
+    lines.push(_xesAttribute('string', 'concept:name', options.logName || 'Alarm sessions', '  '));
+
+    sessions.forEach(session => {
+        lines.push('  <trace>');
+        lines.push(_xesAttribute('string', 'concept:name', `session-${session.id}`, '    '));
+        if (session.unit) lines.push(_xesAttribute('string', 'unit', session.unit, '    '));
+        if (Number.isFinite(session.alarms)) lines.push(_xesAttribute('int', 'alarms', session.alarms, '    '));
+        if (Number.isFinite(session.actions)) lines.push(_xesAttribute('int', 'actions', session.actions, '    '));
+
+        (session.events || []).forEach(event => {
+            const time = _isoTime(event.timestamp);
+            if (!time) return;
+            const activity = getUniqueEventId(event);
+            lines.push('    <event>');
+            lines.push(_xesAttribute('string', 'concept:name', activity, '      '));
+            lines.push(_xesAttribute('date', 'time:timestamp', time, '      '));
+            lines.push(_xesAttribute('string', 'lifecycle:transition', 'complete', '      '));
+            lines.push(_xesAttribute('string', 'tag', event.tag, '      '));
+            lines.push(_xesAttribute('string', 'type', _eventKind(activity), '      '));
+            lines.push(_xesAttribute('string', 'unit', event.unit || session.unit || 'Unknown', '      '));
+            if (event.priority) lines.push(_xesAttribute('string', 'priority', event.priority, '      '));
+            if (event.transition) lines.push(_xesAttribute('string', 'transition', event.transition, '      '));
+            if (event.Desc1) lines.push(_xesAttribute('string', 'description', event.Desc1, '      '));
+            lines.push('    </event>');
+        });
+        lines.push('  </trace>');
+    });
+
+    lines.push('</log>');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * OCEL 2.0 JSON log for a list of sessions. Every event relates to its tag object ("source") and
+ * its unit object ("unit"); tag objects relate to the units they occur in ("part of") and carry
+ * their priority over time. The session id is kept as an event attribute.
+ * @param {Array} sessions sessions as returned by extractSessions
+ * @returns {Object} { objectTypes, eventTypes, objects, events }
+ */
+function toOcel(sessions) {
+    const units = new Map();
+    const tags = new Map();
+    const activities = new Set();
+    const events = [];
+
+    const unitObject = name => {
+        if (!units.has(name)) units.set(name, { id: `unit:${name}`, type: 'unit', attributes: [], relationships: [] });
+        return units.get(name);
+    };
+
+    sessions.forEach(session => {
+        (session.events || []).forEach(event => {
+            const time = _isoTime(event.timestamp);
+            if (!time) return;
+            const activity = getUniqueEventId(event);
+            const unit = unitObject(event.unit || session.unit || 'Unknown');
+
+            let tag = tags.get(event.tag);
+            if (!tag) {
+                tag = { id: `tag:${event.tag}`, type: 'tag', attributes: [], relationships: [], units: new Set(), priority: null };
+                tags.set(event.tag, tag);
+            }
+            if (!tag.units.has(unit.id)) {
+                tag.units.add(unit.id);
+                tag.relationships.push({ objectId: unit.id, qualifier: 'part of' });
+            }
+            if (event.priority && event.priority !== tag.priority) {
+                tag.priority = event.priority;
+                tag.attributes.push({ name: 'priority', time, value: String(event.priority) });
+            }
+
+            activities.add(activity);
+            const attributes = [{ name: 'session', value: session.id }, { name: 'type', value: _eventKind(activity) }];
+            if (event.priority) attributes.push({ name: 'priority', value: String(event.priority) });
+            if (event.transition) attributes.push({ name: 'transition', value: String(event.transition) });
+            events.push({
+                id: `e${events.length + 1}`,
+                type: activity,
+                time,
+                attributes,
+                relationships: [{ objectId: tag.id, qualifier: 'source' }, { objectId: unit.id, qualifier: 'unit' }]
+            });
+        });
+    });
+
+    const eventAttributes = [
+        { name: 'session', type: 'integer' },
+        { name: 'type', type: 'string' },
+        { name: 'priority', type: 'string' },
+        { name: 'transition', type: 'string' }
+    ];
+    return {
+        objectTypes: [
+            { name: 'unit', attributes: [] },
+            { name: 'tag', attributes: [{ name: 'priority', type: 'string' }] }
+        ],
+        eventTypes: [...activities].sort().map(name => ({ name, attributes: eventAttributes })),
+        objects: [
+            ...units.values(),
+            ...[...tags.values()].map(({ id, type, attributes, relationships }) => ({ id, type, attributes, relationships }))
+        ],
+        events
+    };
+}
+
+module.exports = {
+    toXes,
+    toOcel
+};
@@ -0,0 +1,238 @@
+'use strict';
+/**
+ * Event Log Import - Server-Side Only
+ * Maps IEEE XES and OCEL 2.0 JSON logs onto the EventRecord model (timestamp, tag, isAlarm,
+ * isChange, unit, priority) so existing logs can be analyzed like a CSV journal. Each record keeps
+ * the case it belongs to as caseId (XES trace name, OCEL session attribute or case object), which
+ * session extraction can segment by instead of time windows. Logs written by event-log-export
+ * round-trip; for other logs, activity names without an "[A] " / "[C] " / "[E] " prefix or a type
+ * attribute are read as alarms.
+ */
+
+const XES_ATTRIBUTE_ELEMENTS = new Set(['string', 'date', 'int', 'float', 'boolean', 'id', 'list', 'container']);
+const ACTIVITY_PREFIX = /^\[(A|C|E)\]\s+/;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Comments, processing instructions, CDATA and declarations are skipped; elements are matched with
+// quoted attribute values that may contain '>'
+const XML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+const XML_ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function _unescapeXml(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity] ?? match;
+    });
+}
+
+function _xmlAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(XML_ATTRIBUTE)) {
+        attributes[match[1]] = _unescapeXml(match[2] ?? match[3]);
+    }
+    return attributes;
+}
+
+function _isTrue(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Alarm / operator action / other event from a type attribute, explicit flags or the activity prefix.
+ */
+function _eventKind(activity, attributes) {
+    const type = String(attributes.type || '').toLowerCase();
+    if (type === 'alarm') return { isAlarm: true, isChange: false };
+    if (type === 'action' || type === 'change') return { isAlarm: false, isChange: true };
+    if (type === 'event') return { isAlarm: false, isChange: false };
+    if (attributes.isAlarm !== undefined || attributes.isChange !== undefined) {
+        return { isAlarm: _isTrue(attributes.isAlarm), isChange: _isTrue(attributes.isChange) };
+    }
+    const prefix = ACTIVITY_PREFIX.exec(activity);
+    if (prefix) return { isAlarm: prefix[1] === 'A', isChange: prefix[1] === 'C' };
+    return { isAlarm: true, isChange: false };
+}
+
+function _eventRecord({ timestamp, activity, tag, unit, priority, transition, description, caseId, attributes }) {
+    const record = {
+        timestamp,
+        tag: tag || activity.replace(ACTIVITY_PREFIX, ''),
+        unit: unit || 'Unknown',
+        priority: priority || 'low',
+        ..._eventKind(activity, attributes)
+    };
+    if (transition) record.transition = String(transition).toUpperCase();
+    if (description) record.Desc1 = description;
+    if (caseId !== null && caseId !== undefined) record.caseId = String(caseId);
+    return record;
+}
+
+function _result(events, skipped) {
+    events.sort((a, b) => a.timestamp - b.timestamp);
+    return { events, caseCount: new Set(events.map(e => e.caseId).filter(id => id !== undefined)).size, skipped };
+}
+
+/**
+ * Parses an XES document. Only top-level trace and event attributes are read (nested attributes
+ * and globals are ignored); events without concept:name or a valid time:timestamp are skipped.
+ * @param {string} text XES XML
+ * @returns {Object} { events: EventRecord[] in timestamp order, caseCount, skipped }
+ */
+function parseXes(text) {
+    if (typeof text !== 'string' || !/<log[\s>]/.test(text)) throw new Error('Not an XES document: <log> element missing');
+
+    const events = [];
+    const stack = [];
+    let trace = null;
+    let event = null;
+    let traceIndex = 0;
+    let skipped = 0;
+
+    const finishEvent = () => {
+        const attrs = event;
+        event = null;
+        const timestamp = Date.parse(attrs['time:timestamp']);
+        const activity = attrs['concept:name'];
+        if (!activity || !Number.isFinite(timestamp)) {
+            skipped++;
+            return;
+        }
+        events.push(_eventRecord({
+            timestamp,
+            activity,
+            tag: attrs.tag,
+            unit: attrs.unit || (trace && trace.unit) || attrs['org:group'],
+            priority: attrs.priority,
+            transition: attrs.transition,
+            description: attrs.description,
+            caseId: trace ? trace['concept:name'] || `trace-${trace.index}` : null,
+            attributes: attrs
+        }));
+    };
+
+    for (const match of text.matchAll(XML_TOKEN)) {
+        const [, closing, name, attributeSource, selfClosing] = match;
+        if (!name) continue;
+
+        if (closing) {
+            stack.pop();
+            if (name === 'event' && event) finishEvent();
+            else if (name === 'trace') trace = null;
+            continue;
+        }
+
+        const parent = stack[stack.length - 1];
+        if (name === 'trace') {
+            trace = { index: traceIndex++ };
+        } else if (name === 'event') {
+            event = {};
+        } else if (XES_ATTRIBUTE_ELEMENTS.has(name) && (parent === 'event' || parent === 'trace')) {
+            const { key, value } = _xmlAttributes(attributeSource);
+            const target = parent === 'event' ? event : trace;
+            if (key && target && value !== undefined) target[key] = value;
+        }
+
+        if (selfClosing) {
+            if (name === 'event' && event) finishEvent();
+            else if (name === 'trace') trace = null;
+        } else {
+            stack.push(name);
+        }
+    }
+
+    return _result(events, skipped);
+}
+
+function _objectName(object, type) {
+    const prefix = `${type}:`;
+    return object.id.startsWith(prefix) ? object.id.slice(prefix.length) : object.id;
+}
+
+// Value of an OCEL object attribute at a point in time (the latest change not after it)
+function _objectAttributeAt(object, name, time) {
+    let value;
+    let valueTime = -Infinity;
+    (object.attributes || []).forEach(attribute => {
+        if (attribute.name !== name) return;
+        const changed = Date.parse(attribute.time);
+        const at = Number.isFinite(changed) ? changed : -Infinity;
+        if (at <= time && at >= valueTime) {
+            value = attribute.value;
+            valueTime = at;
+        }
+    });
+    return value;
+}
+
+/**
+ * Parses an OCEL 2.0 JSON log. Tag and unit come from the related objects of type "tag" and "unit"
+ * (the type prefix of their ids is dropped), falling back to the event type and a unit attribute.
+ * The case is the event's session attribute or, with options.caseObjectType, its first related
+ * object of that type.
+ * @param {string|Object} input OCEL 2.0 JSON text or parsed object
+ * @param {Object} [options] { caseObjectType }
+ * @returns {Object} { events: EventRecord[] in timestamp order, caseCount, skipped }
+ */
+function parseOcel(input, options = {}) {
+    let log = input;
+    if (typeof input === 'string') {
+        try {
+            log = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Not an OCEL JSON document: ${error.message}`);
+        }
+    }
+    if (!log || !Array.isArray(log.events)) throw new Error('Not an OCEL 2.0 document: events array missing');
+
+    const objects = new Map((Array.isArray(log.objects) ? log.objects : [])
+        .filter(object => object && object.id !== undefined)
+        .map(object => [String(object.id), { ...object, id: String(object.id) }]));
+    const { caseObjectType = null } = options;
+    const events = [];
+    let skipped = 0;
+
+    log.events.forEach(ocelEvent => {
+        const timestamp = ocelEvent ? Date.parse(ocelEvent.time) : NaN;
+        if (!ocelEvent || !ocelEvent.type || !Number.isFinite(timestamp)) {
+            skipped++;
+            return;
+        }
+        const attrs = {};
+        (ocelEvent.attributes || []).forEach(attribute => {
+            if (attribute && attribute.name) attrs[attribute.name] = attribute.value;
+        });
+        const related = (ocelEvent.relationships || [])
+            .map(relationship => objects.get(String(relationship.objectId)))
+            .filter(Boolean);
+        const relatedOf = type => related.find(object => object.type === type);
+
+        const tagObject = relatedOf('tag');
+        const unitObject = relatedOf('unit');
+        const caseObject = caseObjectType ? relatedOf(caseObjectType) : null;
+        let caseId = null;
+        if (caseObject) caseId = caseObject.id;
+        else if (!caseObjectType && attrs.session !== undefined && attrs.session !== null) caseId = attrs.session;
+
+        events.push(_eventRecord({
+            timestamp,
+            activity: String(ocelEvent.type),
+            tag: tagObject ? _objectName(tagObject, 'tag') : attrs.tag,
+            unit: unitObject ? _objectName(unitObject, 'unit') : attrs.unit,
+            priority: attrs.priority || (tagObject && _objectAttributeAt(tagObject, 'priority', timestamp)),
+            transition: attrs.transition,
+            description: attrs.description,
+            caseId,
+            attributes: attrs
+        }));
+    });
+
+    return _result(events, skipped);
+}
+
+module.exports = {
+    parseXes,
+    parseOcel
+};
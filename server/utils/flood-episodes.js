@@ -0,0 +1,166 @@
+'use strict';
+/**
+ * Alarm Flood Episode Analysis - Server-Side Only
+ * ISA 18.2 flood: begins when more than 10 alarms annunciate within 10 minutes and ends when the
+ * rate falls below 5 per 10 minutes. Each episode reports its span, peak rate, contributing tags
+ * and the probable initiating (root) alarm, ranked by sequential patterns recurring across floods.
+ */
+
+const { minePatterns } = require('./sequential-patterns');
+
+const FLOOD_WINDOW = 10 * 60 * 1000;
+const FLOOD_START_THRESHOLD = 10; // more than 10 alarms per 10 minutes
+const FLOOD_END_THRESHOLD = 5;    // fewer than 5 alarms per 10 minutes
+const ROOT_CANDIDATES = 5;        // earliest alarms of an episode considered as initiators
+const TOP_TAGS = 10;
+// Floods share most of their tags, so lift against other floods says little; only support counts
+const FLOOD_PATTERN_OPTIONS = { minConfidence: 0, minLift: 0, maxPatterns: Infinity };
+
+/**
+ * Ranks the earliest alarms of an episode as initiators by precedence across recurring patterns:
+ * how often a tag leads a pattern (whose other alarms follow it in this episode) relative to how
+ * often it appears further down a pattern. A cascade alarm leads and follows about equally, the
+ * initiator mostly leads. Without pattern support the first alarm is reported.
+ */
+function _rootAlarm(alarms, patterns) {
+    const candidates = [];
+    const seen = new Set();
+    for (const alarm of alarms) {
+        if (candidates.length >= ROOT_CANDIDATES) break;
+        if (seen.has(alarm.tag)) continue;
+        seen.add(alarm.tag);
+        candidates.push(alarm);
+    }
+
+    const sumCounts = list => list.reduce((sum, p) => sum + p.count, 0);
+    const scored = candidates.map(alarm => {
+        const later = new Set(alarms.filter(a => a.timestamp >= alarm.timestamp).map(a => a.tag));
+        const leads = patterns.filter(p => p.sequence[0] === alarm.tag && p.sequence.slice(1).every(tag => later.has(tag)));
+        const leadCount = sumCounts(leads);
+        const followCount = sumCounts(patterns.filter(p => p.sequence.indexOf(alarm.tag) > 0));
+        return { alarm, leads, precedence: leadCount > 0 ? leadCount / (leadCount + followCount) : 0 };
+    });
+    const best = scored.reduce((top, c) => (c.precedence > top.precedence ? c : top), scored[0]);
+
+    return {
+        tag: best.alarm.tag,
+        timestamp: best.alarm.timestamp,
+        basis: best.precedence > 0 ? 'sequential-pattern' : 'first-alarm',
+        confidence: best.precedence > 0 ? Math.round(best.precedence * 100) / 100 : null,
+        supportingPatterns: best.leads.slice(0, 3).map(p => ({ sequence: p.sequence, count: p.count }))
+    };
+}
+
+/**
+ * Incremental flood accumulator; events must arrive in timestamp order. Only alarms inside
+ * flood episodes are retained.
+ */
+function createFloodAccumulator() {
+    const recent = [];      // alarms within the trailing flood window
+    const episodes = [];
+    let current = null;
+    let firstTimestamp = null;
+    let lastTimestamp = null;
+    let totalAlarms = 0;
+
+    function _close() {
+        const alarms = current.alarms;
+        current.endTime = alarms[Math.max(0, alarms.length - FLOOD_END_THRESHOLD)].timestamp + FLOOD_WINDOW;
+        episodes.push(current);
+        current = null;
+    }
+
+    function addEvent(event) {
+        if (firstTimestamp === null) firstTimestamp = event.timestamp;
+        lastTimestamp = event.timestamp;
+        if (!event.isAlarm) return;
+        totalAlarms++;
+
+        while (recent.length > 0 && recent[0].timestamp <= event.timestamp - FLOOD_WINDOW) recent.shift();
+        if (current && recent.length < FLOOD_END_THRESHOLD) _close();
+
+        const alarm = { tag: event.tag, unit: event.unit || 'Unknown', timestamp: event.timestamp };
+        recent.push(alarm);
+
+        if (current) {
+            current.alarms.push(alarm);
+        } else if (recent.length > FLOOD_START_THRESHOLD) {
+            current = { startTime: recent[0].timestamp, alarms: [...recent], peakRate: 0 };
+        }
+        if (current) current.peakRate = Math.max(current.peakRate, recent.length);
+    }
+
+    function finish() {
+        if (current) _close();
+        const { patterns } = minePatterns(episodes.map(e => e.alarms), FLOOD_PATTERN_OPTIONS);
+
+        const results = episodes.map((episode, index) => {
+            const tagCounts = new Map();
+            const units = new Set();
+            episode.alarms.forEach(a => {
+                tagCounts.set(a.tag, (tagCounts.get(a.tag) || 0) + 1);
+                units.add(a.unit);
+            });
+            const endTime = Math.min(episode.endTime, lastTimestamp); // a flood still running when the journal ends
+            return {
+                id: index + 1,
+                startTime: episode.startTime,
+                endTime,
+                durationMs: endTime - episode.startTime,
+                alarmCount: episode.alarms.length,
+                peakRate: episode.peakRate,
+                uniqueTags: tagCounts.size,
+                units: [...units],
+                contributingTags: [...tagCounts.entries()]
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, TOP_TAGS)
+                    .map(([tag, count]) => ({ tag, count, percent: Math.round((count / episode.alarms.length) * 1000) / 10 })),
+                rootAlarm: _rootAlarm(episode.alarms, patterns)
+            };
+        });
+
+        const rootCounts = new Map();
+        results.forEach(e => rootCounts.set(e.rootAlarm.tag, (rootCounts.get(e.rootAlarm.tag) || 0) + 1));
+        const floodMs = results.reduce((sum, e) => sum + e.durationMs, 0);
+        const floodAlarms = results.reduce((sum, e) => sum + e.alarmCount, 0);
+        const spanMs = firstTimestamp === null ? 0 : lastTimestamp - firstTimestamp;
+
+        return {
+            episodes: results,
+            summary: {
+                episodeCount: results.length,
+                totalAlarms,
+                alarmsInFloods: floodAlarms,
+                percentAlarmsInFloods: totalAlarms > 0 ? Math.round((floodAlarms / totalAlarms) * 1000) / 10 : 0,
+                timeInFloodMs: floodMs,
+                percentTimeInFlood: spanMs > 0 ? Math.round((floodMs / spanMs) * 1000) / 10 : 0,
+                longestEpisodeMs: results.reduce((max, e) => Math.max(max, e.durationMs), 0),
+                peakRate: results.reduce((max, e) => Math.max(max, e.peakRate), 0),
+                recurringRootAlarms: [...rootCounts.entries()]
+                    .filter(([, count]) => count > 1)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([tag, count]) => ({ tag, episodes: count }))
+            }
+        };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Finds ISA 18.2 flood episodes and their probable root alarms.
+ * @param {Array} data EventRecords (any order)
+ */
+function analyzeFloods(data) {
+    const accumulator = createFloodAccumulator();
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    FLOOD_WINDOW,
+    FLOOD_START_THRESHOLD,
+    FLOOD_END_THRESHOLD,
+    analyzeFloods,
+    createFloodAccumulator
+};
@@ -4,33 +4,219 @@
  * ISA 18.2 / IEC 62682 / EEMUA 191 compliant algorithms
  */
 
+const { analyzeAlarmDurations } = require('./alarm-durations');
+const { analyzeAlarmTuning, createTuningAccumulator } = require('./alarm-tuning');
+const { minePatterns, consequentialAlarms, toSequence } = require('./sequential-patterns');
+
 const CHATTER_WINDOW = 60 * 1000; // 60 seconds in ms
 const CHATTER_THRESHOLD = 3;       // activations within window
 const FLOOD_THRESHOLD = 10;        // alarms per 10-minute window
+const ACTION_WINDOW = 5 * 60 * 1000; // operator action counts as a response within 5 minutes
 
 /**
- * Detect sequential alarm patterns across sessions.
+ * Scoring profiles. weights are the maximum points per score component; rules are evaluated
+ * in order and the first whose conditions all hold sets the recommendation.
+ * fleetingSeconds is the longest activation-to-clear time that still counts as a fleeting alarm.
+ * Fleeting statistics and delay recommendations are always reported; the fleeting weight is 0 in
+ * the standard presets so their scores keep the baseline weighting, and 'isa-18.2-fleeting' (or a
+ * weights/rules override) opts in to scoring them.
+ * Conditions: occurrencesAbove, actionRateBelow, actionRateAbove, chatterRateAbove,
+ * floodRateAbove, fleetingRateAbove, scoreBelow, scoreAbove, consequential (boolean).
  */
-function detectSequentialPatterns(sessions) {
-    const patternMap = new Map();
-    const MIN_PATTERN_LENGTH = 2;
-    const MAX_PATTERN_LENGTH = 5;
-
-    sessions.forEach(session => {
-        const alarms = session.events.filter(e => e.isAlarm);
-        for (let len = MIN_PATTERN_LENGTH; len <= MAX_PATTERN_LENGTH; len++) {
-            for (let i = 0; i <= alarms.length - len; i++) {
-                const pattern = alarms.slice(i, i + len).map(a => a.tag).join('-');
-                patternMap.set(pattern, (patternMap.get(pattern) || 0) + 1);
-            }
+const SCORING_PROFILES = {
+    'isa-18.2': {
+        name: 'isa-18.2',
+        label: 'ISA 18.2 (default)',
+        minOccurrences: 5,
+        fleetingSeconds: 5,
+        weights: { noAction: 30, chatter: 25, flood: 25, sequential: 20, fleeting: 0 },
+        rules: [
+            { when: { actionRateBelow: 0.05, occurrencesAbove: 50 }, recommendation: 'suppress', reason: 'Less than 5% operator response rate with high occurrence count - alarm provides no operational value.' },
+            { when: { consequential: true, actionRateBelow: 0.2 }, recommendation: 'suppress', reason: 'Consequential alarm (triggered by other alarms) with low action rate - redundant alarm.' },
+            { when: { chatterRateAbove: 0.5 }, recommendation: 'adjust', reason: 'Excessive chattering (>50%) - increase deadband, add time delay, or adjust trigger threshold per ISA 18.2.' },
+            { when: { chatterRateAbove: 0.3 }, recommendation: 'adjust', reason: 'High chattering rate (>30%) - review and adjust alarm settings per ISA 18.2.' },
+            { when: { actionRateBelow: 0.1, occurrencesAbove: 20 }, recommendation: 'convert', reason: 'Low operator response (<10%) - consider converting to event or operator message.' },
+            { when: { floodRateAbove: 0.3, actionRateBelow: 0.3 }, recommendation: 'adjust', reason: 'Frequently appears in alarm floods - review alarm priority and settings.' },
+            { when: { scoreBelow: 30, actionRateAbove: 0.7 }, recommendation: 'keep', reason: 'Good alarm performance - high operator response rate and low nuisance factors.' }
+        ],
+        defaultRule: { recommendation: 'keep', reason: 'Acceptable performance - continue monitoring for changes.' },
+        metricThresholds: { noActionBelow: 0.1, chatteringAbove: 0.3, floodAbove: 0.5, fleetingAbove: 0.5 }
+    },
+    'isa-18.2-fleeting': {
+        name: 'isa-18.2-fleeting',
+        label: 'ISA 18.2 with fleeting alarm scoring',
+        minOccurrences: 5,
+        fleetingSeconds: 5,
+        weights: { noAction: 25, chatter: 25, flood: 20, sequential: 15, fleeting: 15 },
+        rules: [
+            { when: { actionRateBelow: 0.05, occurrencesAbove: 50 }, recommendation: 'suppress', reason: 'Less than 5% operator response rate with high occurrence count - alarm provides no operational value.' },
+            { when: { consequential: true, actionRateBelow: 0.2 }, recommendation: 'suppress', reason: 'Consequential alarm (triggered by other alarms) with low action rate - redundant alarm.' },
+            { when: { chatterRateAbove: 0.5 }, recommendation: 'adjust', reason: 'Excessive chattering (>50%) - increase deadband, add time delay, or adjust trigger threshold per ISA 18.2.' },
+            { when: { chatterRateAbove: 0.3 }, recommendation: 'adjust', reason: 'High chattering rate (>30%) - review and adjust alarm settings per ISA 18.2.' },
+            { when: { fleetingRateAbove: 0.5 }, recommendation: 'adjust', reason: 'Fleeting alarm - most activations clear within seconds; apply the recommended on-delay per ISA 18.2.' },
+            { when: { actionRateBelow: 0.1, occurrencesAbove: 20 }, recommendation: 'convert', reason: 'Low operator response (<10%) - consider converting to event or operator message.' },
+            { when: { floodRateAbove: 0.3, actionRateBelow: 0.3 }, recommendation: 'adjust', reason: 'Frequently appears in alarm floods - review alarm priority and settings.' },
+            { when: { scoreBelow: 30, actionRateAbove: 0.7 }, recommendation: 'keep', reason: 'Good alarm performance - high operator response rate and low nuisance factors.' }
+        ],
+        defaultRule: { recommendation: 'keep', reason: 'Acceptable performance - continue monitoring for changes.' },
+        metricThresholds: { noActionBelow: 0.1, chatteringAbove: 0.3, floodAbove: 0.5, fleetingAbove: 0.5 }
+    },
+    'eemua-191-strict': {
+        name: 'eemua-191-strict',
+        label: 'EEMUA 191 (strict)',
+        minOccurrences: 3,
+        fleetingSeconds: 10,
+        weights: { noAction: 35, chatter: 30, flood: 20, sequential: 15, fleeting: 0 },
+        rules: [
+            { when: { actionRateBelow: 0.1, occurrencesAbove: 20 }, recommendation: 'suppress', reason: 'Less than 10% operator response rate with repeated occurrences - every alarm must require an operator response (EEMUA 191).' },
+            { when: { consequential: true, actionRateBelow: 0.3 }, recommendation: 'suppress', reason: 'Consequential alarm (triggered by other alarms) with low action rate - redundant alarm.' },
+            { when: { chatterRateAbove: 0.2 }, recommendation: 'adjust', reason: 'Excessive chattering (>20%) - add deadband or on/off delay per EEMUA 191.' },
+            { when: { chatterRateAbove: 0.1 }, recommendation: 'adjust', reason: 'Chattering rate above 10% - review alarm settings per EEMUA 191.' },
+            { when: { actionRateBelow: 0.2, occurrencesAbove: 10 }, recommendation: 'convert', reason: 'Low operator response (<20%) - consider converting to event or operator message.' },
+            { when: { floodRateAbove: 0.2, actionRateBelow: 0.5 }, recommendation: 'adjust', reason: 'Frequently appears in alarm floods - review alarm priority and settings.' },
+            { when: { scoreBelow: 20, actionRateAbove: 0.8 }, recommendation: 'keep', reason: 'Good alarm performance - high operator response rate and low nuisance factors.' }
+        ],
+        defaultRule: { recommendation: 'keep', reason: 'Acceptable performance - continue monitoring for changes.' },
+        metricThresholds: { noActionBelow: 0.2, chatteringAbove: 0.1, floodAbove: 0.3, fleetingAbove: 0.2 }
+    }
+};
+
+const DEFAULT_PROFILE = 'isa-18.2';
+const RECOMMENDATIONS = ['keep', 'suppress', 'adjust', 'convert'];
+const RATE_CONDITIONS = ['actionRateBelow', 'actionRateAbove', 'chatterRateAbove', 'floodRateAbove', 'fleetingRateAbove'];
+const COUNT_CONDITIONS = ['occurrencesAbove', 'scoreBelow', 'scoreAbove'];
+
+function _validateRule(rule, label, errors) {
+    if (!rule || typeof rule !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+    if (!RECOMMENDATIONS.includes(rule.recommendation)) {
+        errors.push(`${label}.recommendation must be one of: ${RECOMMENDATIONS.join(', ')}`);
+    }
+    Object.entries(rule.when || {}).forEach(([key, value]) => {
+        if (RATE_CONDITIONS.includes(key)) {
+            if (typeof value !== 'number' || value < 0 || value > 1) errors.push(`${label}.when.${key} must be a rate between 0 and 1`);
+        } else if (COUNT_CONDITIONS.includes(key)) {
+            if (typeof value !== 'number' || value < 0) errors.push(`${label}.when.${key} must be a non-negative number`);
+        } else if (key === 'consequential') {
+            if (typeof value !== 'boolean') errors.push(`${label}.when.consequential must be a boolean`);
+        } else {
+            errors.push(`${label}.when: unknown condition ${key}`);
         }
     });
+}
 
-    return Array.from(patternMap.entries())
-        .filter(([pattern, count]) => count > 3)
-        .map(([pattern, count]) => ({ sequence: pattern.split('-'), count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 50);
+/**
+ * Resolves a scoring profile from a preset name, or an object that overrides a preset
+ * ({ preset?, minOccurrences?, fleetingSeconds?, weights?, rules?, defaultRule?, metricThresholds? }).
+ * Returns { profile, errors }; the resolved profile is complete and safe to echo back.
+ */
+function resolveScoringProfile(input) {
+    const errors = [];
+    if (input === undefined || input === null) {
+        return { profile: JSON.parse(JSON.stringify(SCORING_PROFILES[DEFAULT_PROFILE])), errors };
+    }
+    const overrides = typeof input === 'string' ? { preset: input } : input;
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { profile: null, errors: ['profile must be a preset name or an object'] };
+    }
+
+    const presetName = overrides.preset || DEFAULT_PROFILE;
+    const preset = SCORING_PROFILES[presetName];
+    if (!preset) {
+        return { profile: null, errors: [`Unknown profile preset: ${presetName} (available: ${Object.keys(SCORING_PROFILES).join(', ')})`] };
+    }
+
+    const profile = JSON.parse(JSON.stringify(preset));
+    const isCustom = ['minOccurrences', 'fleetingSeconds', 'weights', 'rules', 'defaultRule', 'metricThresholds'].some(key => overrides[key] !== undefined);
+    if (isCustom) {
+        profile.name = overrides.name ? String(overrides.name) : `${presetName}-custom`;
+        profile.label = overrides.label ? String(overrides.label) : `${preset.label} (customized)`;
+        profile.basedOn = presetName;
+    }
+
+    if (overrides.minOccurrences !== undefined) {
+        if (!Number.isInteger(overrides.minOccurrences) || overrides.minOccurrences < 0) errors.push('minOccurrences must be a non-negative integer');
+        profile.minOccurrences = overrides.minOccurrences;
+    }
+    if (overrides.fleetingSeconds !== undefined) {
+        // Longer activations are chatter-window territory, not fleeting alarms
+        const value = overrides.fleetingSeconds;
+        if (typeof value !== 'number' || value <= 0 || value * 1000 > CHATTER_WINDOW) errors.push(`fleetingSeconds must be greater than 0 and at most ${CHATTER_WINDOW / 1000}`);
+        profile.fleetingSeconds = value;
+    }
+    if (overrides.weights !== undefined) {
+        Object.entries(overrides.weights || {}).forEach(([key, value]) => {
+            if (!(key in profile.weights)) errors.push(`Unknown weight: ${key}`);
+            else if (typeof value !== 'number' || value < 0) errors.push(`weights.${key} must be a non-negative number`);
+            else profile.weights[key] = value;
+        });
+    }
+    if (overrides.rules !== undefined) {
+        if (!Array.isArray(overrides.rules)) errors.push('rules must be an array');
+        else {
+            overrides.rules.forEach((rule, index) => _validateRule(rule, `rules[${index}]`, errors));
+            profile.rules = overrides.rules.map(rule => ({ ...rule, when: { ...(rule.when || {}) } }));
+        }
+    }
+    if (overrides.defaultRule !== undefined) {
+        _validateRule(overrides.defaultRule, 'defaultRule', errors);
+        profile.defaultRule = { ...overrides.defaultRule };
+    }
+    if (overrides.metricThresholds !== undefined) {
+        Object.entries(overrides.metricThresholds || {}).forEach(([key, value]) => {
+            if (!(key in profile.metricThresholds)) errors.push(`Unknown metric threshold: ${key}`);
+            else if (typeof value !== 'number' || value < 0 || value > 1) errors.push(`metricThresholds.${key} must be a rate between 0 and 1`);
+            else profile.metricThresholds[key] = value;
+        });
+    }
+
+    return { profile: errors.length > 0 ? null : profile, errors };
+}
+
+function _matchesRule(when, alarm) {
+    const checks = {
+        occurrencesAbove: v => alarm.totalOccurrences > v,
+        actionRateBelow: v => alarm.actionRate < v,
+        actionRateAbove: v => alarm.actionRate > v,
+        chatterRateAbove: v => alarm.chatterRate > v,
+        floodRateAbove: v => alarm.floodRate > v,
+        fleetingRateAbove: v => alarm.fleetingRate > v,
+        scoreBelow: v => alarm.nuisanceScore < v,
+        scoreAbove: v => alarm.nuisanceScore > v,
+        consequential: v => alarm.isConsequential === v
+    };
+    return Object.entries(when || {}).every(([key, value]) => checks[key](value));
+}
+
+const CONDITION_LABELS = {
+    occurrencesAbove: 'occurrences >',
+    actionRateBelow: 'action rate <',
+    actionRateAbove: 'action rate >',
+    chatterRateAbove: 'chatter rate >',
+    floodRateAbove: 'flood rate >',
+    fleetingRateAbove: 'fleeting rate >',
+    scoreBelow: 'nuisance score <',
+    scoreAbove: 'nuisance score >',
+    consequential: 'consequential ='
+};
+
+// Fallback reason for custom rules without one, e.g. "Matched profile rule: action rate < 5%, occurrences > 50."
+function _describeRule(when) {
+    const parts = Object.entries(when || {}).map(([key, value]) => (
+        `${CONDITION_LABELS[key]} ${RATE_CONDITIONS.includes(key) ? `${Math.round(value * 100)}%` : value}`
+    ));
+    return parts.length > 0 ? `Matched profile rule: ${parts.join(', ')}.` : 'Matched profile default rule.';
+}
+
+/**
+ * Detect sequential alarm patterns across sessions (time-constrained, with support, confidence
+ * and lift; see sequential-patterns.js).
+ * @param {Object} options overrides of PATTERN_DEFAULTS
+ */
+function detectSequentialPatterns(sessions, options = {}) {
+    return minePatterns(sessions.map(toSequence), options).patterns;
 }
 
 /**
@@ -65,16 +251,88 @@ function detectChatteringForAlarm(alarmEvents) {
 }
 
 /**
- * Analyze nuisance alarms using 4-component scoring formula.
- * Score = noActionScore + chatterScore + floodScore + sequentialScore
+ * Fleeting alarm statistics for one tag. With RTN transitions the activation-to-clear time is
+ * measured directly; otherwise a re-activation within fleetingMs implies the alarm cleared in
+ * between (activation-pair heuristic). The recommended on/off-delays are the ones alarm-tuning
+ * derives from replaying the tag's activation series (null when no delay would help), so they
+ * match the Modify settings of runAutonomousRationalization.
+ */
+function _fleetingStats(state, tuned) {
+    const recommendedOnDelaySec = tuned ? tuned.onDelay.recommendedSec : null;
+    const recommendedOffDelaySec = tuned ? tuned.offDelay.recommendedSec : null;
+    if (!state || state.activations === 0) {
+        return { fleetingMethod: null, fleetingActivations: 0, fleetingRate: 0, recommendedOnDelaySec, recommendedOffDelaySec };
+    }
+    if (state.cleared > 0) {
+        return {
+            fleetingMethod: 'rtn',
+            fleetingActivations: state.fleetingDurations,
+            fleetingRate: state.fleetingDurations / state.cleared,
+            recommendedOnDelaySec,
+            recommendedOffDelaySec
+        };
+    }
+    return {
+        fleetingMethod: 'activation-pairs',
+        fleetingActivations: state.fleetingGaps,
+        fleetingRate: state.fleetingGaps / state.activations,
+        recommendedOnDelaySec,
+        recommendedOffDelaySec
+    };
+}
+
+/**
+ * Incremental nuisance accumulator, so scoring can run over streamed events and sessions.
+ * addEvent registers alarm tags and activation/clear timings from the raw event stream
+ * (timestamp order); addSession accumulates
+ * chatter/flood/action counts (allSessions); addPatternSession feeds sequential
+ * pattern mining (validSessions). finish() returns the same shape as analyzeNuisanceAlarms.
+ * @param {Object} profile resolved scoring profile (see resolveScoringProfile); defaults to ISA 18.2
  */
-function analyzeNuisanceAlarms(data, validSessions, allSessions) {
+function createNuisanceAccumulator(profile = SCORING_PROFILES[DEFAULT_PROFILE]) {
+    const { weights, metricThresholds } = profile;
+    const fleetingMs = profile.fleetingSeconds * 1000;
     const alarmAnalysis = {};
+    const activationTimings = new Map();
+    const tuning = createTuningAccumulator();
+    const patternSequences = [];
+
+    // Counts activation-to-clear and activation-to-activation times within fleetingMs per tag
+    function _trackActivation(event) {
+        if (!event.isAlarm && event.transition !== 'RTN') return;
+        if (!activationTimings.has(event.tag)) {
+            activationTimings.set(event.tag, {
+                activeSince: null,
+                lastActivation: null,
+                activations: 0,
+                cleared: 0,
+                fleetingDurations: 0,
+                fleetingGaps: 0
+            });
+        }
+        const state = activationTimings.get(event.tag);
+
+        if (event.transition === 'RTN') {
+            if (state.activeSince === null) return;
+            state.cleared++;
+            if (event.timestamp - state.activeSince <= fleetingMs) state.fleetingDurations++;
+            state.activeSince = null;
+            return;
+        }
+        if (event.transition === 'ACT' && state.activeSince !== null) return;
 
-    const alarmTags = [...new Set(data.filter(d => d.isAlarm).map(d => d.tag))];
-    alarmTags.forEach(tag => {
-        alarmAnalysis[tag] = {
-            tag,
+        state.activations++;
+        if (state.lastActivation !== null && event.timestamp - state.lastActivation <= fleetingMs) state.fleetingGaps++;
+        state.lastActivation = event.timestamp;
+        if (event.transition === 'ACT') state.activeSince = event.timestamp;
+    }
+
+    function addEvent(event) {
+        _trackActivation(event);
+        tuning.addEvent(event);
+        if (!event.isAlarm || alarmAnalysis[event.tag]) return;
+        alarmAnalysis[event.tag] = {
+            tag: event.tag,
             totalOccurrences: 0,
             actionsFollowing: 0,
             chatterOccurrences: 0,
@@ -84,9 +342,9 @@ function analyzeNuisanceAlarms(data, validSessions, allSessions) {
             sequentialGroups: [],
             priority: 'low'
         };
-    });
+    }
 
-    allSessions.forEach(session => {
+    function addSession(session) {
         const isFloodSession = session.alarmFrequency > FLOOD_THRESHOLD;
         const alarmsInThisSession = new Set();
         const alarmEventsByTag = {};
@@ -104,7 +362,7 @@ function analyzeNuisanceAlarms(data, validSessions, allSessions) {
 
                 for (let j = idx + 1; j < session.events.length; j++) {
                     if (session.events[j].isChange) {
-                        if (session.events[j].timestamp - event.timestamp < 5 * 60 * 1000) {
+                        if (session.events[j].timestamp - event.timestamp < ACTION_WINDOW) {
                             alarmAnalysis[event.tag].actionsFollowing++;
                         }
                         break;
@@ -124,87 +382,107 @@ function analyzeNuisanceAlarms(data, validSessions, allSessions) {
             const chatterCount = detectChatteringForAlarm(events);
             alarmAnalysis[tag].chatterOccurrences += chatterCount;
         });
-    });
+    }
 
-    const sequentialPatterns = detectSequentialPatterns(validSessions);
-    sequentialPatterns.forEach(pattern => {
-        pattern.sequence.forEach(tag => {
-            if (alarmAnalysis[tag]) {
-                alarmAnalysis[tag].sequentialGroups.push({
-                    pattern: pattern.sequence,
-                    frequency: pattern.count,
-                    isConsequential: pattern.sequence[0] !== tag
-                });
-            }
+    function addPatternSession(session) {
+        patternSequences.push(toSequence(session));
+    }
+
+    function finish() {
+        const alarmTags = Object.keys(alarmAnalysis);
+        const tunedByTag = new Map(tuning.finish().alarms.map(a => [a.tag, a]));
+        const mined = minePatterns(patternSequences);
+        const sequentialPatterns = mined.patterns;
+        const consequential = consequentialAlarms(mined);
+        sequentialPatterns.forEach(pattern => {
+            pattern.sequence.forEach((tag, index) => {
+                if (alarmAnalysis[tag]) {
+                    const cause = consequential.get(tag);
+                    alarmAnalysis[tag].sequentialGroups.push({
+                        pattern: pattern.sequence,
+                        frequency: pattern.count,
+                        support: pattern.support,
+                        confidence: pattern.confidence,
+                        lift: pattern.lift,
+                        isConsequential: !!cause && pattern.sequence.indexOf(cause.cause) > -1 && pattern.sequence.indexOf(cause.cause) < index
+                    });
+                }
+            });
         });
-    });
 
-    const nuisanceAlarmList = Object.values(alarmAnalysis)
-        .filter(alarm => alarm.totalOccurrences > 5)
-        .map(alarm => {
-            const actionRate = alarm.totalOccurrences > 0 ? alarm.actionsFollowing / alarm.totalOccurrences : 0;
-            const chatterRate = alarm.totalOccurrences > 0 ? alarm.chatterOccurrences / alarm.totalOccurrences : 0;
-            const floodRate = alarm.sessionsWithAlarm > 0
-                ? alarm.floodSessionsWithAlarm / alarm.sessionsWithAlarm : 0;
-
-            const noActionScore = (1 - actionRate) * 30;
-            const chatterScore = Math.min(chatterRate * 100, 25);
-            const floodScore = Math.min(floodRate * 100, 25);
-            const sequentialScore = alarm.sequentialGroups.filter(g => g.isConsequential).length > 0 ? 20 : 0;
-            const nuisanceScore = Math.round(noActionScore + chatterScore + floodScore + sequentialScore);
-
-            let recommendation = 'keep', recommendationReason = '';
-
-            if (actionRate < 0.05 && alarm.totalOccurrences > 50) {
-                recommendation = 'suppress';
-                recommendationReason = 'Less than 5% operator response rate with high occurrence count - alarm provides no operational value.';
-            } else if (alarm.sequentialGroups.filter(g => g.isConsequential).length > 0 && actionRate < 0.2) {
-                recommendation = 'suppress';
-                recommendationReason = 'Consequential alarm (triggered by other alarms) with low action rate - redundant alarm.';
-            } else if (chatterRate > 0.5) {
-                recommendation = 'adjust';
-                recommendationReason = 'Excessive chattering (>50%) - increase deadband, add time delay, or adjust trigger threshold per ISA 18.2.';
-            } else if (chatterRate > 0.3) {
-                recommendation = 'adjust';
-                recommendationReason = 'High chattering rate (>30%) - review and adjust alarm settings per ISA 18.2.';
-            } else if (actionRate < 0.1 && alarm.totalOccurrences > 20) {
-                recommendation = 'convert';
-                recommendationReason = 'Low operator response (<10%) - consider converting to event or operator message.';
-            } else if (floodRate > 0.3 && actionRate < 0.3) {
-                recommendation = 'adjust';
-                recommendationReason = 'Frequently appears in alarm floods - review alarm priority and settings.';
-            } else if (nuisanceScore < 30 && actionRate > 0.7) {
-                recommendation = 'keep';
-                recommendationReason = 'Good alarm performance - high operator response rate and low nuisance factors.';
-            } else {
-                recommendation = 'keep';
-                recommendationReason = 'Acceptable performance - continue monitoring for changes.';
-            }
+        const nuisanceAlarmList = Object.values(alarmAnalysis)
+            .filter(alarm => alarm.totalOccurrences > profile.minOccurrences)
+            .map(alarm => {
+                const actionRate = alarm.totalOccurrences > 0 ? alarm.actionsFollowing / alarm.totalOccurrences : 0;
+                const chatterRate = alarm.totalOccurrences > 0 ? alarm.chatterOccurrences / alarm.totalOccurrences : 0;
+                const floodRate = alarm.sessionsWithAlarm > 0
+                    ? alarm.floodSessionsWithAlarm / alarm.sessionsWithAlarm : 0;
+                const consequentialOf = consequential.get(alarm.tag) || null;
+                const isConsequential = consequentialOf !== null;
+                const fleeting = _fleetingStats(activationTimings.get(alarm.tag), tunedByTag.get(alarm.tag));
+                const fleetingRate = fleeting.fleetingRate;
+
+                const noActionScore = (1 - actionRate) * weights.noAction;
+                const chatterScore = Math.min(chatterRate * 100, weights.chatter);
+                const floodScore = Math.min(floodRate * 100, weights.flood);
+                const sequentialScore = isConsequential ? weights.sequential : 0;
+                const fleetingScore = Math.min(fleetingRate * 100, weights.fleeting);
+                const nuisanceScore = Math.round(noActionScore + chatterScore + floodScore + sequentialScore + fleetingScore);
+
+                const scored = { totalOccurrences: alarm.totalOccurrences, actionRate, chatterRate, floodRate, fleetingRate, nuisanceScore, isConsequential };
+                const rule = profile.rules.find(r => _matchesRule(r.when, scored)) || profile.defaultRule;
+                const recommendation = rule.recommendation;
+                const recommendationReason = rule.reason || _describeRule(rule.when);
+
+                return { ...alarm, consequentialOf, actionRate, chatterRate, floodRate, ...fleeting, nuisanceScore, recommendation, recommendationReason };
+            })
+            .sort((a, b) => b.nuisanceScore - a.nuisanceScore);
+
+        const totalAlarms = alarmTags.length;
+        const metrics = {
+            totalAlarms,
+            noActionAlarmRate: nuisanceAlarmList.filter(a => a.actionRate < metricThresholds.noActionBelow).length / totalAlarms,
+            chatteringAlarmRate: nuisanceAlarmList.filter(a => a.chatterRate > metricThresholds.chatteringAbove).length / totalAlarms,
+            sequentialAlarmGroups: [...new Set(sequentialPatterns.map(p => p.sequence.join('-')))].length,
+            alarmsInFloodRate: nuisanceAlarmList.filter(a => a.floodRate > metricThresholds.floodAbove).length / totalAlarms,
+            fleetingAlarmRate: nuisanceAlarmList.filter(a => a.fleetingRate > metricThresholds.fleetingAbove).length / totalAlarms,
+            overallHealth: 100 - (nuisanceAlarmList.reduce((sum, a) => sum + a.nuisanceScore, 0) / nuisanceAlarmList.length || 0)
+        };
 
-            return { ...alarm, actionRate, chatterRate, floodRate, nuisanceScore, recommendation, recommendationReason };
-        })
-        .sort((a, b) => b.nuisanceScore - a.nuisanceScore);
-
-    const totalAlarms = alarmTags.length;
-    const metrics = {
-        totalAlarms,
-        noActionAlarmRate: nuisanceAlarmList.filter(a => a.actionRate < 0.1).length / totalAlarms,
-        chatteringAlarmRate: nuisanceAlarmList.filter(a => a.chatterRate > 0.3).length / totalAlarms,
-        sequentialAlarmGroups: [...new Set(sequentialPatterns.map(p => p.sequence.join('-')))].length,
-        alarmsInFloodRate: nuisanceAlarmList.filter(a => a.floodRate > 0.5).length / totalAlarms,
-        overallHealth: 100 - (nuisanceAlarmList.reduce((sum, a) => sum + a.nuisanceScore, 0) / nuisanceAlarmList.length || 0)
-    };
+        return { alarms: nuisanceAlarmList, metrics, profile };
+    }
 
-    return { alarms: nuisanceAlarmList, metrics };
+    return { addEvent, addSession, addPatternSession, finish };
+}
+
+/**
+ * Analyze nuisance alarms using 5-component scoring formula.
+ * Score = noActionScore + chatterScore + floodScore + sequentialScore + fleetingScore, weighted by the profile.
+ */
+function analyzeNuisanceAlarms(data, validSessions, allSessions, profile) {
+    const accumulator = createNuisanceAccumulator(profile);
+    const isSorted = data.every((event, i) => i === 0 || data[i - 1].timestamp <= event.timestamp);
+    (isSorted ? data : [...data].sort((a, b) => a.timestamp - b.timestamp)).forEach(event => accumulator.addEvent(event));
+    allSessions.forEach(session => accumulator.addSession(session));
+    validSessions.forEach(session => accumulator.addPatternSession(session));
+    return accumulator.finish();
 }
 
 /**
  * Autonomous Rationalization Engine.
  * Applies philosophy rules and safety context to classify alarms.
+ * Stale alarms are identified from measured active durations (ACT -> RTN transitions);
+ * without transitions in the journal no alarm is classified as stale. Chattering alarms get
+ * on/off-delays from replaying their activation series (alarm-tuning), never below the
+ * philosophy's min_on_delay_sec, and the EEMUA 191 table deadband for their signal type.
  */
 async function runAutonomousRationalization(philosophyRules, safetyContext, rawData) {
     const uniqueTags = [...new Set(rawData.filter(d => d.isAlarm).map(d => d.tag))];
     const stats = {};
+    const staleHours = philosophyRules.thresholds?.stale_alarm_hours || 24;
+    const durations = analyzeAlarmDurations(rawData, { standingHours: staleHours });
+    const durationByTag = new Map(durations.alarms.map(a => [a.tag, a]));
+    const tuningByTag = new Map(analyzeAlarmTuning(rawData).alarms.map(a => [a.tag, a]));
 
     uniqueTags.forEach(tag => {
         const events = rawData.filter(d => d.tag === tag && d.isAlarm);
@@ -215,7 +493,7 @@ async function runAutonomousRationalization(philosophyRules, safetyContext, rawD
             count: events.length,
             avgFreqPerHour: events.length / (totalTimeHours || 1),
             chatterCount: detectChatteringForAlarm(events),
-            lastActive: events[events.length - 1].timestamp
+            duration: durationByTag.get(tag) || null
         };
     });
 
@@ -247,19 +525,34 @@ async function runAutonomousRationalization(philosophyRules, safetyContext, rawD
         }
 
         let recommendation = 'Keep';
-        let onDelay = 0;
+        let settings = null;
 
         if (tagStats.chatterCount > (philosophyRules.thresholds?.chattering_count || 3)) {
             recommendation = 'Modify';
-            onDelay = philosophyRules.timers?.min_on_delay_sec || 2;
+            const minOnDelay = philosophyRules.timers?.min_on_delay_sec || 2;
+            const tuning = tuningByTag.get(tag);
+            settings = {
+                on_delay_sec: Math.max(tuning?.onDelay.recommendedSec || 0, minOnDelay),
+                off_delay_sec: tuning?.offDelay.recommendedSec || 0,
+                deadband_percent: tuning?.deadband.recommendedPercent ?? null
+            };
             priorityReason += '; High Chattering detected';
+            if (tuning) {
+                const onRemoved = tuning.onDelay.candidates.find(c => c.delaySec === settings.on_delay_sec);
+                const parts = [];
+                if (onRemoved && onRemoved.removedActivations > 0) parts.push(`on-delay ${settings.on_delay_sec} s removes ${onRemoved.removedActivations}`);
+                if (settings.off_delay_sec > 0) parts.push(`off-delay ${settings.off_delay_sec} s removes ${tuning.offDelay.removedActivations}`);
+                if (parts.length > 0) priorityReason += ` (${parts.join(', ')} of ${tuning.activations} activations)`;
+                if (settings.deadband_percent !== null) {
+                    priorityReason += `; deadband ${settings.deadband_percent}% is the EEMUA 191 starting point for ${tuning.signalType} signals (not simulated)`;
+                }
+            }
         }
 
-        const staleHours = philosophyRules.thresholds?.stale_alarm_hours || 24;
-        const hoursInactive = (new Date() - tagStats.lastActive) / (1000 * 3600);
-        if (hoursInactive > staleHours) {
+        if (tagStats.duration && tagStats.duration.stale) {
+            const maxActiveHours = tagStats.duration.maxDurationMs / (1000 * 3600);
             recommendation = 'Shelve';
-            priorityReason += '; Stale Alarm';
+            priorityReason += `; Stale Alarm (active up to ${maxActiveHours.toFixed(1)} h)`;
         }
 
         const originalPriorityStr = rawData.find(d => d.tag === tag)?.priority || 'Low';
@@ -292,6 +585,7 @@ async function runAutonomousRationalization(philosophyRules, safetyContext, rawD
                 cost: impact.financial || 'None'
             },
             constraints: { constrains_me: [] },
+            settings,
             Recommendation: recommendation,
             PriorityReason: priorityReason
         });
@@ -304,7 +598,11 @@ async function runAutonomousRationalization(philosophyRules, safetyContext, rawD
 }
 
 module.exports = {
+    ACTION_WINDOW,
+    SCORING_PROFILES,
+    resolveScoringProfile,
     analyzeNuisanceAlarms,
+    createNuisanceAccumulator,
     runAutonomousRationalization,
     detectChatteringForAlarm,
     detectSequentialPatterns
@@ -0,0 +1,185 @@
+'use strict';
+/**
+ * Alarm Priority Distribution Audit - Server-Side Only
+ * Compares the configured distribution (one count per alarm in the master alarm database) and the
+ * annunciated distribution (journal activations) with the high/medium/low target shares of the
+ * alarm philosophy, defaulting to ISA 18.2 (~5% high, ~15% medium, ~80% low), and names the tags
+ * that skew each over-represented priority the most.
+ */
+
+const { PRIORITY_TARGETS, priorityLevel } = require('./alarm-kpis');
+
+const LEVELS = ['high', 'medium', 'low'];
+const TOLERANCE = 5;          // percentage points, as in the KPI report
+const TARGET_SUM_SLACK = 1;   // philosophy targets must add up to 100 +/- 1
+const MAX_SKEWING_TAGS = 10;
+
+// Journal-only and removed alarms are never annunciated and are left out of both distributions
+const EXCLUDED_PRIORITY = /journal|^none$|no alarm|remove|not set/i;
+
+/**
+ * Target shares from philosophyRules.priority_distribution ({ high, medium, low } in percent),
+ * falling back to the ISA 18.2 defaults when the philosophy states none.
+ * Returns { targets, source: 'philosophy' | 'isa-18.2', errors }.
+ */
+function resolvePriorityTargets(philosophyRules) {
+    const stated = philosophyRules && philosophyRules.priority_distribution;
+    if (stated === undefined || stated === null) return { targets: { ...PRIORITY_TARGETS }, source: 'isa-18.2', errors: [] };
+    if (typeof stated !== 'object') {
+        return { targets: null, source: null, errors: ['priority_distribution must be an object of { high, medium, low } percentages'] };
+    }
+
+    const errors = [];
+    LEVELS.forEach(level => {
+        const value = stated[level];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+            errors.push(`priority_distribution.${level} must be a percentage between 0 and 100`);
+        }
+    });
+    if (errors.length === 0) {
+        const sum = LEVELS.reduce((total, level) => total + stated[level], 0);
+        if (Math.abs(sum - 100) > TARGET_SUM_SLACK) errors.push(`priority_distribution must add up to 100 (got ${sum})`);
+    }
+    if (errors.length > 0) return { targets: null, source: null, errors };
+    return { targets: { high: stated.high, medium: stated.medium, low: stated.low }, source: 'philosophy', errors };
+}
+
+/**
+ * Activation count and journal priority per tag; events must arrive in timestamp order. A tag
+ * keeps its most recent priority, so a re-prioritized alarm counts in its current tier.
+ */
+function createPriorityCountAccumulator() {
+    const tags = new Map();
+
+    function addEvent(event) {
+        if (!event.isAlarm) return;
+        const entry = tags.get(event.tag) || { tag: event.tag, priority: '', count: 0 };
+        entry.count++;
+        if (event.priority) entry.priority = String(event.priority);
+        tags.set(event.tag, entry);
+    }
+
+    function finish() {
+        return { tags: [...tags.values()].sort((a, b) => b.count - a.count) };
+    }
+
+    return { addEvent, finish };
+}
+
+function _round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Distribution of weighted rows ({ tag, priority, level, weight }) against the targets, with the
+ * tags that skew it: for every tier above target + tolerance, the heaviest tags of that tier until
+ * moving them out would bring the tier back to its target.
+ */
+function _distribution(rows, excluded, targets) {
+    const total = rows.reduce((sum, row) => sum + row.weight, 0);
+    const counts = { high: 0, medium: 0, low: 0 };
+    rows.forEach(row => { counts[row.level] += row.weight; });
+
+    const distribution = LEVELS.map(level => {
+        const percent = total > 0 ? (counts[level] / total) * 100 : null;
+        return {
+            priority: level,
+            count: counts[level],
+            percent: percent === null ? null : _round(percent),
+            target: targets[level],
+            deviation: percent === null ? null : _round(percent - targets[level]),
+            status: percent === null ? 'n/a' : Math.abs(percent - targets[level]) <= TOLERANCE ? 'pass' : 'fail'
+        };
+    });
+
+    const skewingTags = [];
+    distribution.filter(d => d.deviation !== null && d.deviation > TOLERANCE).forEach(tier => {
+        let remaining = tier.deviation;
+        rows.filter(row => row.level === tier.priority)
+            .sort((a, b) => b.weight - a.weight || b.sortWeight - a.sortWeight || a.tag.localeCompare(b.tag))
+            .some(row => {
+                const contribution = (row.weight / total) * 100;
+                skewingTags.push({
+                    tag: row.tag,
+                    priority: row.priority,
+                    level: row.level,
+                    activations: row.activations,
+                    contribution: _round(contribution)
+                });
+                remaining -= contribution;
+                return remaining <= 0;
+            });
+    });
+    skewingTags.sort((a, b) => b.contribution - a.contribution || b.activations - a.activations);
+
+    return {
+        total,
+        excluded,
+        distribution,
+        status: total === 0 ? 'n/a' : distribution.every(d => d.status === 'pass') ? 'pass' : 'fail',
+        skewingTags: skewingTags.slice(0, MAX_SKEWING_TAGS)
+    };
+}
+
+/**
+ * Audits the configured and/or annunciated priority distribution.
+ * @param {Object} input
+ * @param {Array} [input.tagCounts] createPriorityCountAccumulator().finish().tags - annunciated side
+ * @param {Array} [input.configured] master alarm database entries [{ alarm, priority }]; alarm is the
+ *   full alarm name as it appears in the journal ("TAG TYPE") or a bare tag
+ * @param {Object} input.targets resolved { high, medium, low } percentages
+ */
+function auditPriorityDistribution({ tagCounts = null, configured = null, targets }) {
+    const activationsOf = new Map();
+    (tagCounts || []).forEach(t => {
+        const name = String(t.tag).toUpperCase();
+        const base = name.split(' ')[0];
+        activationsOf.set(name, (activationsOf.get(name) || 0) + t.count);
+        if (base !== name) activationsOf.set(`${base}\u0000base`, (activationsOf.get(`${base}\u0000base`) || 0) + t.count);
+    });
+    // Exact alarm name first, then a bare MADB tag against journal "TAG TYPE" names and vice versa
+    const activations = alarm => {
+        const name = String(alarm).toUpperCase();
+        return activationsOf.get(name) ?? activationsOf.get(`${name}\u0000base`) ?? activationsOf.get(name.split(' ')[0]) ?? 0;
+    };
+
+    let annunciated = null;
+    if (tagCounts) {
+        const kept = tagCounts.filter(t => !EXCLUDED_PRIORITY.test(t.priority));
+        const rows = kept.map(t => ({
+            tag: t.tag,
+            priority: t.priority,
+            level: priorityLevel(t.priority),
+            weight: t.count,
+            sortWeight: 0,
+            activations: t.count
+        }));
+        annunciated = _distribution(rows, tagCounts.length - kept.length, targets);
+    }
+
+    let configuredResult = null;
+    if (configured) {
+        // Unlike journal events, a configured alarm without a priority is not counted as low
+        const kept = configured.filter(c => c.priority && !EXCLUDED_PRIORITY.test(c.priority));
+        const rows = kept.map(c => {
+            const count = activations(c.alarm);
+            return {
+                tag: c.alarm,
+                priority: String(c.priority),
+                level: priorityLevel(c.priority),
+                weight: 1,
+                sortWeight: count, // alarms that annunciate most are listed first within a tier
+                activations: count
+            };
+        });
+        configuredResult = _distribution(rows, configured.length - kept.length, targets);
+    }
+
+    return { targets, tolerance: TOLERANCE, configured: configuredResult, annunciated };
+}
+
+module.exports = {
+    resolvePriorityTargets,
+    auditPriorityDistribution,
+    createPriorityCountAccumulator
+};
@@ -1,7 +1,9 @@
 'use strict';
 /**
  * Process Mining Algorithms - Server-Side Only
- * Heuristic Miner implementation for alarm event log analysis
+ * Heuristic Miner implementation for alarm event log analysis, token-replay conformance
+ * checking of sessions against a saved reference ("golden") heuristic net, and an Inductive Miner
+ * process tree for a block-structured view of the same sessions
  */
 
 // ============================================
@@ -15,6 +17,26 @@ function _getUniqueEventId(event) {
     return `[E] ${event.tag}`;
 }
 
+/**
+ * Median, p90 and max of a list of durations (ms); null when there are none.
+ */
+function _timingStats(values) {
+    if (!values || values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    return { count: sorted.length, medianMs: at(0.5), p90Ms: at(0.9), maxMs: sorted[sorted.length - 1] };
+}
+
+function _formatMs(ms) {
+    if (ms < 60 * 1000) return `${Math.round(ms / 1000)}s`;
+    if (ms < 60 * 60 * 1000) return `${Math.round(ms / 60000)}m`;
+    return `${(ms / 3600000).toFixed(1)}h`;
+}
+
+function _timingTitle(timing) {
+    return timing ? `\nMedian: ${_formatMs(timing.medianMs)} | P90: ${_formatMs(timing.p90Ms)} | Max: ${_formatMs(timing.maxMs)}` : '';
+}
+
 function _parseUniqueEventId(uniqueId) {
     const match = uniqueId.match(/^\[(A|C|E)\] (.*)$/);
     if (match) {
@@ -35,9 +57,13 @@ function _parseUniqueEventId(uniqueId) {
 /**
  * Calculates the dependency matrix for all activity pairs.
  * Dependency measure: (|A>B| - |B>A|) / (|A>B| + |B>A| + 1)
+ * Each direct succession and activity also carries timing: the time between consecutive events
+ * (for an activity, until the next event of its session) as median, p90 and max.
  */
 function calculateDependencyMatrix(sessions) {
     const directSuccession = new Map();
+    const transitionTimes = new Map();
+    const activityTimes = new Map();
     const activities = new Map();
     const startActivities = new Map();
     const endActivities = new Map();
@@ -60,12 +86,22 @@ function calculateDependencyMatrix(sessions) {
             });
 
             if (idx < session.events.length - 1) {
-                const nextActivity = _getUniqueEventId(session.events[idx + 1]);
+                const nextEvent = session.events[idx + 1];
+                const nextActivity = _getUniqueEventId(nextEvent);
                 const key = `${activity}>${nextActivity}`;
                 directSuccession.set(key, (directSuccession.get(key) || 0) + 1);
+
+                const elapsed = nextEvent.timestamp - event.timestamp;
+                if (Number.isFinite(elapsed) && elapsed >= 0) {
+                    if (!transitionTimes.has(key)) transitionTimes.set(key, []);
+                    transitionTimes.get(key).push(elapsed);
+                    if (!activityTimes.has(activity)) activityTimes.set(activity, []);
+                    activityTimes.get(activity).push(elapsed);
+                }
             }
         });
     });
+    activities.forEach((info, activity) => { info.timing = _timingStats(activityTimes.get(activity)); });
 
     const dependencies = new Map();
     const totalSessions = sessions.length;
@@ -82,7 +118,8 @@ function calculateDependencyMatrix(sessions) {
                     dependencies.set(`${actA}>${actB}`, {
                         from: actA, to: actB,
                         dependency, frequency,
-                        absoluteFrequency: aToB
+                        absoluteFrequency: aToB,
+                        timing: _timingStats(transitionTimes.get(`${actA}>${actB}`))
                     });
                 }
             }
@@ -105,6 +142,7 @@ function findCausalRelations(matrix, threshold) {
                 dependency: dep.dependency,
                 frequency: dep.frequency,
                 absoluteFrequency: dep.absoluteFrequency,
+                timing: dep.timing,
                 type: 'causal'
             });
         }
@@ -317,7 +355,9 @@ function constructHeuristicNet(activities, causalRelations, parallelRelations, l
             font: { size: 14, face: 'Arial' },
             borderWidth: isStart || isEnd ? 3 : 2,
             value: Math.log(info.count + 1) * 10,
-            title: `${parsedId.tag}\nType: ${parsedId.type}\nOccurrences: ${info.count}\nPriority: ${info.priority || 'N/A'}\n${isStart ? 'START EVENT' : isEnd ? 'END EVENT' : ''}`
+            title: `${parsedId.tag}\nType: ${parsedId.type}\nOccurrences: ${info.count}\nPriority: ${info.priority || 'N/A'}\n${isStart ? 'START EVENT' : isEnd ? 'END EVENT' : ''}${info.timing ? `\nTime to next event${_timingTitle(info.timing)}` : ''}`,
+            count: info.count,
+            timing: info.timing
         });
     });
 
@@ -367,7 +407,9 @@ function constructHeuristicNet(activities, causalRelations, parallelRelations, l
                 color: { color: rel.dependency > 0.8 ? '#2563eb' : rel.dependency > 0.6 ? '#3b82f6' : '#93c5fd' },
                 smooth: { type: 'dynamic' },
                 font: { size: 12, align: 'horizontal', background: 'white' },
-                title: `Dependency: ${rel.dependency.toFixed(2)}\nFrequency: ${(rel.frequency * 100).toFixed(1)}%\nOccurrences: ${rel.absoluteFrequency}`
+                title: `Dependency: ${rel.dependency.toFixed(2)}\nFrequency: ${(rel.frequency * 100).toFixed(1)}%\nOccurrences: ${rel.absoluteFrequency}${_timingTitle(rel.timing)}`,
+                count: rel.absoluteFrequency,
+                timing: rel.timing
             });
         }
     });
@@ -407,7 +449,9 @@ function constructHeuristicNet(activities, causalRelations, parallelRelations, l
                         from: bestConnection.from, to: bestConnection.to,
                         arrows: { to: { enabled: true } }, width: 1, color: { color: '#cccccc' },
                         dashes: [5, 5], label: bestConnection.dep.absoluteFrequency.toString(),
-                        title: `Weak dependency: ${bestConnection.dep.dependency.toFixed(2)}`
+                        title: `Weak dependency: ${bestConnection.dep.dependency.toFixed(2)}${_timingTitle(bestConnection.dep.timing)}`,
+                        count: bestConnection.dep.absoluteFrequency,
+                        timing: bestConnection.dep.timing
                     });
                 }
             }
@@ -618,7 +662,13 @@ function getVariantSignature(session, mainProcess) {
     return signature.join(' → ');
 }
 
-function discoverProcessVariants(sessions) {
+/**
+ * Groups sessions by their event sequence, most frequent first.
+ * @param {Object} [options] { minCount: least sessions per variant (1), limit: variants returned (50) }
+ */
+function discoverProcessVariants(sessions, options = {}) {
+    const minCount = Number.isFinite(options.minCount) ? options.minCount : 1;
+    const limit = Number.isFinite(options.limit) ? options.limit : 50;
     const variantMap = new Map();
     const matrix = calculateDependencyMatrix(sessions);
     const causalRelations = findCausalRelations(matrix, 0.5);
@@ -654,8 +704,664 @@ function discoverProcessVariants(sessions) {
     });
 
     return Array.from(variantMap.values())
+        .filter(variant => variant.count >= minCount)
         .sort((a, b) => b.count - a.count)
-        .slice(0, 50);
+        .slice(0, limit);
+}
+
+// ============================================
+// VARIANT DIFF
+// ============================================
+
+const MAX_DIFF_EVENTS = 2000;
+
+function _activityKind(activity) {
+    const { isAlarm, isChange } = _parseUniqueEventId(activity);
+    return isChange ? 'action' : isAlarm ? 'alarm' : 'event';
+}
+
+/**
+ * Aligns the event sequences of two variants (minimum edit alignment). Replacing an activity by one
+ * of the same kind costs as much as a single insertion, so differing alarms or actions at the same
+ * step line up as 'changed'; otherwise the steps are 'only-a' / 'only-b'. Consecutive differing rows
+ * form divergences; those involving an operator action are operator-response divergences.
+ * @param {string[]} a activity ids of the first variant (variant.events)
+ * @param {string[]} b activity ids of the second variant
+ */
+function diffVariants(a, b) {
+    const substitution = (x, y) => (x === y ? 0 : _activityKind(x) === _activityKind(y) ? 1 : 2);
+    const cost = Array.from({ length: a.length + 1 }, (_, i) => {
+        const row = new Array(b.length + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 1; j <= b.length; j++) cost[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            cost[i][j] = Math.min(
+                cost[i - 1][j - 1] + substitution(a[i - 1], b[j - 1]),
+                cost[i - 1][j] + 1,
+                cost[i][j - 1] + 1
+            );
+        }
+    }
+
+    const rows = [];
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + substitution(a[i - 1], b[j - 1])) {
+            rows.push({ a: a[i - 1], b: b[j - 1], status: a[i - 1] === b[j - 1] ? 'same' : 'changed' });
+            i--;
+            j--;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            rows.push({ a: a[i - 1], b: null, status: 'only-a' });
+            i--;
+        } else {
+            rows.push({ a: null, b: b[j - 1], status: 'only-b' });
+            j--;
+        }
+    }
+    rows.reverse();
+    rows.forEach(row => {
+        const kinds = [row.a, row.b].filter(Boolean).map(_activityKind);
+        row.kind = kinds.includes('action') ? 'action' : kinds.includes('alarm') ? 'alarm' : 'event';
+    });
+
+    const divergences = [];
+    let lastSame = null;
+    rows.forEach((row, index) => {
+        if (row.status === 'same') {
+            lastSame = row.a;
+            return;
+        }
+        let block = divergences[divergences.length - 1];
+        if (!block || block.endIndex !== index - 1) {
+            block = { index, endIndex: index, after: lastSame, a: [], b: [], operatorResponse: false };
+            divergences.push(block);
+        }
+        block.endIndex = index;
+        if (row.a) block.a.push(row.a);
+        if (row.b) block.b.push(row.b);
+        if (row.kind === 'action') block.operatorResponse = true;
+    });
+
+    const same = rows.filter(row => row.status === 'same').length;
+    return {
+        rows,
+        divergences,
+        summary: {
+            lengthA: a.length,
+            lengthB: b.length,
+            same,
+            different: rows.length - same,
+            similarity: Math.max(a.length, b.length) > 0 ? Math.round((same / Math.max(a.length, b.length)) * 1000) / 1000 : 1,
+            firstDivergence: divergences.length > 0 ? divergences[0].index : null,
+            operatorResponseDivergences: divergences.filter(d => d.operatorResponse).length
+        }
+    };
+}
+
+// ============================================
+// CONFORMANCE CHECKING
+// ============================================
+
+const START_NODE = '__START__';
+const END_NODE = '__END__';
+const CONFORMANCE_THRESHOLD = 0.8;
+const MAX_REPORTED_SESSIONS = 200;
+const MAX_DEVIATING_ACTIVITIES = 20;
+
+/**
+ * Mines the heuristic net of the given sessions and keeps it as a reference model for conformance
+ * checking: its activities, causal edges, and the activities the sessions start and end with.
+ * @param {Array} sessions reference sessions, e.g. normal operation of one unit
+ * @param {Object} filters heuristic miner parameters, as for buildProcessGraph
+ * @param {string|null} unit unit the model describes; null for all units
+ */
+function createReferenceModel(sessions, filters = {}, unit = null) {
+    const graph = buildProcessGraph(sessions, filters);
+    const matrix = calculateDependencyMatrix(sessions);
+    const activities = graph.nodes.map(n => n.id).filter(id => id !== START_NODE && id !== END_NODE);
+    const inModel = new Set(activities);
+
+    const edgeKeys = new Set();
+    const edges = [];
+    graph.edges.forEach(edge => {
+        if (!inModel.has(edge.from) || !inModel.has(edge.to) || edgeKeys.has(`${edge.from}>${edge.to}`)) return;
+        edgeKeys.add(`${edge.from}>${edge.to}`);
+        edges.push([edge.from, edge.to]);
+    });
+
+    const boundary = (observed, node, side) => [...new Set([
+        ...[...observed.keys()].filter(a => inModel.has(a)),
+        ...graph.edges.filter(e => e[side === 'start' ? 'from' : 'to'] === node).map(e => e[side === 'start' ? 'to' : 'from'])
+    ])];
+
+    return {
+        unit,
+        createdAt: Date.now(),
+        sessionCount: sessions.length,
+        filters,
+        activities,
+        edges,
+        startActivities: boundary(matrix.startActivities, START_NODE, 'start'),
+        endActivities: boundary(matrix.endActivities, END_NODE, 'end')
+    };
+}
+
+/**
+ * Validates a reference model as returned by createReferenceModel. Returns an array of errors.
+ */
+function validateReferenceModel(model) {
+    if (!model || typeof model !== 'object') return ['model is required'];
+    const errors = [];
+    ['activities', 'startActivities', 'endActivities'].forEach(key => {
+        if (!Array.isArray(model[key]) || model[key].some(a => typeof a !== 'string')) errors.push(`model.${key} must be an array of activity ids`);
+    });
+    if (!Array.isArray(model.edges) || model.edges.some(e => !Array.isArray(e) || e.length !== 2)) {
+        errors.push('model.edges must be an array of [from, to] pairs');
+    }
+    if (errors.length === 0 && model.activities.length === 0) errors.push('model has no activities');
+    return errors;
+}
+
+function _compileModel(model) {
+    const predecessors = new Map(model.activities.map(a => [a, new Set()]));
+    const successors = new Map(model.activities.map(a => [a, new Set()]));
+    model.edges.forEach(([from, to]) => {
+        if (predecessors.has(to)) predecessors.get(to).add(from);
+        if (successors.has(from)) successors.get(from).add(to);
+    });
+    return {
+        activities: new Set(model.activities),
+        predecessors,
+        successors,
+        starts: new Set(model.startActivities),
+        ends: new Set(model.endActivities)
+    };
+}
+
+// Deviations on operator changes are abnormal responses; on alarms (or events) unusual cascades
+function _deviationKind(activity) {
+    return _parseUniqueEventId(activity).isChange ? 'operator-response' : 'alarm-cascade';
+}
+
+/**
+ * Token replay of one session on the reference net. Every causal edge is an XOR place: firing an
+ * activity produces one token that any of its successors may consume, and an activity consumes a
+ * token from any predecessor (or the source place if it is a start activity). Immediate repeats of
+ * an activity consume its own token, as the miner does not model self-loops. Fitness follows
+ * Rozinat & van der Aalst: 0.5 * (1 - missing / consumed) + 0.5 * (1 - remaining / produced).
+ */
+function _replaySession(session, compiled) {
+    const tokens = new Map();
+    const deviations = [];
+    let source = 1;
+    let produced = 1;
+    let consumed = 0;
+    let missing = 0;
+    let previous = null;
+
+    session.events.forEach((event, index) => {
+        const activity = _getUniqueEventId(event);
+        consumed++;
+        if (!compiled.activities.has(activity)) {
+            missing++;
+            deviations.push({ index, activity, tag: event.tag, kind: _deviationKind(activity), reason: 'unknown-activity' });
+        } else {
+            const inputs = [...compiled.predecessors.get(activity)];
+            if (activity === previous) inputs.unshift(activity);
+            const from = inputs.find(a => tokens.get(a) > 0);
+            if (from) {
+                tokens.set(from, tokens.get(from) - 1);
+            } else if (compiled.starts.has(activity) && source > 0) {
+                source--;
+            } else {
+                missing++;
+                deviations.push({ index, activity, tag: event.tag, kind: _deviationKind(activity), reason: 'unexpected-order' });
+            }
+        }
+        tokens.set(activity, (tokens.get(activity) || 0) + 1);
+        produced++;
+        previous = activity;
+    });
+
+    // The sink consumes one token from an end activity
+    consumed++;
+    const end = [...compiled.ends].find(a => tokens.get(a) > 0);
+    if (end) tokens.set(end, tokens.get(end) - 1);
+    else missing++;
+
+    let remaining = source;
+    tokens.forEach((count, activity) => {
+        if (count <= 0) return;
+        remaining += count;
+        // A leftover token is an expected follow-up (e.g. the operator response to an alarm) that never came
+        const expected = compiled.successors.has(activity) ? [...compiled.successors.get(activity)] : [];
+        if (expected.length > 0) {
+            deviations.push({
+                index: null,
+                activity,
+                tag: _parseUniqueEventId(activity).tag,
+                kind: expected.some(a => _parseUniqueEventId(a).isChange) ? 'operator-response' : 'alarm-cascade',
+                reason: 'missing-follow-up',
+                expected
+            });
+        }
+    });
+
+    const fitness = 0.5 * (1 - missing / consumed) + 0.5 * (1 - remaining / produced);
+    return { fitness: Math.round(fitness * 1000) / 1000, produced, consumed, missing, remaining, deviations };
+}
+
+/**
+ * Scores sessions against a reference model. With model.unit set, only that unit's sessions are scored.
+ * Sessions below the fitness threshold are reported as deviating, lowest fitness first.
+ */
+function checkConformance(sessions, model, options = {}) {
+    const threshold = options.threshold ?? CONFORMANCE_THRESHOLD;
+    const compiled = _compileModel(model);
+    const scored = sessions
+        .filter(session => session.events.length > 0 && (!model.unit || session.unit === model.unit))
+        .map(session => ({
+            sessionId: session.id,
+            unit: session.unit,
+            startTime: session.startTime,
+            eventCount: session.events.length,
+            ..._replaySession(session, compiled)
+        }));
+
+    const deviating = scored.filter(s => s.fitness < threshold).sort((a, b) => a.fitness - b.fitness);
+    const byActivity = new Map();
+    deviating.forEach(s => s.deviations.forEach(d => {
+        const key = `${d.activity}\u0000${d.reason}`;
+        const entry = byActivity.get(key) || { activity: d.activity, tag: d.tag, kind: d.kind, reason: d.reason, sessions: 0 };
+        entry.sessions++;
+        byActivity.set(key, entry);
+    }));
+    const countKind = kind => deviating.reduce((sum, s) => sum + s.deviations.filter(d => d.kind === kind).length, 0);
+
+    return {
+        unit: model.unit || null,
+        threshold,
+        summary: {
+            sessions: scored.length,
+            conforming: scored.length - deviating.length,
+            deviating: deviating.length,
+            avgFitness: scored.length > 0 ? Math.round((scored.reduce((sum, s) => sum + s.fitness, 0) / scored.length) * 1000) / 1000 : null,
+            operatorResponseDeviations: countKind('operator-response'),
+            alarmCascadeDeviations: countKind('alarm-cascade')
+        },
+        deviatingSessions: deviating.slice(0, MAX_REPORTED_SESSIONS),
+        deviatingActivities: [...byActivity.values()].sort((a, b) => b.sessions - a.sessions).slice(0, MAX_DEVIATING_ACTIVITIES)
+    };
+}
+
+// ============================================
+// INDUCTIVE MINER (process tree)
+// ============================================
+
+const INDUCTIVE_NOISE_THRESHOLD = 0.2;
+const MAX_TREE_DEPTH = 64;
+
+/**
+ * Merges { trace, count } entries with the same activity sequence.
+ */
+function _traceLog(entries) {
+    const merged = new Map();
+    entries.forEach(({ trace, count }) => {
+        const key = trace.join('\u0000');
+        const entry = merged.get(key);
+        if (entry) entry.count += count;
+        else merged.set(key, { trace, count });
+    });
+    return [...merged.values()];
+}
+
+function _traceCount(log) {
+    return log.reduce((sum, entry) => sum + entry.count, 0);
+}
+
+function _logDfg(log) {
+    const activities = new Map();
+    const edges = new Map();
+    const start = new Map();
+    const end = new Map();
+    const add = (map, key, count) => map.set(key, (map.get(key) || 0) + count);
+
+    log.forEach(({ trace, count }) => {
+        if (trace.length === 0) return;
+        add(start, trace[0], count);
+        add(end, trace[trace.length - 1], count);
+        trace.forEach((activity, i) => {
+            add(activities, activity, count);
+            if (i === 0) return;
+            if (!edges.has(trace[i - 1])) edges.set(trace[i - 1], new Map());
+            add(edges.get(trace[i - 1]), activity, count);
+        });
+    });
+    return { activities, edges, start, end };
+}
+
+/**
+ * IMf filtering: drops directly-follows edges (and start/end activities) seen less than
+ * threshold times as often as the most frequent one of the same source.
+ */
+function _filterDfg(dfg, threshold) {
+    const keepFrequent = counts => {
+        const max = Math.max(...counts.values());
+        return new Map([...counts].filter(([, count]) => count >= threshold * max));
+    };
+    const edges = new Map([...dfg.edges].map(([from, out]) => [from, keepFrequent(out)]));
+    return { activities: dfg.activities, edges, start: keepFrequent(dfg.start), end: keepFrequent(dfg.end) };
+}
+
+function _hasDfgEdge(dfg, from, to) {
+    const out = dfg.edges.get(from);
+    return !!out && out.has(to);
+}
+
+/**
+ * Connected components of activities under a symmetric relation.
+ */
+function _components(activities, connected) {
+    const parent = new Map(activities.map(a => [a, a]));
+    const find = a => {
+        while (parent.get(a) !== a) {
+            parent.set(a, parent.get(parent.get(a)));
+            a = parent.get(a);
+        }
+        return a;
+    };
+    for (let i = 0; i < activities.length; i++) {
+        for (let j = i + 1; j < activities.length; j++) {
+            if (connected(activities[i], activities[j])) parent.set(find(activities[i]), find(activities[j]));
+        }
+    }
+    const groups = new Map();
+    activities.forEach(a => {
+        const root = find(a);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(a);
+    });
+    return [...groups.values()];
+}
+
+function _reachability(dfg, activities) {
+    const reach = new Map();
+    activities.forEach(from => {
+        const seen = new Set();
+        const queue = [from];
+        while (queue.length > 0) {
+            const out = dfg.edges.get(queue.pop());
+            if (!out) continue;
+            out.forEach((count, to) => {
+                if (!seen.has(to)) {
+                    seen.add(to);
+                    queue.push(to);
+                }
+            });
+        }
+        reach.set(from, seen);
+    });
+    return reach;
+}
+
+/**
+ * Sequence cut: strongly connected components, merged while neither reaches the other,
+ * ordered by reachability. Every activity of an earlier part must reach every later one.
+ */
+function _sequenceCut(dfg, activities) {
+    const reach = _reachability(dfg, activities);
+    const reaches = (a, b) => reach.get(a).has(b);
+    const groups = _components(activities, (a, b) => reaches(a, b) === reaches(b, a));
+    if (groups.length < 2) return null;
+
+    const reachedOutside = group => activities.filter(b => !group.includes(b) && group.some(a => reaches(a, b))).length;
+    groups.sort((x, y) => reachedOutside(y) - reachedOutside(x));
+    for (let i = 0; i < groups.length; i++) {
+        for (let j = i + 1; j < groups.length; j++) {
+            const ordered = groups[i].every(a => groups[j].every(b => reaches(a, b) && !reaches(b, a)));
+            if (!ordered) return null;
+        }
+    }
+    return groups;
+}
+
+/**
+ * Parallel cut: components of the negated DFG (activities not directly following each other both
+ * ways); parts without a start or an end activity are merged into the first complete part.
+ */
+function _parallelCut(dfg, activities) {
+    const groups = _components(activities, (a, b) => !(_hasDfgEdge(dfg, a, b) && _hasDfgEdge(dfg, b, a)));
+    const complete = groups.filter(g => g.some(a => dfg.start.has(a)) && g.some(a => dfg.end.has(a)));
+    if (complete.length < 2) return null;
+    groups.filter(g => !complete.includes(g)).forEach(g => complete[0].push(...g));
+    return complete;
+}
+
+function _breaksLoop(dfg, body, component) {
+    const starts = [...dfg.start.keys()];
+    const ends = [...dfg.end.keys()];
+    for (const [from, out] of dfg.edges) {
+        for (const to of out.keys()) {
+            // The body is left from end activities only and re-entered at start activities only
+            if (body.has(from) && component.has(to) && !dfg.end.has(from)) return true;
+            if (component.has(from) && body.has(to) && !dfg.start.has(to)) return true;
+        }
+    }
+    return [...component].some(a => {
+        const fromEnds = ends.filter(e => _hasDfgEdge(dfg, e, a)).length;
+        const toStarts = starts.filter(s => _hasDfgEdge(dfg, a, s)).length;
+        return (fromEnds > 0 && fromEnds < ends.length) || (toStarts > 0 && toStarts < starts.length);
+    });
+}
+
+/**
+ * Loop cut: the body holds all start and end activities; the other components of the DFG
+ * without them are redo parts unless they break the loop pattern, in which case they join the body.
+ */
+function _loopCut(dfg, activities) {
+    const body = new Set([...dfg.start.keys(), ...dfg.end.keys()]);
+    const rest = activities.filter(a => !body.has(a));
+    let redo = _components(rest, (a, b) => _hasDfgEdge(dfg, a, b) || _hasDfgEdge(dfg, b, a)).map(g => new Set(g));
+
+    let changed = true;
+    while (changed && redo.length > 0) {
+        changed = false;
+        redo = redo.filter(component => {
+            if (!_breaksLoop(dfg, body, component)) return true;
+            component.forEach(a => body.add(a));
+            changed = true;
+            return false;
+        });
+    }
+    if (redo.length === 0) return null;
+    return [activities.filter(a => body.has(a)), ...redo.map(component => [...component])];
+}
+
+function _findCut(dfg) {
+    const activities = [...dfg.activities.keys()];
+    const xor = _components(activities, (a, b) => _hasDfgEdge(dfg, a, b) || _hasDfgEdge(dfg, b, a));
+    if (xor.length > 1) return { operator: 'xor', groups: xor };
+    const sequence = _sequenceCut(dfg, activities);
+    if (sequence) return { operator: 'sequence', groups: sequence };
+    const parallel = _parallelCut(dfg, activities);
+    if (parallel) return { operator: 'parallel', groups: parallel };
+    const loop = _loopCut(dfg, activities);
+    if (loop) return { operator: 'loop', groups: loop };
+    return null;
+}
+
+function _projectLog(log, group) {
+    const members = new Set(group);
+    return _traceLog(log.map(({ trace, count }) => ({ trace: trace.filter(a => members.has(a)), count })));
+}
+
+/**
+ * Splits a log on a cut. XOR: each trace goes to the part holding most of its activities;
+ * loop: each trace is cut into alternating body and redo runs (an empty body run where two redo
+ * runs meet or the trace starts or ends in a redo part); sequence and parallel: projection.
+ */
+function _splitLog(log, cut) {
+    if (cut.operator === 'sequence' || cut.operator === 'parallel') return cut.groups.map(group => _projectLog(log, group));
+
+    const groupOf = new Map();
+    cut.groups.forEach((group, i) => group.forEach(a => groupOf.set(a, i)));
+    const sublogs = cut.groups.map(() => []);
+
+    log.forEach(({ trace, count }) => {
+        if (cut.operator === 'xor') {
+            const hits = cut.groups.map(() => 0);
+            trace.forEach(a => hits[groupOf.get(a)]++);
+            const best = hits.indexOf(Math.max(...hits));
+            sublogs[best].push({ trace: trace.filter(a => groupOf.get(a) === best), count });
+            return;
+        }
+        const runs = [];
+        trace.forEach(a => {
+            const group = groupOf.get(a);
+            const last = runs[runs.length - 1];
+            if (last && last.group === group) {
+                last.trace.push(a);
+                return;
+            }
+            if (group !== 0 && (!last || last.group !== 0)) runs.push({ group: 0, trace: [] });
+            runs.push({ group, trace: [a] });
+        });
+        if (runs.length === 0 || runs[runs.length - 1].group !== 0) runs.push({ group: 0, trace: [] });
+        runs.forEach(run => sublogs[run.group].push({ trace: run.trace, count }));
+    });
+    return sublogs.map(_traceLog);
+}
+
+function _operatorNode(operator, children, traces) {
+    const kept = children.filter(Boolean);
+    if (kept.length === 0) return null;
+    if (kept.length === 1) return kept[0];
+    // Nested sequences, choices and parallel blocks of the same operator are one block
+    const flattened = operator === 'loop'
+        ? kept
+        : kept.flatMap(child => (child.type === 'operator' && child.operator === operator ? child.children : [child]));
+    return { type: 'operator', operator, traces, children: flattened };
+}
+
+/**
+ * Tau-loop fall-through: cuts traces wherever an end activity is directly followed by a start
+ * activity, so a repeated block becomes the body of a loop. Returns { log, repeating } with the
+ * entries that were cut, or null when no trace is cut.
+ */
+function _tauLoopSplit(log, dfg) {
+    const repeating = new Set();
+    const parts = [];
+    log.forEach(entry => {
+        const { trace, count } = entry;
+        let current = [trace[0]];
+        for (let i = 1; i < trace.length; i++) {
+            if (dfg.end.has(trace[i - 1]) && dfg.start.has(trace[i])) {
+                parts.push({ trace: current, count });
+                current = [];
+                repeating.add(entry);
+            }
+            current.push(trace[i]);
+        }
+        parts.push({ trace: current, count });
+    });
+    return repeating.size > 0 ? { log: _traceLog(parts), repeating } : null;
+}
+
+// Last fall-through: any of the activities, in any order, any number of times
+function _flowerNode(dfg, traces) {
+    const activities = [...dfg.activities].map(([label, count]) => ({ type: 'activity', label, count }));
+    return {
+        type: 'operator',
+        operator: 'loop',
+        traces,
+        fallThrough: 'flower',
+        children: [_operatorNode('xor', activities, traces), { type: 'tau' }]
+    };
+}
+
+function _mineTree(log, threshold, depth) {
+    const traces = _traceCount(log);
+    if (traces === 0) return null;
+    const nonEmpty = log.filter(entry => entry.trace.length > 0);
+    const emptyTraces = traces - _traceCount(nonEmpty);
+    if (nonEmpty.length === 0) return { type: 'tau' };
+
+    // Cases that skip the whole block make it optional, unless they are rare enough to be noise
+    if (emptyTraces > 0 && emptyTraces >= threshold * traces) {
+        return _operatorNode('xor', [{ type: 'tau' }, _mineTree(nonEmpty, threshold, depth + 1)], traces);
+    }
+
+    const dfg = _logDfg(nonEmpty);
+    if (dfg.activities.size === 1) {
+        const [[label, count]] = dfg.activities;
+        const activity = { type: 'activity', label, count };
+        return nonEmpty.every(entry => entry.trace.length === 1)
+            ? activity
+            : _operatorNode('loop', [activity, { type: 'tau' }], traces);
+    }
+    if (depth >= MAX_TREE_DEPTH) return _flowerNode(dfg, traces);
+
+    const cut = _findCut(dfg) || (threshold > 0 ? _findCut(_filterDfg(dfg, threshold)) : null);
+    if (!cut) {
+        const repeated = _tauLoopSplit(nonEmpty, dfg);
+        // Repeats in fewer than threshold of the cases are noise: mine the other cases
+        if (repeated && _traceCount([...repeated.repeating]) < threshold * traces) {
+            return _mineTree(nonEmpty.filter(entry => !repeated.repeating.has(entry)), threshold, depth + 1);
+        }
+        const body = repeated && _mineTree(repeated.log, threshold, depth + 1);
+        if (!body || body.fallThrough === 'flower') return _flowerNode(dfg, traces);
+        return _operatorNode('loop', [body, { type: 'tau' }], traces);
+    }
+
+    const children = _splitLog(nonEmpty, cut).map(sublog => _mineTree(sublog, threshold, depth + 1)).filter(Boolean);
+    // Most frequent choice first
+    if (cut.operator === 'xor') children.sort((a, b) => (b.traces ?? b.count ?? 0) - (a.traces ?? a.count ?? 0));
+    return _operatorNode(cut.operator, children, traces);
+}
+
+function _treeStats(node, stats = { depth: 0, activities: 0, taus: 0, flowers: 0, operators: { sequence: 0, xor: 0, parallel: 0, loop: 0 } }, depth = 1) {
+    if (!node) return stats;
+    stats.depth = Math.max(stats.depth, depth);
+    if (node.type === 'activity') stats.activities++;
+    else if (node.type === 'tau') stats.taus++;
+    else {
+        stats.operators[node.operator]++;
+        if (node.fallThrough) stats.flowers++;
+        node.children.forEach(child => _treeStats(child, stats, depth + 1));
+    }
+    return stats;
+}
+
+/**
+ * Discovers a process tree with the Inductive Miner (IMf variant): the log is split recursively on
+ * XOR, sequence, parallel and loop cuts of its directly-follows graph, so the model is block
+ * structured and sound by construction. When no cut exists, infrequent directly-follows edges are
+ * filtered out (filters.noiseThreshold, 0 = plain IM); failing that, repeated blocks become a loop
+ * (cases repeating less often than the threshold are dropped as noise) and anything else a flower loop.
+ * Nodes: { type: 'activity', label, count } | { type: 'tau' } (silent step) |
+ *        { type: 'operator', operator: 'sequence'|'xor'|'parallel'|'loop', traces, children, fallThrough? };
+ * a loop's first child is its body, the others are redo parts.
+ */
+function discoverProcessTree(sessions, filters = {}) {
+    const noiseThreshold = Number.isFinite(filters.noiseThreshold)
+        ? Math.min(1, Math.max(0, filters.noiseThreshold))
+        : INDUCTIVE_NOISE_THRESHOLD;
+    const log = _traceLog(sessions.map(session => ({ trace: (session.events || []).map(_getUniqueEventId), count: 1 })));
+    const tree = _mineTree(log, noiseThreshold, 0);
+
+    return {
+        tree,
+        noiseThreshold,
+        stats: {
+            traces: sessions.length,
+            variants: log.length,
+            ..._treeStats(tree)
+        }
+    };
 }
 
 module.exports = {
@@ -667,5 +1373,14 @@ module.exports = {
     detectParallelActivities,
     detectLoops,
     constructHeuristicNet,
-    calculateConformance
+    calculateConformance,
+    createReferenceModel,
+    validateReferenceModel,
+    checkConformance,
+    discoverProcessTree,
+    diffVariants,
+    CONFORMANCE_THRESHOLD,
+    MAX_DIFF_EVENTS,
+    INDUCTIVE_NOISE_THRESHOLD,
+    getUniqueEventId: _getUniqueEventId
 };
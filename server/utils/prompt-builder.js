@@ -101,6 +101,7 @@ function extractSiteSpecificRules(philosophyRules) {
  * @param {Object} data.processAnalysis - Process analysis results (optional)
  * @param {Array} data.referenceAlarms - D&R-complete reference alarms (optional)
  * @param {Array} data.previousDrafts - Previously drafted alarms in this batch (optional)
+ * @param {Array} data.redundantAlarms - Co-activation clusters per alarm: [{ alarm, leader, redundantWith: [{ alarm, correlation }] }] (optional)
  * @param {String} data.detectedPriorityScheme - 'descriptive' or 'numeric'
  * @returns {String} - Assembled user prompt
  */
@@ -112,6 +113,7 @@ function buildBatchRationalizationPrompt(data) {
         processAnalysis,
         referenceAlarms,
         previousDrafts,
+        redundantAlarms,
         detectedPriorityScheme
     } = data;
 
@@ -195,6 +197,17 @@ function buildBatchRationalizationPrompt(data) {
         previousContext = `\n\nPREVIOUSLY DRAFTED ALARMS ON SAME TAGS (for consistency):\n${prevSummary}\nEnsure new alarms on the same tag use consistent priority logic.\n`;
     }
 
+    // Build redundant alarms context from the journal's co-activation clusters
+    let redundancyContext = '';
+    if (redundantAlarms && redundantAlarms.length > 0) {
+        const redundancySummary = redundantAlarms.map(r => {
+            const peers = r.redundantWith.map(p => `${p.alarm} (correlation ${p.correlation})`).join(', ');
+            const leader = r.leader ? ` — usually annunciates first: ${r.leader}` : '';
+            return `- ${r.alarm}: fires together with ${peers}${leader}`;
+        }).join('\n');
+        redundancyContext = `\n\nREDUNDANT ALARMS (alarm journal co-activation analysis - apply the Duplicates rule):\n${redundancySummary}\nThese alarms almost always annunciate together and likely indicate the same abnormal condition. Keep the one most relevant to the operator's corrective action and recommend REMOVE (or a lower priority) for the others, citing the redundancy in your Reasoning.\n`;
+    }
+
     // Build priority scheme instruction
     let prioritySchemeInstruction = '';
     if (philosophyRules && philosophyRules.priority_matrix && philosophyRules.priority_matrix.length > 0) {
@@ -217,7 +230,7 @@ function buildBatchRationalizationPrompt(data) {
 
     // Assemble final user prompt
     const userPrompt = `Process Context: ${processContext || 'Industrial process equipment'}
-${rulesContext}${processAnalysisContext}${referenceContext}${previousContext}${prioritySchemeInstruction}${hhllOrderInstruction}
+${rulesContext}${processAnalysisContext}${referenceContext}${previousContext}${redundancyContext}${prioritySchemeInstruction}${hhllOrderInstruction}
 Alarms to rationalize:
 ${alarmList}
 
@@ -229,7 +242,8 @@ CRITICAL REASONING REQUIREMENTS:
 - If based on philosophy rules/matrix, cite it: "Per philosophy matrix: [consequence] + [response time] = [priority]"
 - If based on DCS platform preset rules from prompt knowledge, cite it: "Per [Platform] preset: [rule applied]"
 - If based on Combination Alarm, ESD Bypass, or Rate of Change rules, cite the specific rule section
-- If a HH/LL alarm is based on its H/L counterpart in this batch, cite it: "Escalation of [AlarmName] H/L rationalization"`;
+- If a HH/LL alarm is based on its H/L counterpart in this batch, cite it: "Escalation of [AlarmName] H/L rationalization"
+- If an alarm is handled as a duplicate of a redundant alarm, cite it: "Redundant with [AlarmName] (correlation X)"`;
 
     return userPrompt;
 }
@@ -0,0 +1,210 @@
+'use strict';
+/**
+ * Operator Response Times - Server-Side Only
+ * Measures time-to-acknowledge and time-to-first-action per alarm priority and compares them
+ * with the max_response_time documented in the alarm philosophy priority matrix.
+ */
+
+const { ACTION_WINDOW } = require('./nuisance-scoring');
+const { priorityLevel } = require('./alarm-kpis');
+
+const LEVELS = ['high', 'medium', 'low'];
+const MIN_RESPONSES_TO_FLAG = 3;
+const UNIT_MS = { s: 1000, sec: 1000, second: 1000, m: 60 * 1000, min: 60 * 1000, minute: 60 * 1000, h: 60 * 60 * 1000, hr: 60 * 60 * 1000, hour: 60 * 60 * 1000 };
+
+/**
+ * Parses a documented response time ("<3 minutes", "3 to 10 minutes", ">30 minutes", "15 min")
+ * into { minMs, maxMs }; maxMs is null for open-ended ranges. Returns null if unparseable.
+ */
+function parseResponseTime(text) {
+    if (!text) return null;
+    const normalized = String(text).toLowerCase();
+    const numbers = (normalized.match(/\d+(\.\d+)?/g) || []).map(Number);
+    if (numbers.length === 0) return null;
+    const unitMatch = normalized.match(/\d\s*(sec|second|s|min|minute|m|hr|hour|h)s?\b/);
+    const unitMs = unitMatch ? UNIT_MS[unitMatch[1]] : UNIT_MS.min;
+
+    if (normalized.includes('>') || /more than|over|greater/.test(normalized)) {
+        return { minMs: numbers[0] * unitMs, maxMs: null };
+    }
+    if (numbers.length >= 2) return { minMs: numbers[0] * unitMs, maxMs: numbers[1] * unitMs };
+    return { minMs: 0, maxMs: numbers[0] * unitMs };
+}
+
+/**
+ * Documented response limit per priority level. A level takes the longest max_response_time of
+ * the matrix rows mapping to it, so only responses slower than any allowance are flagged.
+ */
+function responseLimits(priorityMatrix) {
+    const limits = {};
+    (priorityMatrix || []).forEach(row => {
+        if (!row || !row.priority || /no alarm|remove/i.test(row.priority)) return;
+        const range = parseResponseTime(row.max_response_time);
+        if (!range || range.maxMs === null) return;
+        const level = priorityLevel(row.priority);
+        if (!limits[level] || range.maxMs > limits[level].maxMs) {
+            limits[level] = { maxMs: range.maxMs, documented: row.max_response_time, priority: row.priority };
+        }
+    });
+    return limits;
+}
+
+function _summarize(values) {
+    if (values.length === 0) return { count: 0, avgMs: null, medianMs: null, p90Ms: null };
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    return {
+        count: sorted.length,
+        avgMs: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+        medianMs: at(0.5),
+        p90Ms: at(0.9)
+    };
+}
+
+/**
+ * Incremental response-time accumulator; events must arrive in timestamp order.
+ * Acknowledgements come from ACK transitions or an ackTimestamp on the alarm event; the first
+ * action is the next operator change in the same unit within ACTION_WINDOW, as in nuisance scoring.
+ * Alarms still waiting for an action once ACTION_WINDOW has passed are dropped and counted as
+ * unanswered, so units without operator actions keep a bounded backlog.
+ * @param {Object} philosophyRules extracted philosophy (priority_matrix is used; optional)
+ */
+function createResponseAccumulator(philosophyRules = {}) {
+    const limits = responseLimits(philosophyRules && philosophyRules.priority_matrix);
+    const byLevel = {};
+    LEVELS.forEach(level => { byLevel[level] = { alarms: 0, unanswered: 0, ackTimes: [], actionTimes: [] }; });
+    const byTag = new Map();
+    const unacked = new Map();        // tag -> { timestamp, level }
+    const awaitingAction = new Map(); // unit -> [{ tag, timestamp, level }]
+
+    const _tag = (tag, level) => {
+        if (!byTag.has(tag)) byTag.set(tag, { level, ackTimes: [], actionTimes: [] });
+        return byTag.get(tag);
+    };
+
+    // Drops a unit's pending alarms (oldest first) that can no longer get an action in time
+    const _expire = (unit, now) => {
+        const pending = awaitingAction.get(unit);
+        if (!pending) return;
+        while (pending.length > 0 && now - pending[0].timestamp >= ACTION_WINDOW) {
+            byLevel[pending.shift().level].unanswered++;
+        }
+        if (pending.length === 0) awaitingAction.delete(unit);
+    };
+
+    function addEvent(event) {
+        const unit = event.unit || 'Unknown';
+        _expire(unit, event.timestamp);
+
+        if (event.transition === 'ACK') {
+            const pending = unacked.get(event.tag);
+            if (pending) {
+                const ms = event.timestamp - pending.timestamp;
+                byLevel[pending.level].ackTimes.push(ms);
+                _tag(event.tag, pending.level).ackTimes.push(ms);
+                unacked.delete(event.tag);
+            }
+            return;
+        }
+
+        if (event.isChange) {
+            (awaitingAction.get(unit) || []).forEach(alarm => {
+                const ms = event.timestamp - alarm.timestamp;
+                byLevel[alarm.level].actionTimes.push(ms);
+                byTag.get(alarm.tag).actionTimes.push(ms);
+            });
+            awaitingAction.delete(unit);
+            return;
+        }
+
+        if (!event.isAlarm) return;
+        const level = priorityLevel(event.priority);
+        byLevel[level].alarms++;
+        _tag(event.tag, level);
+
+        if (Number.isFinite(event.ackTimestamp) && event.ackTimestamp >= event.timestamp) {
+            const ms = event.ackTimestamp - event.timestamp;
+            byLevel[level].ackTimes.push(ms);
+            byTag.get(event.tag).ackTimes.push(ms);
+        } else if (!unacked.has(event.tag)) {
+            unacked.set(event.tag, { timestamp: event.timestamp, level });
+        }
+
+        if (!awaitingAction.has(unit)) awaitingAction.set(unit, []);
+        awaitingAction.get(unit).push({ tag: event.tag, timestamp: event.timestamp, level });
+    }
+
+    function finish() {
+        awaitingAction.forEach(pending => pending.forEach(alarm => { byLevel[alarm.level].unanswered++; }));
+        awaitingAction.clear();
+
+        const priorities = LEVELS.map(level => {
+            const stats = byLevel[level];
+            const limit = limits[level] || null;
+            const timeToAck = _summarize(stats.ackTimes);
+            const timeToFirstAction = _summarize(stats.actionTimes);
+            // Acknowledgement is the documented response where available, otherwise the first action
+            const response = timeToAck.count > 0 ? stats.ackTimes : stats.actionTimes;
+            const exceeding = limit ? response.filter(ms => ms > limit.maxMs).length : 0;
+            const p90 = _summarize(response).p90Ms;
+
+            let status = 'n/a';
+            if (limit && p90 !== null) status = p90 > limit.maxMs ? 'unrealistic' : 'ok';
+
+            return {
+                priority: level,
+                alarms: stats.alarms,
+                unanswered: stats.unanswered,
+                timeToAck,
+                timeToFirstAction,
+                documentedLimit: limit,
+                exceedingLimit: exceeding,
+                exceedingPercent: response.length > 0 ? Math.round((exceeding / response.length) * 1000) / 10 : null,
+                status
+            };
+        });
+
+        const flaggedAlarms = [];
+        byTag.forEach((stats, tag) => {
+            const limit = limits[stats.level];
+            const responses = stats.ackTimes.length > 0 ? stats.ackTimes : stats.actionTimes;
+            if (!limit || responses.length < MIN_RESPONSES_TO_FLAG) return;
+            const { medianMs } = _summarize(responses);
+            if (medianMs > limit.maxMs) {
+                flaggedAlarms.push({ tag, priority: stats.level, responses: responses.length, medianResponseMs: medianMs, limitMs: limit.maxMs });
+            }
+        });
+        flaggedAlarms.sort((a, b) => (b.medianResponseMs / b.limitMs) - (a.medianResponseMs / a.limitMs));
+
+        return {
+            priorities,
+            flaggedAlarms,
+            summary: {
+                hasPhilosophyLimits: Object.keys(limits).length > 0,
+                hasAcknowledgements: priorities.some(p => p.timeToAck.count > 0),
+                actionWindowMs: ACTION_WINDOW,
+                unrealisticPriorities: priorities.filter(p => p.status === 'unrealistic').map(p => p.priority)
+            }
+        };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Measures operator response times per priority against the philosophy priority matrix.
+ * @param {Array} data EventRecords (any order)
+ * @param {Object} philosophyRules extracted philosophy rules (optional)
+ */
+function analyzeResponseTimes(data, philosophyRules = {}) {
+    const accumulator = createResponseAccumulator(philosophyRules);
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    parseResponseTime,
+    responseLimits,
+    analyzeResponseTimes,
+    createResponseAccumulator
+};
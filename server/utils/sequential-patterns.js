@@ -0,0 +1,161 @@
+'use strict';
+/**
+ * Sequential Alarm Pattern Mining - Server-Side Only
+ * Time-constrained sequential pattern mining over sessions: a pattern A -> B -> ... occurs in a
+ * session when its alarms annunciate in that order within windowMs of the first one. Support counts
+ * sessions, confidence is P(last alarm | prefix), and lift compares that with the chance of the last
+ * alarm appearing in any session. Consequential alarms are derived from significant pair rules.
+ */
+
+const PATTERN_DEFAULTS = {
+    windowMs: 5 * 60 * 1000,    // whole pattern within 5 minutes of its first alarm
+    minSupport: 3,              // sessions containing the pattern
+    minConfidence: 0.3,
+    minLift: 1.2,               // above chance co-occurrence
+    maxLength: 5,
+    maxPatterns: 50,
+    consequentialCoverage: 0.8  // B is preceded by A in at least 80% of the sessions containing B
+};
+const MAX_CANDIDATES_PER_LEVEL = 200;
+
+/**
+ * Whether the pattern occurs in order within windowMs of its first alarm. Greedy earliest matching
+ * is exact here: the window only bounds the distance to the first alarm.
+ */
+function _occurs(alarms, pattern, windowMs) {
+    for (let i = 0; i < alarms.length; i++) {
+        if (alarms[i].tag !== pattern[0]) continue;
+        const limit = alarms[i].timestamp + windowMs;
+        let k = 1;
+        for (let j = i + 1; j < alarms.length && k < pattern.length && alarms[j].timestamp <= limit; j++) {
+            if (alarms[j].tag === pattern[k]) k++;
+        }
+        if (k === pattern.length) return true;
+    }
+    return false;
+}
+
+function _rate(count, total) {
+    return total > 0 ? count / total : 0;
+}
+
+/**
+ * Mines time-constrained sequential patterns.
+ * @param {Array} sequences per session, alarms in timestamp order: [{ tag, timestamp }]
+ * @param {Object} options overrides of PATTERN_DEFAULTS
+ * @returns {{ patterns, pairs, tagSupport, sessionCount }} patterns passing all thresholds, sorted
+ *   by lift then support; pairs holds every frequent A -> B rule for consequential labelling
+ */
+function minePatterns(sequences, options = {}) {
+    const opts = { ...PATTERN_DEFAULTS, ...options };
+    const sessionCount = sequences.length;
+    const tagSupport = new Map();
+    const pairSessions = new Map(); // "A\u0000B" -> Set(session index)
+
+    sequences.forEach((alarms, s) => {
+        new Set(alarms.map(a => a.tag)).forEach(tag => tagSupport.set(tag, (tagSupport.get(tag) || 0) + 1));
+        const seen = new Set();
+        for (let i = 0; i < alarms.length; i++) {
+            const limit = alarms[i].timestamp + opts.windowMs;
+            for (let j = i + 1; j < alarms.length && alarms[j].timestamp <= limit; j++) {
+                if (alarms[j].tag === alarms[i].tag) continue;
+                const key = `${alarms[i].tag}\u0000${alarms[j].tag}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                if (!pairSessions.has(key)) pairSessions.set(key, new Set());
+                pairSessions.get(key).add(s);
+            }
+        }
+    });
+
+    const describe = (sequence, sessions, prefixSupport) => {
+        const support = sessions.size;
+        const confidence = _rate(support, prefixSupport);
+        const last = sequence[sequence.length - 1];
+        const lift = confidence / _rate(tagSupport.get(last), sessionCount);
+        return {
+            sequence,
+            count: support,
+            support: Math.round(_rate(support, sessionCount) * 1000) / 1000,
+            confidence: Math.round(confidence * 1000) / 1000,
+            lift: Math.round(lift * 100) / 100
+        };
+    };
+    const passes = p => p.confidence >= opts.minConfidence && p.lift >= opts.minLift;
+
+    const pairs = [];
+    const successors = new Map(); // A -> [B] for frequent pairs
+    let level = [];
+    pairSessions.forEach((sessions, key) => {
+        if (sessions.size < opts.minSupport) return;
+        const sequence = key.split('\u0000');
+        const pattern = describe(sequence, sessions, tagSupport.get(sequence[0]));
+        pattern.coverage = Math.round(_rate(sessions.size, tagSupport.get(sequence[1])) * 1000) / 1000;
+        pairs.push(pattern);
+        if (!successors.has(sequence[0])) successors.set(sequence[0], []);
+        successors.get(sequence[0]).push(sequence[1]);
+        level.push({ sequence, sessions });
+    });
+
+    const patterns = pairs.filter(passes).map(({ coverage, ...p }) => p);
+
+    // Level-wise growth: extend frequent patterns by a frequent successor of their last alarm
+    for (let length = 3; length <= opts.maxLength && level.length > 0; length++) {
+        const next = [];
+        level
+            .sort((a, b) => b.sessions.size - a.sessions.size)
+            .slice(0, MAX_CANDIDATES_PER_LEVEL)
+            .forEach(({ sequence, sessions }) => {
+                (successors.get(sequence[sequence.length - 1]) || []).forEach(tag => {
+                    if (sequence.includes(tag)) return;
+                    const candidate = [...sequence, tag];
+                    const matched = new Set([...sessions].filter(s => _occurs(sequences[s], candidate, opts.windowMs)));
+                    if (matched.size < opts.minSupport) return;
+                    next.push({ sequence: candidate, sessions: matched });
+                    const pattern = describe(candidate, matched, sessions.size);
+                    if (passes(pattern)) patterns.push(pattern);
+                });
+            });
+        level = next;
+    }
+
+    patterns.sort((a, b) => b.lift - a.lift || b.count - a.count || a.sequence.length - b.sequence.length);
+    return { patterns: patterns.slice(0, opts.maxPatterns), pairs, tagSupport, sessionCount };
+}
+
+/**
+ * Consequential alarms: B is consequential of A when A precedes B within the window in at least
+ * consequentialCoverage of the sessions containing B, the rule's lift is significant, and A -> B is
+ * more frequent than B -> A. Returns Map(tag -> { cause, support, coverage, confidence, lift }).
+ */
+function consequentialAlarms(mined, options = {}) {
+    const opts = { ...PATTERN_DEFAULTS, ...options };
+    const bySequence = new Map(mined.pairs.map(p => [p.sequence.join('\u0000'), p]));
+    const result = new Map();
+    mined.pairs.forEach(pair => {
+        const [cause, tag] = pair.sequence;
+        if (pair.coverage < opts.consequentialCoverage || pair.lift < opts.minLift) return;
+        const reverse = bySequence.get(`${tag}\u0000${cause}`);
+        if (reverse && reverse.count >= pair.count) return;
+        const current = result.get(tag);
+        if (current && current.coverage >= pair.coverage) return;
+        result.set(tag, { cause, support: pair.count, coverage: pair.coverage, confidence: pair.confidence, lift: pair.lift });
+    });
+    return result;
+}
+
+/**
+ * Alarm sequences of sessions for mining: alarm events only, in timestamp order.
+ */
+function toSequence(session) {
+    return session.events
+        .filter(e => e.isAlarm)
+        .map(e => ({ tag: e.tag, timestamp: e.timestamp }));
+}
+
+module.exports = {
+    PATTERN_DEFAULTS,
+    minePatterns,
+    consequentialAlarms,
+    toSequence
+};
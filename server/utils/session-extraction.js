@@ -8,62 +8,197 @@ const SESSION_FILTERS = {
     MIN_EVENTS: 4,
     MAX_EVENTS: 400,
     MAX_DURATION_HOURS: 2,
-    SESSION_TIMEOUT_MINUTES: 5
+    SESSION_TIMEOUT_MINUTES: 5,
+    SEGMENT_BY: 'time'
 };
 
-function _finalizeSession(session, sessionsList) {
-    const eventCount = session.events.length;
+// 'time': per-unit time windows; 'case': one session per event caseId (imported XES/OCEL logs),
+// events without a caseId still fall back to time windows
+const SEGMENT_MODES = ['time', 'case'];
 
-    if (eventCount >= SESSION_FILTERS.MIN_EVENTS &&
-        eventCount <= SESSION_FILTERS.MAX_EVENTS) {
+// Request-facing (camelCase) override keys -> internal filter keys, with sane bounds
+const FILTER_OVERRIDES = {
+    minEvents: { key: 'MIN_EVENTS', min: 1, max: 100000, integer: true },
+    maxEvents: { key: 'MAX_EVENTS', min: 1, max: 100000, integer: true },
+    maxDurationHours: { key: 'MAX_DURATION_HOURS', min: 0.01, max: 168 },
+    sessionTimeoutMinutes: { key: 'SESSION_TIMEOUT_MINUTES', min: 0.1, max: 1440 }
+};
 
-        session.units = Array.from(session.units);
-        session.tags = Array.from(session.tags);
-        session.duration = session.endTime - session.startTime;
+/**
+ * Merges per-request overrides onto the default SESSION_FILTERS.
+ * Returns { filters, errors }; filters is only usable when errors is empty.
+ */
+function resolveSessionFilters(overrides) {
+    const filters = { ...SESSION_FILTERS };
+    const errors = [];
 
-        const durationMinutes = session.duration / (60 * 1000);
-        session.alarmFrequency = durationMinutes > 0 ? (session.alarms / durationMinutes) * 10 : 0;
+    if (overrides === undefined || overrides === null) return { filters, errors };
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { filters, errors: ['filters must be an object'] };
+    }
 
-        session.tagDescriptions = Object.fromEntries(session.descriptions);
-        delete session.descriptions; // not JSON-serializable (Map)
+    Object.entries(overrides).forEach(([name, value]) => {
+        if (name === 'segmentBy') {
+            if (SEGMENT_MODES.includes(value)) filters.SEGMENT_BY = value;
+            else errors.push(`segmentBy must be one of: ${SEGMENT_MODES.join(', ')}`);
+            return;
+        }
+        const spec = FILTER_OVERRIDES[name];
+        if (!spec) {
+            errors.push(`Unknown filter: ${name}`);
+            return;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${name} must be a number`);
+            return;
+        }
+        if (spec.integer && !Number.isInteger(value)) {
+            errors.push(`${name} must be an integer`);
+            return;
+        }
+        if (value < spec.min || value > spec.max) {
+            errors.push(`${name} must be between ${spec.min} and ${spec.max}`);
+            return;
+        }
+        filters[spec.key] = value;
+    });
 
-        sessionsList.push(session);
+    if (filters.MIN_EVENTS > filters.MAX_EVENTS) {
+        errors.push('minEvents must not exceed maxEvents');
     }
+
+    return { filters, errors };
+}
+
+const REJECTION_REASONS = {
+    TOO_SMALL: 'too_small',
+    TOO_LARGE: 'too_large',
+    EXCEEDED_MAX_DURATION: 'exceeded_max_duration'
+};
+
+function _getRejectionReason(session, filters) {
+    const eventCount = session.events.length;
+    if (eventCount >= filters.MIN_EVENTS && eventCount <= filters.MAX_EVENTS) return null;
+    // A session cut by the duration cap is reported as such: the cap caused the bad fragment
+    if (session.closedByMaxDuration) return REJECTION_REASONS.EXCEEDED_MAX_DURATION;
+    return eventCount < filters.MIN_EVENTS ? REJECTION_REASONS.TOO_SMALL : REJECTION_REASONS.TOO_LARGE;
+}
+
+function _finalizeSession(session, filters, report, includeRejected) {
+    report.candidateSessions++;
+    if (session.closedByMaxDuration) report.maxDurationSplits++;
+
+    const rejectionReason = _getRejectionReason(session, filters);
+    delete session.closedByMaxDuration;
+
+    if (rejectionReason) {
+        if (rejectionReason === REJECTION_REASONS.TOO_SMALL) report.rejected.tooSmall++;
+        else if (rejectionReason === REJECTION_REASONS.TOO_LARGE) report.rejected.tooLarge++;
+        else report.rejected.exceededMaxDuration++;
+        report.discardedEvents += session.events.length;
+        report.discardedAlarms += session.alarms;
+        // Rejected sessions are only shaped for output when the caller asked for them
+        if (!includeRejected) return null;
+        session.rejectionReason = rejectionReason;
+    } else {
+        report.acceptedSessions++;
+    }
+
+    session.units = Array.from(session.units);
+    session.tags = Array.from(session.tags);
+    session.duration = session.endTime - session.startTime;
+
+    const durationMinutes = session.duration / (60 * 1000);
+    session.alarmFrequency = durationMinutes > 0 ? (session.alarms / durationMinutes) * 10 : 0;
+
+    session.tagDescriptions = Object.fromEntries(session.descriptions);
+    delete session.descriptions; // not JSON-serializable (Map)
+
+    return session;
+}
+
+function _createReport(filters) {
+    return {
+        filters: {
+            minEvents: filters.MIN_EVENTS,
+            maxEvents: filters.MAX_EVENTS,
+            maxDurationHours: filters.MAX_DURATION_HOURS,
+            sessionTimeoutMinutes: filters.SESSION_TIMEOUT_MINUTES,
+            segmentBy: filters.SEGMENT_BY || 'time'
+        },
+        candidateSessions: 0,
+        acceptedSessions: 0,
+        rejected: { tooSmall: 0, tooLarge: 0, exceededMaxDuration: 0 },
+        maxDurationSplits: 0,
+        discardedEvents: 0,
+        discardedAlarms: 0
+    };
 }
 
 /**
- * Extracts sessions from event data based on time window per UNIT.
+ * Incremental session extractor: events are pushed one at a time, in timestamp order.
  * Uses concurrent unit tracking: interleaved events across units don't
- * prematurely close each other's sessions.
+ * prematurely close each other's sessions. With SEGMENT_BY 'case', events carrying a caseId are
+ * grouped by it instead (no timeout or duration cap) and the session keeps the caseId.
+ * Options: includeRejected, onSession(session) called as each accepted session closes,
+ * retainSessions (default true) - set false to stream sessions without keeping them.
  */
-function extractSessions(data) {
-    const sessions = [];
-    const SESSION_TIMEOUT = SESSION_FILTERS.SESSION_TIMEOUT_MINUTES * 60 * 1000;
-    const MAX_DURATION = SESSION_FILTERS.MAX_DURATION_HOURS * 60 * 60 * 1000;
+function createSessionExtractor(filters = SESSION_FILTERS, options = {}) {
+    const { includeRejected = false, retainSessions = true, onSession } = options;
+    const SESSION_TIMEOUT = filters.SESSION_TIMEOUT_MINUTES * 60 * 1000;
+    const MAX_DURATION = filters.MAX_DURATION_HOURS * 60 * 60 * 1000;
+    const byCase = filters.SEGMENT_BY === 'case';
 
-    const sortedData = [...data].sort((a, b) => a.timestamp - b.timestamp);
+    const sessions = [];
+    const rejectedSessions = includeRejected ? [] : null;
+    const report = _createReport(filters);
     const activeSessions = {};
+    let nextId = 0;
+    let lastTimestamp = -Infinity;
 
-    for (let i = 0; i < sortedData.length; i++) {
-        const event = sortedData[i];
-        const unitKey = event.unit || 'Unknown';
+    const closeSession = (session) => {
+        const finalized = _finalizeSession(session, filters, report, includeRejected);
+        if (!finalized) return;
+        if (finalized.rejectionReason) {
+            rejectedSessions.push(finalized);
+            return;
+        }
+        if (onSession) onSession(finalized);
+        if (retainSessions) sessions.push(finalized);
+    };
 
-        let unitSession = activeSessions[unitKey];
+    function push(event) {
+        if (event.timestamp < lastTimestamp) {
+            throw new Error('Session extractor requires events in timestamp order');
+        }
+        lastTimestamp = event.timestamp;
 
-        if (unitSession) {
+        // Return-to-normal and acknowledgement transitions change the state of an alarm that was
+        // already annunciated; they are not steps in the operator's event sequence.
+        if (event.transition === 'RTN' || event.transition === 'ACK') return;
+
+        const unitKey = event.unit || 'Unknown';
+        const caseId = byCase && event.caseId !== undefined && event.caseId !== null && event.caseId !== ''
+            ? String(event.caseId)
+            : null;
+        const sessionKey = caseId === null ? unitKey : `\u0000${caseId}`;
+        let unitSession = activeSessions[sessionKey];
+
+        if (unitSession && caseId === null) {
             const timeSinceLastEvent = event.timestamp - unitSession.endTime;
             const duration = event.timestamp - unitSession.startTime;
 
             if (timeSinceLastEvent > SESSION_TIMEOUT || duration > MAX_DURATION) {
-                _finalizeSession(unitSession, sessions);
-                delete activeSessions[unitKey];
+                unitSession.closedByMaxDuration = timeSinceLastEvent <= SESSION_TIMEOUT;
+                closeSession(unitSession);
+                delete activeSessions[sessionKey];
                 unitSession = null;
             }
         }
 
         if (!unitSession) {
             unitSession = {
-                id: sessions.length + Object.keys(activeSessions).length,
+                id: nextId++,
                 unit: unitKey,
                 events: [],
                 startTime: event.timestamp,
@@ -75,11 +210,13 @@ function extractSessions(data) {
                 descriptions: new Map(),
                 eventDescriptions: []
             };
-            activeSessions[unitKey] = unitSession;
+            if (caseId !== null) unitSession.caseId = caseId;
+            activeSessions[sessionKey] = unitSession;
         }
 
         unitSession.events.push(event);
         unitSession.endTime = event.timestamp;
+        unitSession.units.add(unitKey);
 
         if (event.isAlarm) unitSession.alarms++;
         if (event.isChange) unitSession.actions++;
@@ -100,14 +237,136 @@ function extractSessions(data) {
         }
     }
 
-    Object.values(activeSessions).forEach(session => {
-        _finalizeSession(session, sessions);
+    function finish() {
+        Object.values(activeSessions).forEach(closeSession);
+
+        sessions.sort((a, b) => a.startTime - b.startTime);
+        sessions.forEach((session, index) => { session.id = index; });
+
+        if (!rejectedSessions) return { sessions, report };
+
+        rejectedSessions.sort((a, b) => a.startTime - b.startTime);
+        rejectedSessions.forEach((session, index) => { session.id = index; });
+
+        return { sessions, report, rejectedSessions };
+    }
+
+    return { push, finish };
+}
+
+/**
+ * Extracts sessions from event data based on time window per UNIT.
+ * Returns { sessions, report } where report counts candidates per filter outcome.
+ * With options.includeRejected, also returns rejectedSessions tagged with rejectionReason.
+ */
+function extractSessionsWithReport(data, filters = SESSION_FILTERS, options = {}) {
+    const extractor = createSessionExtractor(filters, { includeRejected: options.includeRejected });
+    const sortedData = [...data].sort((a, b) => a.timestamp - b.timestamp);
+    sortedData.forEach(event => extractor.push(event));
+    return extractor.finish();
+}
+
+/**
+ * Extracts sessions only (see extractSessionsWithReport).
+ */
+function extractSessions(data, filters = SESSION_FILTERS) {
+    return extractSessionsWithReport(data, filters).sessions;
+}
+
+const EPISODE_DEFAULTS = {
+    toleranceMinutes: 2,
+    minUnits: 2
+};
+
+/**
+ * Builds the propagation order of an episode: each unit ordered by the time it
+ * first alarmed (first event if the unit never alarmed), with delay from the episode start.
+ */
+function _buildPropagation(episodeSessions, episodeStart) {
+    const byUnit = new Map();
+
+    episodeSessions.forEach(session => {
+        const firstAlarm = session.events.find(e => e.isAlarm);
+        const first = firstAlarm || session.events[0];
+        if (!first) return;
+
+        const existing = byUnit.get(session.unit);
+        if (!existing || first.timestamp < existing.firstTime) {
+            byUnit.set(session.unit, {
+                unit: session.unit,
+                sessionId: session.id,
+                firstTime: first.timestamp,
+                firstTag: first.tag,
+                firstIsAlarm: !!firstAlarm
+            });
+        }
     });
 
-    sessions.sort((a, b) => a.startTime - b.startTime);
-    sessions.forEach((session, index) => { session.id = index; });
+    return Array.from(byUnit.values())
+        .sort((a, b) => a.firstTime - b.firstTime)
+        .map((entry, order) => ({ ...entry, order, delayMs: entry.firstTime - episodeStart }));
+}
+
+/**
+ * Correlates per-unit sessions into plant-wide episodes.
+ * Sessions whose time spans overlap (within toleranceMinutes) are merged into one
+ * episode; only episodes touching at least minUnits distinct units are returned.
+ */
+function correlateSessions(sessions, options = {}) {
+    const toleranceMinutes = options.toleranceMinutes ?? EPISODE_DEFAULTS.toleranceMinutes;
+    const minUnits = options.minUnits ?? EPISODE_DEFAULTS.minUnits;
+    const tolerance = toleranceMinutes * 60 * 1000;
+
+    const sorted = sessions
+        .filter(s => s.events && s.events.length > 0)
+        .sort((a, b) => a.startTime - b.startTime);
 
-    return sessions;
+    const groups = [];
+    let current = null;
+
+    sorted.forEach(session => {
+        if (current && session.startTime <= current.endTime + tolerance) {
+            current.sessions.push(session);
+            current.endTime = Math.max(current.endTime, session.endTime);
+        } else {
+            current = { sessions: [session], startTime: session.startTime, endTime: session.endTime };
+            groups.push(current);
+        }
+    });
+
+    const episodes = groups
+        .filter(group => new Set(group.sessions.map(s => s.unit)).size >= minUnits)
+        .map((group, id) => {
+            const propagation = _buildPropagation(group.sessions, group.startTime);
+            const initiator = propagation[0];
+            return {
+                id,
+                startTime: group.startTime,
+                endTime: group.endTime,
+                duration: group.endTime - group.startTime,
+                units: propagation.map(p => p.unit),
+                sessionIds: group.sessions.map(s => s.id),
+                totalEvents: group.sessions.reduce((sum, s) => sum + s.events.length, 0),
+                totalAlarms: group.sessions.reduce((sum, s) => sum + s.alarms, 0),
+                totalActions: group.sessions.reduce((sum, s) => sum + s.actions, 0),
+                initiatingUnit: initiator ? initiator.unit : null,
+                initiatingTag: initiator ? initiator.firstTag : null,
+                propagation
+            };
+        });
+
+    const correlatedSessions = episodes.reduce((sum, e) => sum + e.sessionIds.length, 0);
+
+    return {
+        episodes,
+        summary: {
+            toleranceMinutes,
+            minUnits,
+            totalSessions: sorted.length,
+            correlatedSessions,
+            episodeCount: episodes.length
+        }
+    };
 }
 
 /**
@@ -147,4 +406,14 @@ function getUnitStatistics(sessions) {
     return Array.from(unitStats.values());
 }
 
-module.exports = { extractSessions, getUnitStatistics };
+module.exports = {
+    SESSION_FILTERS,
+    REJECTION_REASONS,
+    EPISODE_DEFAULTS,
+    resolveSessionFilters,
+    extractSessions,
+    extractSessionsWithReport,
+    createSessionExtractor,
+    correlateSessions,
+    getUnitStatistics
+};
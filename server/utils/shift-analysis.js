@@ -0,0 +1,264 @@
+'use strict';
+/**
+ * Shift & Crew Workload Analysis - Server-Side Only
+ * Maps each event onto a configurable shift calendar (shift names, start times and a crew rotation)
+ * and reports alarm load, operator actions, flood time and nuisance alarms per shift and per crew.
+ */
+
+const nuisance = require('./nuisance-scoring');
+const se = require('./session-extraction');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const INTERVAL_MS = 10 * MINUTE_MS;
+const FLOOD_THRESHOLD = 10; // alarms per 10 minutes
+const MAX_SHIFTS = 6;
+
+// Two 12-hour shifts worked by four crews: two days, then two nights, then four days off
+const DEFAULT_SHIFT_CALENDAR = {
+    shifts: [
+        { name: 'Day', start: '06:00' },
+        { name: 'Night', start: '18:00' }
+    ],
+    crews: ['A', 'B', 'C', 'D'],
+    rotation: {
+        anchorDate: '2024-01-01',
+        pattern: [['A', 'D'], ['A', 'D'], ['B', 'A'], ['B', 'A'], ['C', 'B'], ['C', 'B'], ['D', 'C'], ['D', 'C']] // [Day, Night] crew per day
+    },
+    timezoneOffsetMinutes: 0 // plant local time = UTC + offset (no daylight-saving adjustment)
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function _minutesOfDay(time) {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Merges a calendar override onto DEFAULT_SHIFT_CALENDAR. Overriding shifts or crews without a
+ * rotation assigns crews to consecutive shifts in turn. Returns { calendar, errors }; calendar is
+ * only usable when errors is empty. Shifts are returned sorted by start time.
+ */
+function resolveShiftCalendar(overrides) {
+    const errors = [];
+    if (overrides === undefined || overrides === null) {
+        return { calendar: JSON.parse(JSON.stringify(DEFAULT_SHIFT_CALENDAR)), errors };
+    }
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { calendar: null, errors: ['calendar must be an object'] };
+    }
+
+    const shifts = overrides.shifts || DEFAULT_SHIFT_CALENDAR.shifts;
+    const crews = overrides.crews || DEFAULT_SHIFT_CALENDAR.crews;
+    const timezoneOffsetMinutes = overrides.timezoneOffsetMinutes ?? DEFAULT_SHIFT_CALENDAR.timezoneOffsetMinutes;
+
+    if (!Array.isArray(shifts) || shifts.length === 0 || shifts.length > MAX_SHIFTS) {
+        errors.push(`shifts must be an array of 1 to ${MAX_SHIFTS} shifts`);
+    } else {
+        shifts.forEach((shift, i) => {
+            if (!shift || typeof shift.name !== 'string' || !shift.name.trim()) errors.push(`shifts[${i}].name is required`);
+            if (!shift || typeof shift.start !== 'string' || !TIME_PATTERN.test(shift.start)) errors.push(`shifts[${i}].start must be HH:MM`);
+        });
+        const starts = shifts.map(s => s && s.start);
+        if (new Set(starts).size !== starts.length) errors.push('shift start times must be unique');
+        const names = shifts.map(s => s && s.name);
+        if (new Set(names).size !== names.length) errors.push('shift names must be unique');
+    }
+    if (!Array.isArray(crews) || crews.length === 0 || crews.some(c => typeof c !== 'string' || !c.trim())) {
+        errors.push('crews must be a non-empty array of names');
+    }
+    if (!Number.isInteger(timezoneOffsetMinutes) || Math.abs(timezoneOffsetMinutes) > 14 * 60) {
+        errors.push('timezoneOffsetMinutes must be an integer between -840 and 840');
+    }
+    if (errors.length > 0) return { calendar: null, errors };
+
+    const order = shifts.map((shift, i) => i).sort((a, b) => _minutesOfDay(shifts[a].start) - _minutesOfDay(shifts[b].start));
+    const sorted = order.map(i => ({ name: shifts[i].name, start: shifts[i].start }));
+
+    let rotation = overrides.rotation;
+    if (!rotation && (overrides.shifts || overrides.crews)) {
+        // Continuous rotation: crews take consecutive shifts in turn
+        const days = crews.length / _gcd(crews.length, sorted.length);
+        rotation = {
+            anchorDate: DEFAULT_SHIFT_CALENDAR.rotation.anchorDate,
+            pattern: Array.from({ length: days }, (_, d) => sorted.map((_, s) => crews[(d * sorted.length + s) % crews.length]))
+        };
+    } else if (!rotation) {
+        rotation = DEFAULT_SHIFT_CALENDAR.rotation;
+    } else {
+        if (typeof rotation !== 'object' || typeof rotation.anchorDate !== 'string' || !DATE_PATTERN.test(rotation.anchorDate)
+            || Number.isNaN(Date.parse(rotation.anchorDate))) {
+            errors.push('rotation.anchorDate must be YYYY-MM-DD');
+        }
+        if (!Array.isArray(rotation.pattern) || rotation.pattern.length === 0) {
+            errors.push('rotation.pattern must list the crew of each shift for every day of the cycle');
+        } else {
+            rotation.pattern.forEach((day, d) => {
+                if (!Array.isArray(day) || day.length !== shifts.length) {
+                    errors.push(`rotation.pattern[${d}] must name one crew per shift`);
+                } else if (day.some(crew => !crews.includes(crew))) {
+                    errors.push(`rotation.pattern[${d}] names a crew that is not in crews`);
+                }
+            });
+        }
+        if (errors.length > 0) return { calendar: null, errors };
+        // Pattern entries follow the order shifts were given in
+        rotation = { anchorDate: rotation.anchorDate, pattern: rotation.pattern.map(day => order.map(i => day[i])) };
+    }
+
+    return { calendar: { shifts: sorted, crews: [...crews], rotation, timezoneOffsetMinutes }, errors };
+}
+
+function _gcd(a, b) {
+    return b === 0 ? a : _gcd(b, a % b);
+}
+
+/**
+ * Shift instance of a timestamp: the shift index, the crew on duty, and the shift day (a night
+ * shift that runs past midnight belongs to the day it started).
+ */
+function shiftOf(timestamp, calendar) {
+    const local = timestamp + calendar.timezoneOffsetMinutes * MINUTE_MS;
+    let day = Math.floor(local / DAY_MS);
+    const minute = Math.floor((local - day * DAY_MS) / MINUTE_MS);
+    const starts = calendar.shifts.map(s => _minutesOfDay(s.start));
+
+    let index = starts.length - 1;
+    while (index >= 0 && starts[index] > minute) index--;
+    if (index < 0) {
+        index = starts.length - 1;
+        day--;
+    }
+
+    const { pattern } = calendar.rotation;
+    const anchorDay = Math.floor(Date.parse(calendar.rotation.anchorDate) / DAY_MS);
+    const cycleDay = (((day - anchorDay) % pattern.length) + pattern.length) % pattern.length;
+    return { shiftIndex: index, shift: calendar.shifts[index].name, crew: pattern[cycleDay][index], day };
+}
+
+function _emptyLoad(name) {
+    return { name, instances: new Set(), observedMs: 0, floodMs: 0, alarms: 0, actions: 0, tagCounts: new Map() };
+}
+
+/**
+ * Incremental shift accumulator; events must arrive in timestamp order. Nuisance tags are scored
+ * over the whole journal and then counted per shift and crew.
+ * @param {Object} calendar resolved shift calendar (resolveShiftCalendar)
+ * @param {Object} options { filters, profile } resolved session filters and scoring profile
+ */
+function createShiftAccumulator(calendar, options = {}) {
+    const profile = options.profile || nuisance.resolveScoringProfile().profile;
+    const scoring = nuisance.createNuisanceAccumulator(profile);
+    const sessions = se.createSessionExtractor(options.filters || se.SESSION_FILTERS, {
+        retainSessions: false,
+        onSession: session => {
+            scoring.addSession(session);
+            scoring.addPatternSession(session);
+        }
+    });
+    const byShift = new Map(calendar.shifts.map(s => [s.name, _emptyLoad(s.name)]));
+    const byCrew = new Map(calendar.crews.map(c => [c, _emptyLoad(c)]));
+    const intervalCounts = new Map();
+    let firstTimestamp = null;
+    let lastTimestamp = null;
+
+    function addEvent(event) {
+        if (firstTimestamp === null) firstTimestamp = event.timestamp;
+        lastTimestamp = event.timestamp;
+        scoring.addEvent(event);
+        sessions.push(event);
+
+        const { shift, crew } = shiftOf(event.timestamp, calendar);
+        [byShift.get(shift), byCrew.get(crew)].forEach(load => {
+            if (event.isChange) load.actions++;
+            if (!event.isAlarm) return;
+            load.alarms++;
+            load.tagCounts.set(event.tag, (load.tagCounts.get(event.tag) || 0) + 1);
+        });
+        if (event.isAlarm) {
+            const interval = Math.floor(event.timestamp / INTERVAL_MS);
+            intervalCounts.set(interval, (intervalCounts.get(interval) || 0) + 1);
+        }
+    }
+
+    function finish() {
+        sessions.finish();
+        const scored = scoring.finish();
+        const nuisanceTags = new Set(scored.alarms.filter(a => a.recommendation !== 'keep').map(a => a.tag));
+
+        // Observed and flood time per 10-minute interval, attributed to the shift it starts in
+        if (firstTimestamp !== null) {
+            const last = Math.floor(lastTimestamp / INTERVAL_MS);
+            for (let interval = Math.floor(firstTimestamp / INTERVAL_MS); interval <= last; interval++) {
+                const { shift, crew, day, shiftIndex } = shiftOf(interval * INTERVAL_MS, calendar);
+                const flood = (intervalCounts.get(interval) || 0) > FLOOD_THRESHOLD;
+                [byShift.get(shift), byCrew.get(crew)].forEach(load => {
+                    load.instances.add(`${day}:${shiftIndex}`);
+                    load.observedMs += INTERVAL_MS;
+                    if (flood) load.floodMs += INTERVAL_MS;
+                });
+            }
+        }
+
+        const report = load => {
+            const nuisanceAlarms = [...load.tagCounts.entries()]
+                .filter(([tag]) => nuisanceTags.has(tag))
+                .reduce((sum, [, count]) => sum + count, 0);
+            const intervals = load.observedMs / INTERVAL_MS;
+            return {
+                name: load.name,
+                shiftsWorked: load.instances.size,
+                observedHours: Math.round((load.observedMs / (60 * MINUTE_MS)) * 10) / 10,
+                alarms: load.alarms,
+                actions: load.actions,
+                alarmsPerShift: load.instances.size > 0 ? Math.round((load.alarms / load.instances.size) * 10) / 10 : 0,
+                alarmsPer10Min: intervals > 0 ? Math.round((load.alarms / intervals) * 100) / 100 : 0,
+                floodMs: load.floodMs,
+                percentTimeInFlood: load.observedMs > 0 ? Math.round((load.floodMs / load.observedMs) * 1000) / 10 : 0,
+                nuisanceAlarms,
+                percentNuisance: load.alarms > 0 ? Math.round((nuisanceAlarms / load.alarms) * 1000) / 10 : 0
+            };
+        };
+        const shifts = [...byShift.values()].map(report);
+        const crews = [...byCrew.values()].map(report);
+        const top = (list, key) => (list.some(l => l[key] > 0) ? list.reduce((best, l) => (l[key] > best[key] ? l : best)).name : null);
+
+        return {
+            calendar,
+            shifts,
+            crews,
+            summary: {
+                totalAlarms: shifts.reduce((sum, s) => sum + s.alarms, 0),
+                nuisanceTags: nuisanceTags.size,
+                busiestShift: top(shifts, 'alarmsPer10Min'),
+                busiestCrew: top(crews, 'alarmsPer10Min'),
+                mostFloodedShift: top(shifts, 'percentTimeInFlood'),
+                mostNuisanceCrew: top(crews, 'percentNuisance')
+            }
+        };
+    }
+
+    return { addEvent, finish };
+}
+
+/**
+ * Alarm load, actions, flood time and nuisance alarms per shift and per crew.
+ * @param {Array} data EventRecords (any order)
+ * @param {Object} calendar resolved shift calendar
+ * @param {Object} options { filters, profile }
+ */
+function analyzeShifts(data, calendar, options = {}) {
+    const accumulator = createShiftAccumulator(calendar, options);
+    [...data].sort((a, b) => a.timestamp - b.timestamp).forEach(event => accumulator.addEvent(event));
+    return accumulator.finish();
+}
+
+module.exports = {
+    DEFAULT_SHIFT_CALENDAR,
+    resolveShiftCalendar,
+    shiftOf,
+    analyzeShifts,
+    createShiftAccumulator
+};